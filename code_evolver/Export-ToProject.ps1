@@ -45,6 +45,14 @@ foreach ($item in $essentials) {
     }
 }
 
+# Modules shared with Code Referencer go next to the tool folder (code-evolver/../shared)
+$sharedPath = Join-Path $TargetProject $ToolFolder "shared"
+if (!(Test-Path $sharedPath)) {
+    New-Item -ItemType Directory -Path $sharedPath -Force | Out-Null
+}
+Write-Host "  Copying shared modules..."
+Copy-Item -Path (Join-Path $PSScriptRoot ".." "shared" "*") -Destination $sharedPath -Recurse -Force
+
 # Create simple runner script
 $runnerScript = @'
 # run.ps1 - Code Evolver Runner
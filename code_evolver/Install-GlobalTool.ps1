@@ -46,6 +46,14 @@ foreach ($source in $sourceFiles.Keys) {
     }
 }
 
+# Modules shared with Code Referencer go next to the tool folder (code-evolver/../shared)
+$sharedPath = Join-Path $InstallPath "shared"
+if (!(Test-Path $sharedPath)) {
+    New-Item -ItemType Directory -Path $sharedPath -Force | Out-Null
+}
+Write-Host "  Copying shared modules..."
+Copy-Item -Path (Join-Path $PSScriptRoot ".." "shared" "*") -Destination $sharedPath -Recurse -Force
+
 # 3. Create batch wrapper for Windows
 $batchWrapper = @"
 @echo off
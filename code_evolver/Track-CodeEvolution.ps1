@@ -60,6 +60,23 @@
     for structured commits (JetBrains AI format, conventional commits, etc.).
     Use this flag to force simple commit message display only.
 
+.PARAMETER IncludeDocs
+    Widen each tracked element to include the doc comment written above it
+    (JSDoc, PowerShell comment-based help, roxygen, C# XML doc), so documentation
+    changes show up in the diffs next to the code
+
+.PARAMETER ExactContent
+    Slice each element's content by its exact column range instead of whole
+    lines, so one-liners like "const A = 1, B = 2;" don't pull in their neighbours
+
+.PARAMETER AllowExtractors
+    Run the extractor modules declared by grammars.json manifests in .vibe/grammars
+    or $VIBE_GRAMMAR_PATH. They are JavaScript, so only pass this for code you trust
+
+.PARAMETER IgnoreLocalNames
+    Treat versions that only rename parameters or function locals as unchanged.
+    Off by default, since a parameter rename can be an API change
+
 .EXAMPLE
     .\Track-CodeEvolution.ps1 -BaseClass "BaseService" -ShowDiffs
     # Track all classes extending BaseService
@@ -128,7 +145,11 @@ param(
     [switch]$ExportCompressedDiff,
     [switch]$Verbose,
     [switch]$SimpleCommitDisplay,  # Opt-out flag to disable automatic enhancement
-    [switch]$NoComponentFiltering  # Disable component filtering (show all commits equally)
+    [switch]$NoComponentFiltering,  # Disable component filtering (show all commits equally)
+    [switch]$IncludeDocs,  # Include preceding doc comments in element ranges
+    [switch]$ExactContent,  # Slice element content by column range, not whole lines
+    [switch]$IgnoreLocalNames,  # Fingerprints ignore renamed parameters and function locals
+    [switch]$AllowExtractors  # Run extractor modules declared by grammar manifests
 )
 
 function Test-Prerequisites {
@@ -222,6 +243,16 @@ function Build-ExtractionContext {
         IncludeIIFE = $false
         PreserveContext = $false
         Visibility = $null
+        IncludeDocComments = [bool]$Parameters.IncludeDocs
+        ExactContent = [bool]$Parameters.ExactContent
+        # Structural fingerprints: versions that differ only in layout count as
+        # unchanged (renamed locals too with -IgnoreLocalNames). Comments stay in,
+        # since a comment edit changes the element's content
+        Fingerprint = @{
+            IgnoreComments = $false
+            IgnoreLiterals = $false
+            IgnoreLocalNames = [bool]$Parameters.IgnoreLocalNames
+        }
     }
     
     # Handle each parameter - they can combine
@@ -558,11 +589,16 @@ function Get-LanguageConfiguration {
                 switch ($lang.Value.parser) {
                     "acorn" { $Parser = "javascript-parser.js" }
                     "tree-sitter-javascript" { $Parser = "tree-sitter-parser.js" }
+                    "tree-sitter-typescript" { $Parser = "tree-sitter-parser.js" }
                     "tree-sitter-python" { $Parser = "tree-sitter-parser.js" }
                     "tree-sitter-powershell" { $Parser = "tree-sitter-parser.js" }
                     "tree-sitter-bash" { $Parser = "tree-sitter-parser.js" }
                     "tree-sitter-r" { $Parser = "tree-sitter-parser.js" }
                     "tree-sitter-csharp" { $Parser = "tree-sitter-parser.js" }
+                    "tree-sitter-go" { $Parser = "tree-sitter-parser.js" }
+                    "tree-sitter-rust" { $Parser = "tree-sitter-parser.js" }
+                    "tree-sitter-java" { $Parser = "tree-sitter-parser.js" }
+                    "tree-sitter-ruby" { $Parser = "tree-sitter-parser.js" }
                     default { $Parser = "tree-sitter-parser.js" }
                 }
             break
@@ -649,6 +685,10 @@ function Get-GitFileVersions {
         # R patterns
         $searchPatterns += "R6::R6Class.*$ClassName"
         $searchPatterns += "setClass.*$ClassName"
+        # Go and Rust patterns
+        $searchPatterns += "type $ClassName struct"
+        $searchPatterns += "struct $ClassName"
+        $searchPatterns += "impl.*$ClassName"
     }
 
     if ($FunctionName) {
@@ -667,6 +707,10 @@ function Get-GitFileVersions {
         $searchPatterns += "$FunctionName\(\)"
         # R patterns
         $searchPatterns += "$FunctionName.*<-.*function"
+        # Go and Rust patterns
+        $searchPatterns += "func $FunctionName"
+        $searchPatterns += "func (.*) $FunctionName"
+        $searchPatterns += "fn $FunctionName"
     }
     
     if ($Globals) {
@@ -819,7 +863,11 @@ function Parse-FileVersions {
         [bool]$Globals,
         [bool]$Exports,
         [string]$Parser = "tree-sitter-parser.js",
-        [hashtable]$Config
+        [hashtable]$Config,
+        [bool]$IncludeDocs = $false,
+        [bool]$ExactContent = $false,
+        [bool]$IgnoreLocalNames = $false,
+        [bool]$AllowExtractors = $false
     )
 
     $parserPath = Join-Path $PSScriptRoot "lib\parsers\$Parser"
@@ -833,9 +881,70 @@ function Parse-FileVersions {
         Globals = $Globals
         Exports = $Exports
         FilePath = $FileVersions[0].File  # Use first file for context
+        IncludeDocs = $IncludeDocs
+        ExactContent = $ExactContent
+        IgnoreLocalNames = $IgnoreLocalNames
     } -Config $Config
     
-    foreach ($version in $FileVersions) {
+    # Write extraction context to temp file to avoid quote escaping issues
+    # Use UTF8 without BOM to avoid JSON parsing issues
+    $utf8NoBom = New-Object System.Text.UTF8Encoding $false
+    $contextFile = [System.IO.Path]::GetTempFileName()
+    $contextJson = $extractionContext | ConvertTo-Json -Depth 10 -Compress
+    [System.IO.File]::WriteAllText($contextFile, $contextJson, $utf8NoBom)
+
+    # Pass configuration if available
+    $configArgs = @()
+    $configFile = $null
+    if ($Config) {
+        $configFile = [System.IO.Path]::GetTempFileName()
+        $configJson = $Config | ConvertTo-Json -Depth 10 -Compress
+        [System.IO.File]::WriteAllText($configFile, $configJson, $utf8NoBom)
+        $configArgs = @("--language-config", "@$configFile")
+    }
+
+    # Parse results keyed by version index
+    $parseResults = @{}
+
+    if ($Parser -eq "tree-sitter-parser.js") {
+        # Parse every version in one batch run on a worker pool instead of one node process per version
+        $batchPath = Join-Path $PSScriptRoot "lib\parsers\batch-parser.js"
+        $jobsFile = [System.IO.Path]::GetTempFileName()
+        $jobLines = for ($i = 0; $i -lt $FileVersions.Count; $i++) {
+            @{ id = $i; path = $FileVersions[$i].TempFilePath } | ConvertTo-Json -Compress
+        }
+        [System.IO.File]::WriteAllLines($jobsFile, [string[]]$jobLines, $utf8NoBom)
+
+        Write-Verbose "Batch parsing $($FileVersions.Count) file versions"
+        $extractorArgs = if ($AllowExtractors) { @("--allow-extractors") } else { @() }
+        & node $batchPath $jobsFile --extraction-context "@$contextFile" @configArgs @extractorArgs | ForEach-Object {
+            $result = $_ | ConvertFrom-Json
+            if ($result.error) {
+                Write-Warning "Failed to parse $($result.filePath): $($result.error)"
+            } else {
+                $parseResults[[int]$result.id] = $result
+            }
+        }
+
+        Remove-Item -Path $jobsFile -ErrorAction SilentlyContinue
+    } else {
+        for ($i = 0; $i -lt $FileVersions.Count; $i++) {
+            $version = $FileVersions[$i]
+            try {
+                $nodeArgs = @($parserPath, $version.TempFilePath, "--extraction-context", "@$contextFile") + $configArgs
+                $parseResults[$i] = & node @nodeArgs | ConvertFrom-Json
+            } catch {
+                Write-Warning "Failed to parse $($version.TempFilePath): $($_.Exception.Message)"
+            }
+        }
+    }
+
+    # Clean up temp files
+    Remove-Item -Path $contextFile -ErrorAction SilentlyContinue
+    if ($configFile) { Remove-Item -Path $configFile -ErrorAction SilentlyContinue }
+
+    for ($i = 0; $i -lt $FileVersions.Count; $i++) {
+        $version = $FileVersions[$i]
         Write-Verbose "Parsing $($version.File) at commit $($version.Commit.Substring(0,8))"
         if ($VerbosePreference -eq 'Continue') {
             Write-Verbose "  Date: $($version.Date)"
@@ -847,35 +956,8 @@ function Parse-FileVersions {
         }
         
         try {
-            # Build parser arguments with extraction context
-            $parserArgs = @($version.TempFilePath)
-            
-            # Write extraction context to temp file to avoid quote escaping issues
-            $contextFile = [System.IO.Path]::GetTempFileName()
-            $contextJson = $extractionContext | ConvertTo-Json -Depth 10 -Compress
-            # Use UTF8 without BOM to avoid JSON parsing issues
-            $utf8NoBom = New-Object System.Text.UTF8Encoding $false
-            [System.IO.File]::WriteAllText($contextFile, $contextJson, $utf8NoBom)
-
-            # Build command line arguments
-            $nodeArgs = @($parserPath, $version.TempFilePath, "--extraction-context", "@$contextFile")
-
-            # Pass configuration if available
-            if ($Config) {
-                $configFile = [System.IO.Path]::GetTempFileName()
-                $configJson = $Config | ConvertTo-Json -Depth 10 -Compress
-                $utf8NoBom = New-Object System.Text.UTF8Encoding $false
-                [System.IO.File]::WriteAllText($configFile, $configJson, $utf8NoBom)
-                $nodeArgs += @("--language-config", "@$configFile")
-            }
-
-            # Run the parser
-            $parseResult = & node @nodeArgs | ConvertFrom-Json
+            $parseResult = $parseResults[$i]
 
-            # Clean up temp files
-            Remove-Item -Path $contextFile -ErrorAction SilentlyContinue
-            if ($configFile) { Remove-Item -Path $configFile -ErrorAction SilentlyContinue }
-            
             if ($parseResult -and $parseResult.segments -and $parseResult.segments.Count -gt 0) {
                 # Filter segments based on extraction rules
                 $filteredSegments = $parseResult.segments | Where-Object {
@@ -899,8 +981,15 @@ function Parse-FileVersions {
                     return $include
                 }
                 
+                # Syntax errors make this version's extraction unreliable
+                $diagnostics = @($parseResult.diagnostics | Where-Object { $_ })
+                if ($diagnostics.Count -gt 0) {
+                    Write-Warning "$($version.File) at $($version.Commit.Substring(0,8)) has $($diagnostics.Count) syntax error(s); its segments may be incomplete"
+                }
+
                 if ($filteredSegments.Count -gt 0) {
                     $version | Add-Member -MemberType NoteProperty -Name "ParsedSegments" -Value $filteredSegments
+                    $version | Add-Member -MemberType NoteProperty -Name "Diagnostics" -Value $diagnostics -Force
                 $parsedVersions += $version
             }
             }
@@ -914,6 +1003,41 @@ function Parse-FileVersions {
     return $parsedVersions
 }
 
+# Fragments of a C# partial class (segments with "partial") are one logical
+# class: fold them into a single segment so they evolve as one chain instead
+# of being diffed against each other
+function Merge-PartialSegments {
+    param([array]$Segments)
+
+    $merged = @()
+    $fragmentGroups = @{}
+    foreach ($segment in $Segments) {
+        if (-not $segment.partial) {
+            $merged += $segment
+            continue
+        }
+
+        $key = "$($segment.type):$($segment.qualifiedName)"
+        if (-not $fragmentGroups.ContainsKey($key)) {
+            $fragmentGroups[$key] = @()
+            $merged += $key
+        }
+        $fragmentGroups[$key] += $segment
+    }
+
+    return $merged | ForEach-Object {
+        if ($_ -isnot [string]) { return $_ }
+
+        $fragments = $fragmentGroups[$_]
+        $logical = $fragments[0].PSObject.Copy()
+        $logical.endLine = $fragments[-1].endLine
+        $logical.content = ($fragments | ForEach-Object { $_.content }) -join "`n`n"
+        $logical.lineCount = ($fragments | Measure-Object -Property lineCount -Sum).Sum
+        $logical | Add-Member -NotePropertyName fingerprint -NotePropertyValue (($fragments | ForEach-Object { $_.fingerprint }) -join ':') -Force
+        $logical
+    }
+}
+
 function Build-EvolutionTimeline {
     param(
         [array]$ParsedVersions,
@@ -924,9 +1048,14 @@ function Build-EvolutionTimeline {
     $allSegments = @()
     
     foreach ($version in $ParsedVersions) {
-        foreach ($segment in $version.ParsedSegments) {
+        foreach ($segment in (Merge-PartialSegments -Segments $version.ParsedSegments)) {
+            # Qualified name keeps same-named methods of different classes apart
+            $qualifiedName = if ($segment.qualifiedName) { $segment.qualifiedName } else { $segment.name }
             $segmentData = [PSCustomObject]@{
                 Name = $segment.name
+                QualifiedName = $qualifiedName
+                # Rust's impl Invoice and impl Payable for Invoice share a name; the trait keeps their chains apart
+                ChainKey = if ($segment.type -eq 'impl' -and $segment.extends) { "$qualifiedName for $($segment.extends)" } else { $qualifiedName }
                 Type = $segment.type
                 File = $version.File
                 Commit = $version.Commit
@@ -938,6 +1067,9 @@ function Build-EvolutionTimeline {
                 EndLine = $segment.endLine + 1
                 LineCount = $segment.lineCount
                 Content = $segment.content
+                Doc = $segment.doc
+                Fingerprint = $segment.fingerprint
+                HasErrors = [bool]$segment.hasErrors
                 OriginalSegment = $segment
             }
             $allSegments += $segmentData
@@ -945,8 +1077,8 @@ function Build-EvolutionTimeline {
         $commitIndex++  # Increment for next commit pair
     }
     
-    # Group by name and type to create evolution chains
-    $evolutionChains = $allSegments | Group-Object -Property Name,Type | ForEach-Object {
+    # Group by chain key and type to create evolution chains
+    $evolutionChains = $allSegments | Group-Object -Property ChainKey,Type | ForEach-Object {
         $allVersions = $_.Group | Sort-Object Date  # Chronological order for comparison
 
         # Filter for versions with actual content differences
@@ -958,6 +1090,9 @@ function Build-EvolutionTimeline {
                 # Always include first version
                 $meaningfulVersions += $version
                 $lastVersion = $version
+            } elseif ($version.Fingerprint -and $version.Fingerprint -eq $lastVersion.Fingerprint) {
+                # Same tokens and comments as the last kept version: a layout-only change, skip it
+                continue
             } else {
                 # Compare content using git diff with whitespace ignore
                 $tempFrom = [System.IO.Path]::GetTempFileName()
@@ -990,6 +1125,7 @@ function Build-EvolutionTimeline {
 
             $chain = [PSCustomObject]@{
                 Name = $timeline[0].Name
+                QualifiedName = $timeline[0].QualifiedName
                 Type = $timeline[0].Type
                 File = $timeline[0].File
                 Versions = $timeline
@@ -1091,6 +1227,9 @@ function Show-EvolutionResults {
                 Write-Host "    Commit: $($version.Commit.Substring(0,8))" -ForegroundColor Gray
                 Write-Host "    Message: $($version.Message)" -ForegroundColor Gray
                 Write-Host "    Lines: $($version.StartLine)-$($version.EndLine) ($($version.LineCount) lines)" -ForegroundColor Gray
+                if ($version.HasErrors) {
+                    Write-Host "    Warning: syntax errors in this version, extraction may be incomplete" -ForegroundColor Yellow
+                }
             }
             
             # Show change summary
@@ -1605,6 +1744,7 @@ function Export-HtmlReport {
         .version-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; }
         .version-info { color: rgb(136 255 255); } /*##NeonSurge --text-muted */
         .version-date { color: rgb(0 255 255); font-weight: bold; } /*##NeonSurge --text-secondary */
+        .syntax-warning { color: rgb(255 204 0); margin-left: 8px; } /*##NeonSurge --accent-500 */
         .code-content { background: rgb(0 0 0); color: rgb(255 255 255); font-family: 'Consolas', monospace; padding: 15px; border-radius: 4px; overflow-x: auto; white-space: pre; font-size: 13px; margin-top: 10px; line-height: 1.5; border: 1px solid rgb(0 63 103); } /*##NeonSurge --bg-primary --text-primary --border-subtle */
         .changes-summary { background: rgb(0 17 34); padding: 15px; margin: 15px; border-radius: 4px; border-left: 4px solid rgb(255 204 0); } /*##NeonSurge --bg-surface --accent-500 */
         .change-item { margin: 5px 0; font-size: 0.9em; }
@@ -2356,6 +2496,7 @@ $(Get-ShadeCss)
                         by $($version.Author) |
                         Commit: $($version.Commit.Substring(0,8)) |
                         Lines: $($version.StartLine)-$($version.EndLine) ($($version.LineCount) lines)
+                        $(if ($version.HasErrors) { '<span class="syntax-warning" title="This version has syntax errors; the extracted code may be incomplete">&#9888; syntax errors</span>' })
                     </div>
                     <div class="view-buttons">
                         <button class="toggle-btn code-btn" onclick="setViewMode(this, 'code', '$versionContainerId')">Code</button>
@@ -2835,7 +2976,7 @@ function Main {
         
         # Step 2: Parse with Acorn
         Write-Host "`nStep 2: Parsing code with language auto-detection..." -ForegroundColor Yellow
-        $parsedVersions = Parse-FileVersions -FileVersions $fileVersions -BaseClass $BaseClass -ClassName $ClassName -Parser $Parser
+        $parsedVersions = Parse-FileVersions -FileVersions $fileVersions -BaseClass $BaseClass -ClassName $ClassName -Parser $Parser -IncludeDocs $IncludeDocs -ExactContent $ExactContent -IgnoreLocalNames $IgnoreLocalNames -AllowExtractors $AllowExtractors
         
         Write-Host "Successfully parsed $($parsedVersions.Count) versions" -ForegroundColor Green
         
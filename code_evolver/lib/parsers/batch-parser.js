@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/*
+ * Batch parser: parses many (path, content) jobs across a worker_threads pool
+ *
+ * Each worker owns one ParseSession (one WASM parser), so grammars are loaded
+ * once per worker instead of once per file. Results stream back as NDJSON in
+ * completion order; every line carries the job's id so callers can match them up.
+ *
+ * Input (NDJSON, one job per line):
+ *   {"id": "abc123:src/app.js", "path": "src/app.js", "content": "..."}
+ *   {"id": 2, "path": "/tmp/app_1a2b3c4d.js"}          <- content read from path
+ *
+ * Output (NDJSON, one result per job):
+ *   {"id": ..., "filePath": ..., "language": ..., "diagnostics": [...], "segments": [...]}
+ *   {"id": ..., "filePath": ..., "error": "..."}
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// Worker side: parse jobs one at a time with a long-lived session
+function runWorker() {
+  const { ParseSession, buildParseResult } = require('./tree-sitter-parser');
+  const { ParseCache } = require('../../../shared/parse-cache');
+  const cache = workerData.cache === false ? false : new ParseCache({ dir: workerData.cache });
+  const session = new ParseSession({
+    languageConfig: workerData.languageConfig,
+    cache,
+    grammarDirs: workerData.grammarDirs,
+    allowExtractors: workerData.allowExtractors
+  });
+
+  parentPort.on('message', async (message) => {
+    if (message.type === 'shutdown') {
+      session.dispose();
+      parentPort.close();
+      return;
+    }
+
+    const { job } = message;
+    try {
+      const code = job.content !== undefined ? job.content : fs.readFileSync(job.path, 'utf8');
+      const { segments, diagnostics } = await session.parseWithDiagnostics(code, job.path, workerData.extractionContext);
+      const language = session.grammars.detectLanguage(job.path, code);
+      parentPort.postMessage({ id: job.id, result: buildParseResult(job.path, segments, diagnostics, language) });
+    } catch (error) {
+      parentPort.postMessage({ id: job.id, filePath: job.path, error: error.message });
+    }
+  });
+}
+
+// Parse an (async) iterable of jobs on a worker pool.
+// onResult is called once per job, in completion order.
+async function runBatch(jobs, options = {}) {
+  // One worker per CPU unless a positive whole number is asked for
+  const workerCount = Number.isInteger(options.workers) && options.workers > 0 ? options.workers : os.cpus().length;
+  const onResult = options.onResult || (() => {});
+  const iterator = jobs[Symbol.asyncIterator] ? jobs[Symbol.asyncIterator]() : jobs[Symbol.iterator]();
+
+  const stats = { total: 0, failed: 0 };
+  let exhausted = false;
+  let jobIndex = 0;
+
+  async function nextJob() {
+    if (exhausted) return null;
+    const { value, done } = await iterator.next();
+    if (done) {
+      exhausted = true;
+      return null;
+    }
+    const index = jobIndex++;
+    return { ...value, id: value.id !== undefined ? value.id : index };
+  }
+
+  function drive(worker) {
+    return new Promise((resolve, reject) => {
+      let current = null;
+
+      const dispatch = async () => {
+        current = await nextJob();
+        if (!current) {
+          worker.postMessage({ type: 'shutdown' });
+          return;
+        }
+        stats.total++;
+        worker.postMessage({ type: 'job', job: current });
+      };
+
+      worker.on('message', (message) => {
+        current = null;
+        if (message.error) {
+          stats.failed++;
+          onResult({ id: message.id, filePath: message.filePath, error: message.error });
+        } else {
+          onResult({ id: message.id, ...message.result });
+        }
+        dispatch().catch(reject);
+      });
+      worker.on('error', reject);
+      worker.on('exit', (code) => {
+        // A worker that dies mid-job (a WASM abort, process.exit in an extractor
+        // module) never answers for it; report the job as failed
+        if (current) {
+          stats.failed++;
+          onResult({ id: current.id, filePath: current.path, error: `Worker exited with code ${code} while parsing` });
+          current = null;
+        }
+        resolve();
+      });
+
+      dispatch().catch(reject);
+    });
+  }
+
+  const workers = Array.from({ length: workerCount }, () => new Worker(__filename, {
+    workerData: {
+      extractionContext: options.extractionContext || null,
+      languageConfig: options.languageConfig || null,
+      grammarDirs: options.grammarDirs || [],
+      allowExtractors: Boolean(options.allowExtractors),
+      // Cache directory, or false to disable caching
+      cache: options.cache !== undefined ? options.cache : null
+    }
+  }));
+
+  try {
+    await Promise.all(workers.map(drive));
+  } finally {
+    // A failing job stream or worker leaves the others running otherwise
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+  return stats;
+}
+
+// Read NDJSON jobs from a stream, skipping blank lines
+async function* readJobs(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 1) {
+    console.error("Usage: node batch-parser.js <jobs.ndjson|-> [--workers N] [--extraction-context JSON] [--language-config JSON] [--query-dir DIR] [--grammar-dir DIR] [--allow-extractors] [--cache-dir DIR] [--no-cache]");
+    process.exit(1);
+  }
+
+  const { readJsonArgument } = require('./tree-sitter-parser');
+  const input = args[0];
+  const options = { workers: 0, extractionContext: null, languageConfig: null, grammarDirs: [] };
+  const queryDirs = [];
+
+  for (let i = 1; i < args.length; i++) {
+    try {
+      if (args[i] === "--workers" && i + 1 < args.length) {
+        const workers = Number(args[++i]);
+        if (Number.isInteger(workers) && workers > 0) {
+          options.workers = workers;
+        } else {
+          console.error(`Ignoring --workers ${args[i]}: expected a positive whole number, using one worker per CPU`);
+        }
+      } else if (args[i] === "--extraction-context" && i + 1 < args.length) {
+        options.extractionContext = readJsonArgument(args[++i]);
+      } else if (args[i] === "--language-config" && i + 1 < args.length) {
+        options.languageConfig = readJsonArgument(args[++i]);
+      } else if (args[i] === "--query-dir" && i + 1 < args.length) {
+        queryDirs.push(path.resolve(args[++i]));
+      } else if (args[i] === "--grammar-dir" && i + 1 < args.length) {
+        options.grammarDirs.push(path.resolve(args[++i]));
+      } else if (args[i] === "--allow-extractors") {
+        options.allowExtractors = true;
+      } else if (args[i] === "--cache-dir" && i + 1 < args.length) {
+        options.cache = path.resolve(args[++i]);
+      } else if (args[i] === "--no-cache") {
+        options.cache = false;
+      }
+    } catch (error) {
+      console.error("Invalid JSON argument:", error.message);
+      process.exit(1);
+    }
+  }
+
+  if (queryDirs.length > 0) {
+    options.extractionContext = { ...options.extractionContext, QueryDirs: queryDirs };
+  }
+
+  if (input !== '-' && !fs.existsSync(input)) {
+    console.error(`Jobs file not found: ${input}`);
+    process.exit(1);
+  }
+
+  const stream = input === '-' ? process.stdin : fs.createReadStream(input, 'utf8');
+  const started = Date.now();
+
+  try {
+    const stats = await runBatch(readJobs(stream), {
+      ...options,
+      onResult: (result) => process.stdout.write(JSON.stringify(result) + '\n')
+    });
+    console.error(`Parsed ${stats.total} jobs (${stats.failed} failed) in ${Date.now() - started}ms`);
+  } catch (error) {
+    console.error("Batch parsing failed:", error.message);
+    process.exit(1);
+  }
+}
+
+if (isMainThread) {
+  // Export for module use
+  module.exports = { runBatch, readJobs };
+
+  if (require.main === module) {
+    main();
+  }
+} else {
+  runWorker();
+}
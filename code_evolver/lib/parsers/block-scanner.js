@@ -0,0 +1,484 @@
+/*
+ * Structure-aware block scanner for the regex fallback
+ *
+ * When no grammar is available the fallback still needs to know where a
+ * definition ends. BlockScanner lexes the file once - skipping strings,
+ * comments, template literals, here-strings and heredocs - and answers
+ * findEnd(line, column) for a definition starting there:
+ *
+ *   brace languages   the matching "}" of the first block opened at bracket
+ *                     depth 0, else the end of the statement (";" or a line
+ *                     break that doesn't continue the expression)
+ *   Python            the last line indented under a "...:" header, else the
+ *                     end of the logical line (brackets, backslashes, strings)
+ *
+ * Returns { endLine, endColumn } (0-based; endColumn is exclusive).
+ * startsInCode(line) tells whether a line begins outside strings and comments.
+ */
+
+const { SourceIndex } = require('./source-ranges');
+
+// Last code character of a line that means the statement goes on
+const continuationChars = new Set(['=', '>', '<', '+', '-', '*', '/', '%', ',', '(', '[', '.', '&', '|', '?', ':', '\\', '`', '!', '~', '^']);
+
+// Characters after which "/" starts a regex literal rather than a division
+const regexPrecedingChars = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const regexPrecedingWords = /(?:^|[^\w$])(return|typeof|case|in|of|delete|void|throw|new|yield|await)$/;
+
+const lexicalRules = {
+  javascript: { lineComment: '//', blockComment: ['/*', '*/'], templates: true, regex: true },
+  typescript: { lineComment: '//', blockComment: ['/*', '*/'], templates: true, regex: true },
+  tsx: { lineComment: '//', blockComment: ['/*', '*/'], templates: true, regex: true },
+  csharp: { lineComment: '//', blockComment: ['/*', '*/'], verbatimStrings: true },
+  powershell: { lineComment: '#', blockComment: ['<#', '#>'], hereStrings: true, rawSingleQuotes: true, singleQuoteDoubling: true, escape: '`' },
+  bash: { lineComment: '#', heredocs: true, rawSingleQuotes: true },
+  r: { lineComment: '#', backtickNames: true, rawStrings: true }
+};
+
+class BlockScanner {
+  constructor(code, language) {
+    this.code = code;
+    this.language = language;
+    this.source = new SourceIndex(code);
+
+    if (language === 'python') {
+      this.lines = scanPythonLines(code);
+    } else {
+      const { tokens, lastCode, codeLineBreaks } = lexBraces(code, lexicalRules[language] || lexicalRules.javascript);
+      this.tokens = tokens;
+      this.lastCode = lastCode;
+      this.codeLineBreaks = codeLineBreaks;
+      this.matches = matchBrackets(tokens);
+    }
+  }
+
+  findEnd(line, column = 0) {
+    return this.language === 'python' ? this.findPythonEnd(line) : this.findBraceEnd(line, column);
+  }
+
+  // False when the line starts inside a string, here-string, heredoc or block
+  // comment, so text there that looks like a definition isn't one
+  startsInCode(line) {
+    if (this.language === 'python') return !this.lines[line].inString;
+    return line === 0 || this.codeLineBreaks.has(this.source.lineStarts[line] - 1);
+  }
+
+  endOfLine(line) {
+    return { endLine: line, endColumn: this.source.lineText(line).length };
+  }
+
+  endAt(offset) {
+    const { line, column } = this.source.position(offset);
+    return { endLine: line, endColumn: column };
+  }
+
+  findBraceEnd(line, column) {
+    const start = this.source.offset(line, column);
+    let depth = 0;
+
+    for (let k = firstTokenAt(this.tokens, start); k < this.tokens.length; k++) {
+      const token = this.tokens[k];
+
+      if (token.char === '(' || token.char === '[') {
+        depth++;
+      } else if (token.char === ')' || token.char === ']') {
+        // Closing a bracket we never opened: the definition was an argument
+        if (--depth < 0) return this.endAt(token.index);
+      } else if (token.char === '{') {
+        const close = this.matches.get(k);
+        if (close === undefined) return this.endOfLine(this.source.lines.length - 1);
+        if (depth === 0) {
+          // const handler = function () { ... };
+          const next = this.tokens[close + 1];
+          const semicolon = next && next.char === ';' && !this.code.substring(this.tokens[close].index + 1, next.index).trim();
+          return this.endAt((semicolon ? next.index : this.tokens[close].index) + 1);
+        }
+        k = close;
+      } else if (token.char === '}') {
+        return this.endAt(token.index);
+      } else if (token.char === ';' && depth === 0) {
+        return this.endAt(token.index + 1);
+      } else if (token.char === '\n' && depth === 0) {
+        const { line: endLine } = this.source.position(token.index);
+        const last = this.lastCode.get(token.index);
+        // Blank and comment-only lines neither end nor continue a statement
+        if (last === undefined) continue;
+        if (continuationChars.has(last) || this.nextLineOpensBlock(endLine)) continue;
+        return this.endOfLine(endLine);
+      }
+    }
+    return this.endOfLine(this.source.lines.length - 1);
+  }
+
+  // Allman style: the header's "{" on a line of its own
+  nextLineOpensBlock(line) {
+    for (let next = line + 1; next < this.source.lines.length; next++) {
+      const text = this.source.lineText(next).trim();
+      if (text) return text.startsWith('{');
+    }
+    return false;
+  }
+
+  findPythonEnd(line) {
+    const lines = this.lines;
+    let headerEnd = line;
+    while (headerEnd + 1 < lines.length && !lines[headerEnd + 1].logicalStart) {
+      headerEnd++;
+    }
+    if (lines[headerEnd].lastCode !== ':') return this.endOfLine(headerEnd);
+
+    const indent = lines[line].indent;
+    let end = headerEnd;
+    for (let next = headerEnd + 1; next < lines.length; next++) {
+      if (!lines[next].hasCode) continue;
+      if (lines[next].logicalStart && lines[next].indent <= indent) break;
+      end = next;
+    }
+    return this.endOfLine(end);
+  }
+}
+
+function firstTokenAt(tokens, offset) {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (tokens[middle].index < offset) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Token index of each opening bracket -> index of its closing bracket
+function matchBrackets(tokens) {
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  const stack = [];
+  const matches = new Map();
+
+  tokens.forEach((token, k) => {
+    if (token.char === '(' || token.char === '[' || token.char === '{') {
+      stack.push(k);
+    } else if (pairs[token.char]) {
+      // Skip over unbalanced openers of another kind
+      let open = stack.length - 1;
+      while (open >= 0 && tokens[stack[open]].char !== pairs[token.char]) open--;
+      if (open >= 0) {
+        matches.set(stack[open], k);
+        stack.length = open;
+      }
+    }
+  });
+  return matches;
+}
+
+// Lex a brace language. Returns the structural tokens ({ } ( ) [ ] ; and line
+// breaks) outside strings and comments, for each line break the last code
+// character before it on that line, and the offsets of line breaks in code.
+function lexBraces(code, rules) {
+  const tokens = [];
+  const lastCode = new Map();
+  const codeLineBreaks = new Set();
+  let last = '';
+  let lineHasCode = false;
+  let i = 0;
+  const n = code.length;
+
+  const startsWith = (text, at = i) => code.startsWith(text, at);
+
+  const skipLine = () => {
+    while (i < n && code[i] !== '\n') i++;
+  };
+
+  const skipQuoted = (quote, options = {}) => {
+    i++;
+    while (i < n) {
+      const c = code[i];
+      if (c === (options.escape || '\\') && !options.raw) {
+        i += 2;
+        continue;
+      }
+      if (c === quote) {
+        // '' and "" inside PowerShell and verbatim strings
+        if (options.doubling && code[i + 1] === quote) {
+          i += 2;
+          continue;
+        }
+        i++;
+        return;
+      }
+      if (c === '\n' && options.singleLine) return;
+      i++;
+    }
+  };
+
+  // `text ${ code } text`
+  const skipTemplate = () => {
+    i++;
+    while (i < n) {
+      if (code[i] === '\\') {
+        i += 2;
+      } else if (code[i] === '`') {
+        i++;
+        return;
+      } else if (startsWith('${')) {
+        i += 2;
+        lexCode(true);
+      } else {
+        i++;
+      }
+    }
+  };
+
+  const skipRegex = () => {
+    i++;
+    let inClass = false;
+    while (i < n && code[i] !== '\n') {
+      const c = code[i];
+      if (c === '\\') {
+        i += 2;
+        continue;
+      }
+      if (c === '[') inClass = true;
+      else if (c === ']') inClass = false;
+      else if (c === '/' && !inClass) {
+        i++;
+        while (i < n && /\w/.test(code[i])) i++;
+        return;
+      }
+      i++;
+    }
+  };
+
+  const pendingHeredocs = [];
+
+  const skipHeredocs = () => {
+    // Called at a line break: skip the bodies of heredocs opened on this line
+    for (const { word, stripTabs } of pendingHeredocs.splice(0)) {
+      while (i < n) {
+        const end = code.indexOf('\n', i + 1);
+        const lineText = code.substring(i + 1, end === -1 ? n : end).replace(/\r$/, '');
+        i = end === -1 ? n : end;
+        if ((stripTabs ? lineText.replace(/^\t+/, '') : lineText) === word) break;
+      }
+    }
+  };
+
+  const emit = (char) => {
+    tokens.push({ char, index: i });
+    if (char === '\n') {
+      codeLineBreaks.add(i);
+      lastCode.set(i, lineHasCode ? last : undefined);
+      lineHasCode = false;
+    } else {
+      last = char;
+      lineHasCode = true;
+    }
+  };
+
+  const markCode = (char) => {
+    last = char;
+    lineHasCode = true;
+  };
+
+  // Returns when a template hole's closing "}" is reached (inHole) or at the end
+  const lexCode = (inHole = false) => {
+    let depth = 0;
+    while (i < n) {
+      const c = code[i];
+
+      if (c === '\n') {
+        emit('\n');
+        if (pendingHeredocs.length > 0) {
+          // The next line starts inside a heredoc body; stop at the terminator's line break
+          codeLineBreaks.delete(i);
+          skipHeredocs();
+        } else {
+          i++;
+        }
+        continue;
+      }
+      if (c === ' ' || c === '\t' || c === '\r') {
+        i++;
+        continue;
+      }
+
+      if (rules.blockComment && startsWith(rules.blockComment[0])) {
+        const end = code.indexOf(rules.blockComment[1], i + rules.blockComment[0].length);
+        // Keep the line breaks inside the comment out of the statement logic
+        i = end === -1 ? n : end + rules.blockComment[1].length;
+        continue;
+      }
+      if (startsWith(rules.lineComment) &&
+          (rules.lineComment !== '#' || !rules.heredocs || i === 0 || /[\s;(|&]/.test(code[i - 1]))) {
+        skipLine();
+        continue;
+      }
+
+      if (rules.hereStrings && (startsWith('@"') || startsWith("@'")) && /^\s*\r?\n/.test(code.substring(i + 2, i + 4))) {
+        const terminator = `\n${code[i + 1]}@`;
+        const end = code.indexOf(terminator, i);
+        i = end === -1 ? n : end + terminator.length;
+        markCode('"');
+        continue;
+      }
+      if (rules.heredocs && startsWith('<<') && !startsWith('<<<')) {
+        const heredoc = code.substring(i).match(/^<<(-?)\s*(['"]?)([\w.-]+)\2/);
+        if (heredoc) {
+          pendingHeredocs.push({ word: heredoc[3], stripTabs: heredoc[1] === '-' });
+          i += heredoc[0].length;
+          markCode('"');
+          continue;
+        }
+      }
+      if (rules.rawStrings && /[rR]/.test(c) && /["']/.test(code[i + 1] || '') && !/[\w.]/.test(code[i - 1] || '')) {
+        // r"(...)", r"-[...]-"
+        const raw = code.substring(i).match(/^[rR](["'])(-*)([([{])/);
+        if (raw) {
+          const closer = { '(': ')', '[': ']', '{': '}' }[raw[3]];
+          const end = code.indexOf(`${closer}${raw[2]}${raw[1]}`, i + raw[0].length);
+          i = end === -1 ? n : end + raw[2].length + 2;
+          markCode('"');
+          continue;
+        }
+      }
+      if (rules.verbatimStrings && (startsWith('"""'))) {
+        const end = code.indexOf('"""', i + 3);
+        i = end === -1 ? n : end + 3;
+        markCode('"');
+        continue;
+      }
+      if (rules.verbatimStrings && /^(@\$?|\$@)"/.test(code.substring(i, i + 3))) {
+        i += code[i + 1] === '"' ? 1 : 2;
+        skipQuoted('"', { raw: true, doubling: true });
+        markCode('"');
+        continue;
+      }
+
+      if (c === '"' || c === "'") {
+        skipQuoted(c, {
+          raw: rules.rawSingleQuotes && c === "'",
+          doubling: rules.singleQuoteDoubling || (rules.escape === '`' && c === '"'),
+          escape: rules.escape,
+          singleLine: rules.templates
+        });
+        markCode('"');
+        continue;
+      }
+      if (c === '`' && rules.templates) {
+        skipTemplate();
+        markCode('"');
+        continue;
+      }
+      if (c === '`' && rules.backtickNames) {
+        skipQuoted('`', { singleLine: true });
+        markCode('x');
+        continue;
+      }
+      if (c === '/' && rules.regex && (regexPrecedingChars.has(last) || regexPrecedingWords.test(code.substring(Math.max(0, i - 10), i)))) {
+        skipRegex();
+        markCode('"');
+        continue;
+      }
+
+      if (c === '{') {
+        depth++;
+      } else if (c === '}') {
+        if (inHole && depth === 0) {
+          i++;
+          return;
+        }
+        depth--;
+      }
+
+      if ('{}()[];'.includes(c)) {
+        emit(c);
+      } else {
+        // Words count as one code character: keep their last letter
+        markCode(c);
+      }
+      i++;
+    }
+  };
+
+  lexCode();
+  return { tokens, lastCode, codeLineBreaks };
+}
+
+// Python: for each line its indentation, whether it has code, whether it
+// starts a logical line (not inside brackets, a string or a backslash
+// continuation) and the last code character of the logical line so far
+function scanPythonLines(code) {
+  const lines = [];
+  let depth = 0;
+  let stringQuote = null;  // Open triple-quoted string
+  let continued = false;
+
+  for (const text of code.split('\n')) {
+    const info = {
+      indent: text.length - text.trimStart().length,
+      hasCode: false,
+      logicalStart: depth === 0 && !stringQuote && !continued,
+      inString: Boolean(stringQuote),
+      lastCode: null
+    };
+    continued = false;
+
+    let i = 0;
+    while (i < text.length) {
+      if (stringQuote) {
+        const end = text.indexOf(stringQuote, i);
+        if (end === -1) {
+          i = text.length;
+          info.hasCode = true;
+          break;
+        }
+        i = end + 3;
+        stringQuote = null;
+        info.hasCode = true;
+        info.lastCode = '"';
+        continue;
+      }
+
+      const c = text[i];
+      if (c === '#') break;
+      if (c === ' ' || c === '\t' || c === '\r') {
+        i++;
+        continue;
+      }
+
+      info.hasCode = true;
+      if (c === '"' || c === "'") {
+        const triple = c.repeat(3);
+        if (text.startsWith(triple, i)) {
+          stringQuote = triple;
+          i += 3;
+          continue;
+        }
+        i++;
+        while (i < text.length && text[i] !== c) {
+          i += text[i] === '\\' ? 2 : 1;
+        }
+        i++;
+        info.lastCode = '"';
+        continue;
+      }
+
+      if ('([{'.includes(c)) depth++;
+      else if (')]}'.includes(c)) depth = Math.max(0, depth - 1);
+      else if (c === '\\' && text.substring(i + 1).trim() === '') continued = true;
+
+      info.lastCode = c;
+      i++;
+    }
+
+    lines.push(info);
+  }
+  return lines;
+}
+
+module.exports = {
+  BlockScanner
+};
@@ -0,0 +1,62 @@
+/*
+ * Syntax error diagnostics from tree-sitter
+ *
+ * Tree-sitter always produces a tree; where the source doesn't parse it
+ * inserts ERROR nodes (unparseable text) and MISSING nodes (a token it had to
+ * assume, like a closing brace). collectDiagnostics lists them:
+ *
+ *   { kind: 'error' | 'missing', message, startLine, startColumn, endLine, endColumn, snippet }
+ *
+ * Lines and columns are 0-based, like segment lines.
+ */
+
+const MAX_SNIPPET_LENGTH = 200;
+
+function diagnosticFor(node, kind, lines) {
+  const { row: startLine, column: startColumn } = node.startPosition;
+  const { row: endLine, column: endColumn } = node.endPosition;
+
+  const text = node.text.split('\n')[0].trim();
+  const message = kind === 'missing'
+    ? `Missing "${node.type}"`
+    : text ? `Unexpected "${text.length > 40 ? `${text.substring(0, 40)}...` : text}"` : 'Syntax error';
+
+  const line = (lines[startLine] || '').replace(/\r$/, '');
+  return {
+    kind,
+    message,
+    startLine,
+    startColumn,
+    endLine,
+    endColumn,
+    snippet: line.length > MAX_SNIPPET_LENGTH ? `${line.substring(0, MAX_SNIPPET_LENGTH)}...` : line
+  };
+}
+
+// Walk only the branches that contain errors
+function collectDiagnostics(rootNode, code) {
+  const diagnostics = [];
+  if (!rootNode.hasError) return diagnostics;
+
+  const lines = code.split('\n');
+  const visit = (node) => {
+    if (node.isMissing) {
+      diagnostics.push(diagnosticFor(node, 'missing', lines));
+      return;
+    }
+    if (node.isError) {
+      diagnostics.push(diagnosticFor(node, 'error', lines));
+      return;
+    }
+    for (const child of node.children) {
+      if (child.hasError || child.isMissing) visit(child);
+    }
+  };
+
+  visit(rootNode);
+  return diagnostics;
+}
+
+module.exports = {
+  collectDiagnostics
+};
@@ -0,0 +1,370 @@
+/*
+ * Doc comments and docstrings for extracted segments
+ *
+ * extractDocComment(node, language) finds the documentation a segment's node
+ * carries and parses it into tags:
+ *
+ *   JavaScript/TypeScript  /** JSDoc *\/ directly above
+ *   Python                 docstring, the first statement of the body
+ *   PowerShell             comment-based help (.SYNOPSIS, .PARAMETER Name, ...)
+ *                          above the function or at the start of its body
+ *   R                      roxygen #' block directly above
+ *   C#                     /// XML doc directly above
+ *
+ * Returns null when there is none, otherwise:
+ *
+ *   {
+ *     raw: '/** ... *\/',
+ *     description: 'Summary text',
+ *     tags: [{ tag: 'param', name: 'id', type: 'number', description: '...' }],
+ *     startLine, startColumn,       0-based, like segment ranges
+ *     endLine, endColumn
+ *   }
+ */
+
+// Nodes a definition can be wrapped in; the doc comment sits above the wrapper
+const wrapperTypes = new Set([
+  'export_statement', 'lexical_declaration', 'variable_declaration', 'expression_statement',
+  'ambient_declaration', 'decorated_definition', 'statement_list'
+]);
+
+const powerShellHelpKeywords = /^\s*\.(SYNOPSIS|DESCRIPTION|PARAMETER|EXAMPLE|INPUTS|OUTPUTS|NOTES|LINK|COMPONENT|ROLE|FUNCTIONALITY|FORWARDHELPTARGETNAME|FORWARDHELPCATEGORY|REMOTEHELPRUNSPACE|EXTERNALHELP)\b/im;
+
+// Doc text from CRLF (or old Mac CR) files, with \n line breaks only
+function normalizeNewlines(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+function isComment(node) {
+  return node && /comment/.test(node.type);
+}
+
+function docResult(nodes, raw, parsed) {
+  return {
+    raw,
+    description: parsed.description || null,
+    tags: parsed.tags,
+    startLine: nodes[0].startPosition.row,
+    startColumn: nodes[0].startPosition.column,
+    endLine: nodes[nodes.length - 1].endPosition.row,
+    endColumn: nodes[nodes.length - 1].endPosition.column
+  };
+}
+
+function tag(name, fields = {}) {
+  return {
+    tag: name,
+    name: fields.name || null,
+    type: fields.type || null,
+    description: fields.description ? fields.description.trim() : null
+  };
+}
+
+// Comments directly above a node (at most maxGap blank lines between them),
+// looking past decorators and through wrappers like export statements
+function precedingComments(node, maxGap = 0) {
+  let anchor = node;
+  let previous = null;
+  let nextRow = node.startPosition.row;
+
+  for (;;) {
+    previous = anchor.previousNamedSibling;
+    while (previous && previous.type === 'decorator') {
+      nextRow = Math.min(nextRow, previous.startPosition.row);
+      previous = previous.previousNamedSibling;
+    }
+    if (previous || !anchor.parent || !wrapperTypes.has(anchor.parent.type)) break;
+    anchor = anchor.parent;
+    nextRow = Math.min(nextRow, anchor.startPosition.row);
+  }
+
+  const comments = [];
+  while (isComment(previous) && previous.endPosition.row >= nextRow - 1 - maxGap) {
+    comments.unshift(previous);
+    nextRow = previous.startPosition.row;
+    previous = previous.previousNamedSibling;
+    maxGap = 0;  // Only the doc block itself may be separated from the code
+  }
+  return comments;
+}
+
+// The trailing run of comments that all match a prefix (/// or #')
+function trailingRun(comments, prefix) {
+  const run = [];
+  for (let i = comments.length - 1; i >= 0 && comments[i].text.startsWith(prefix); i--) {
+    run.unshift(comments[i]);
+  }
+  return run;
+}
+
+function extractDocComment(node, language) {
+  switch (language) {
+    case 'javascript':
+    case 'typescript':
+    case 'tsx': {
+      const last = precedingComments(node).pop();
+      return last && last.text.startsWith('/**') && !last.text.startsWith('/**/')
+        ? docResult([last], last.text, parseJsDoc(last.text))
+        : null;
+    }
+    case 'python':
+      return pythonDocstring(node);
+    case 'powershell':
+      return powerShellHelp(node);
+    case 'r': {
+      const run = trailingRun(precedingComments(node), "#'");
+      if (run.length === 0) return null;
+      const raw = run.map(c => c.text).join('\n');
+      return docResult(run, raw, parseRoxygen(run.map(c => normalizeNewlines(c.text).replace(/^#' ?/, '').replace(/\n$/, ''))));
+    }
+    case 'csharp': {
+      const run = trailingRun(precedingComments(node), '///');
+      if (run.length === 0) return null;
+      const raw = run.map(c => c.text).join('\n');
+      return docResult(run, raw, parseXmlDoc(normalizeNewlines(run.map(c => c.text.replace(/^\/\/\/ ?/, '')).join('\n'))));
+    }
+  }
+  return null;
+}
+
+// JSDoc: description, then @tag {type} name description
+
+function parseJsDoc(text) {
+  const lines = normalizeNewlines(text)
+    .replace(/^\/\*\*/, '')
+    .replace(/\*\/$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, ''));
+
+  return parseAtTags(lines, (name, rest) => {
+    const typed = rest.match(/^\{([^}]*)\}\s*([\s\S]*)$/);
+    const type = typed ? typed[1] : null;
+    rest = typed ? typed[2] : rest;
+
+    if (['param', 'arg', 'argument', 'property', 'prop', 'typedef', 'template'].includes(name)) {
+      // [name=default] for optional parameters
+      const named = rest.match(/^(\[[^\]]*\]|\S+)\s*(?:-\s*)?([\s\S]*)$/);
+      return tag(name, { type, name: named?.[1], description: named?.[2] });
+    }
+    return tag(name === 'return' ? 'returns' : name, { type, description: rest });
+  });
+}
+
+// Shared by JSDoc and roxygen: text before the first @tag is the description,
+// every @tag line (plus its continuation lines) becomes one tag
+function parseAtTags(lines, makeTag) {
+  const description = [];
+  const tags = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) tags.push(makeTag(current.name, current.lines.join('\n').trim()));
+  };
+
+  for (const line of lines) {
+    const match = line.match(/^\s*@(\w+)\s*(.*)$/);
+    if (match) {
+      flush();
+      current = { name: match[1], lines: [match[2]] };
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      description.push(line);
+    }
+  }
+  flush();
+
+  return { description: description.join('\n').trim(), tags };
+}
+
+// Roxygen: title/description, then @param name description, @return, @export ...
+
+function parseRoxygen(lines) {
+  return parseAtTags(lines, (name, rest) => {
+    if (name === 'param' || name === 'field' || name === 'slot') {
+      const named = rest.match(/^(\S+)\s*([\s\S]*)$/);
+      return tag(name, { name: named?.[1], description: named?.[2] });
+    }
+    return tag(name === 'return' ? 'returns' : name, { description: rest });
+  });
+}
+
+// C# XML doc: <summary>, <param name="x">, <returns>, <exception cref="T"> ...
+
+function xmlText(text) {
+  // <see cref="T"/> and friends read as their target
+  return text
+    .replace(/<(?:see|seealso|paramref|typeparamref)\s+(?:cref|name|langword)="([^"]*)"\s*\/>/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+    .split('\n').map(line => line.trim()).join('\n')
+    .trim();
+}
+
+function parseXmlDoc(text) {
+  const tags = [];
+  let description = null;
+  const element = /<(\w+)((?:\s+\w+="[^"]*")*)\s*(?:\/>|>([\s\S]*?)<\/\1>)/g;
+
+  for (const match of text.matchAll(element)) {
+    const [, name, attributes, body = ''] = match;
+    const attribute = (key) => attributes.match(new RegExp(`${key}="([^"]*)"`))?.[1];
+
+    if (name === 'summary') {
+      description = xmlText(body);
+    } else if (name === 'exception') {
+      tags.push(tag(name, { type: attribute('cref'), description: xmlText(body) }));
+    } else {
+      tags.push(tag(name, { name: attribute('name') || attribute('cref'), description: xmlText(body) }));
+    }
+  }
+  return { description, tags };
+}
+
+// Python docstrings: Google style sections (Args:, Returns:, Raises:) and
+// Sphinx fields (:param x:, :type x:, :returns:, :rtype:, :raises E:)
+
+function pythonDocstring(node) {
+  const definition = node.type === 'decorated_definition' ? node.childForFieldName('definition') : node;
+  const first = definition?.childForFieldName('body')?.namedChildren.find(c => !isComment(c));
+  const string = first?.type === 'expression_statement' ? first.namedChild(0) : null;
+  if (!string || string.type !== 'string') return null;
+
+  const raw = string.text;
+  const text = cleanDocstring(raw.replace(/^[rRuUbB]*("""|'''|"|')/, '').replace(/("""|'''|"|')$/, ''));
+  return docResult([string], raw, parsePythonDocstring(text));
+}
+
+// inspect.cleandoc: drop the common indentation of all lines after the first
+function cleanDocstring(text) {
+  const lines = normalizeNewlines(text).replace(/\t/g, '    ').split('\n');
+  const indents = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^ */)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return [lines[0].trim(), ...lines.slice(1).map(line => line.substring(indent).trimEnd())].join('\n').trim();
+}
+
+const googleSections = {
+  'args': 'param', 'arguments': 'param', 'parameters': 'param', 'params': 'param',
+  'keyword args': 'param', 'keyword arguments': 'param', 'other parameters': 'param',
+  'attributes': 'attribute', 'returns': 'returns', 'return': 'returns',
+  'yields': 'yields', 'yield': 'yields', 'raises': 'raises', 'examples': 'example', 'example': 'example',
+  'note': 'note', 'notes': 'note', 'see also': 'see', 'warning': 'warning', 'warnings': 'warning'
+};
+
+function parsePythonDocstring(text) {
+  const lines = text.split('\n');
+  const description = [];
+  const tags = [];
+  let section = null;
+  let current = null;
+
+  const flush = () => {
+    if (current) tags.push(tag(current.tag, { ...current, description: current.lines.join('\n') }));
+    current = null;
+  };
+
+  for (const line of lines) {
+    const sphinx = line.match(/^:(\w+)(?:\s+([^:]+?))?\s*:\s*(.*)$/);
+    const header = line.match(/^([A-Za-z][A-Za-z ]*):\s*$/);
+
+    if (sphinx) {
+      flush();
+      section = null;
+      const [, field, argument = null, rest] = sphinx;
+      const name = { return: 'returns', raise: 'raises', except: 'raises', exception: 'raises' }[field] || field;
+      // :param int x: carries the type before the name
+      const typed = name === 'param' && argument?.includes(' ') ? argument.split(/\s+(?=\S+$)/) : null;
+      current = name === 'raises'
+        ? { tag: name, type: argument, lines: [rest] }
+        : { tag: name, name: typed ? typed[1] : argument, type: typed ? typed[0] : null, lines: [rest] };
+    } else if (header && googleSections[header[1].toLowerCase()]) {
+      flush();
+      section = googleSections[header[1].toLowerCase()];
+    } else if (section && /^\S/.test(line) && line.trim()) {
+      // Unindented text ends the section
+      flush();
+      section = null;
+      description.push(line);
+    } else if (section && /^ {2,}\S/.test(line) && !/^ {5,}/.test(line) && ['param', 'attribute', 'raises'].includes(section)) {
+      // "    name (type): description" starts an entry
+      flush();
+      const entry = line.trim().match(/^(\*{0,2}[\w.]+)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/);
+      if (section === 'raises') {
+        current = { tag: section, type: entry ? entry[1] : line.trim(), lines: [entry ? entry[3] : ''] };
+      } else {
+        current = { tag: section, name: entry ? entry[1] : line.trim(), type: entry?.[2], lines: [entry ? entry[3] : ''] };
+      }
+    } else if (section && !current && line.trim()) {
+      // Returns:/Yields: take "type: description" on their first line
+      const entry = ['returns', 'yields'].includes(section) ? line.trim().match(/^([\w.\[\], ]+):\s+(.*)$/) : null;
+      current = { tag: section, type: entry?.[1], lines: [entry ? entry[2] : line.trim()] };
+    } else if (current) {
+      current.lines.push(line.trim());
+    } else if (!section) {
+      description.push(line);
+    }
+  }
+  flush();
+
+  for (const entry of tags) {
+    if (entry.description !== null) {
+      entry.description = entry.description.replace(/\n+$/, '') || null;
+    }
+  }
+
+  return { description: description.join('\n').trim(), tags };
+}
+
+// PowerShell comment-based help
+
+function powerShellHelp(node) {
+  // Help at the start of the body: a comment ahead of the script block, or its first child
+  const scriptBlock = node.namedChildren.find(c => c.type === 'script_block');
+  const inside = node.namedChildren.find(c => isComment(c) && (!scriptBlock || c.startIndex < scriptBlock.startIndex)) ||
+    (isComment(scriptBlock?.namedChild(0)) ? scriptBlock.namedChild(0) : null);
+
+  // Help above the function: a <# #> block or a run of # lines, one blank line allowed
+  const above = precedingComments(node, 1);
+  const last = above[above.length - 1];
+  const candidates = [
+    inside ? [inside] : null,
+    last?.text.startsWith('<#') ? [last] : trailingRun(above, '#')
+  ];
+
+  for (const comments of candidates) {
+    if (!comments || comments.length === 0) continue;
+    const raw = comments.map(c => c.text).join('\n');
+    const text = comments.length === 1 && raw.startsWith('<#')
+      ? raw.replace(/^<#/, '').replace(/#>$/, '')
+      : comments.map(c => c.text.replace(/^# ?/, '')).join('\n');
+
+    if (powerShellHelpKeywords.test(text)) {
+      return docResult(comments, raw, parsePowerShellHelp(text));
+    }
+  }
+  return null;
+}
+
+function parsePowerShellHelp(text) {
+  const tags = [];
+  let current = null;
+
+  for (const line of normalizeNewlines(text).split('\n')) {
+    const keyword = line.match(/^\s*\.([A-Za-z]+)\s*(.*)$/);
+    if (keyword && powerShellHelpKeywords.test(line)) {
+      if (current) tags.push(current);
+      current = { tag: keyword[1].toLowerCase(), name: keyword[2].trim() || null, lines: [] };
+    } else if (current) {
+      current.lines.push(line.trim());
+    }
+  }
+  if (current) tags.push(current);
+
+  const parsed = tags.map(entry => tag(entry.tag, { name: entry.name, description: entry.lines.join('\n') || null }));
+  const summary = parsed.find(entry => entry.tag === 'synopsis') || parsed.find(entry => entry.tag === 'description');
+  return { description: summary?.description || null, tags: parsed };
+}
+
+module.exports = {
+  extractDocComment
+};
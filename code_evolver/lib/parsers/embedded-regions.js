@@ -0,0 +1,180 @@
+/*
+ * Code embedded in other files
+ *
+ * Some files are not one language but carry code in regions:
+ *
+ *   Vue, Svelte          <script>, <script setup lang="ts">, <script context="module">
+ *   HTML                 <script> tags holding code (not JSON, templates or other data)
+ *   Markdown             fenced code blocks: ```js, ~~~python
+ *   R Markdown, Quarto   chunks: ```{r setup, include=FALSE}, ```{python}
+ *
+ * findEmbeddedRegions lists them in file order:
+ *
+ *   { language, code, startLine, startColumn, indent }
+ *
+ * startLine/startColumn is where the region's first character sits in the host
+ * (0-based, UTF-16 columns like segment ranges). indent is the number of
+ * characters taken off the start of every line - the indentation of a fence
+ * inside a list item. toHostRange maps a range in the region back to the host.
+ */
+
+const { SourceIndex } = require('./source-ranges');
+
+// Host languages and how their regions are found
+const hostLanguages = {
+  'vue': 'script',
+  'svelte': 'script',
+  'html': 'script',
+  'markdown': 'fence',
+  'rmarkdown': 'fence',
+  'quarto': 'fence'
+};
+
+// Fence info strings and script lang attributes, by the language they name
+const languageAliases = {
+  'js': 'javascript', 'javascript': 'javascript', 'jsx': 'javascript', 'mjs': 'javascript', 'cjs': 'javascript', 'node': 'javascript',
+  'ts': 'typescript', 'typescript': 'typescript', 'tsx': 'tsx',
+  'py': 'python', 'python': 'python', 'python3': 'python',
+  'r': 'r',
+  'sh': 'bash', 'bash': 'bash', 'shell': 'bash', 'zsh': 'bash',
+  'ps1': 'powershell', 'powershell': 'powershell', 'pwsh': 'powershell', 'posh': 'powershell',
+  'cs': 'csharp', 'csharp': 'csharp', 'c#': 'csharp',
+  'go': 'go', 'golang': 'go',
+  'rs': 'rust', 'rust': 'rust',
+  'java': 'java',
+  'rb': 'ruby', 'ruby': 'ruby'
+};
+
+// <script type="..."> values that hold code; anything else (application/json,
+// text/x-template, importmap) is data
+const scriptTypes = {
+  '': 'javascript',
+  'module': 'javascript',
+  'text/javascript': 'javascript',
+  'application/javascript': 'javascript',
+  'text/babel': 'javascript',
+  'text/jsx': 'javascript',
+  'text/typescript': 'typescript',
+  'application/typescript': 'typescript'
+};
+
+function isHostLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(hostLanguages, language);
+}
+
+// Language a tag names: an alias above, or a language the grammar registry knows
+function regionLanguage(tag, knownLanguages = []) {
+  const name = (tag || '').toLowerCase();
+  if (languageAliases[name]) return languageAliases[name];
+  return knownLanguages.includes(name) && !isHostLanguage(name) ? name : null;
+}
+
+function findEmbeddedRegions(code, hostLanguage, knownLanguages = []) {
+  switch (hostLanguages[hostLanguage]) {
+    case 'script':
+      return findScriptRegions(code, knownLanguages);
+    case 'fence':
+      return findFenceRegions(code, knownLanguages);
+    default:
+      return [];
+  }
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:@.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+// <script> elements outside HTML comments
+function findScriptRegions(code, knownLanguages) {
+  const source = new SourceIndex(code);
+  const comments = [];
+  const commentPattern = /<!--[\s\S]*?(?:-->|$)/g;
+  let comment;
+  while ((comment = commentPattern.exec(code)) !== null) {
+    comments.push([comment.index, comment.index + comment[0].length]);
+  }
+
+  const regions = [];
+  const scriptPattern = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi;
+  let match;
+  while ((match = scriptPattern.exec(code)) !== null) {
+    const start = match.index;
+    if (comments.some(([from, to]) => start >= from && start < to)) continue;
+
+    const attributes = parseAttributes(match[1]);
+    const language = attributes.lang !== undefined
+      ? regionLanguage(attributes.lang, knownLanguages)
+      : scriptTypes[(attributes.type || '').toLowerCase()];
+    if (!language || !match[2].trim()) continue;
+
+    const position = source.position(start + match[0].indexOf('>') + 1);
+    regions.push({
+      language,
+      code: match[2],
+      startLine: position.line,
+      startColumn: position.column,
+      indent: 0
+    });
+  }
+  return regions;
+}
+
+// Fenced code blocks (CommonMark: ``` or ~~~, up to three spaces of indentation,
+// closed by a fence of the same character at least as long, or the end of the file)
+function findFenceRegions(code, knownLanguages) {
+  const lines = code.split('\n').map(line => line.replace(/\r$/, ''));
+  const regions = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const opening = /^( {0,3})(`{3,}|~{3,})\s*([^`]*)$/.exec(lines[i]);
+    if (!opening) continue;
+
+    const [, indentText, fence, info] = opening;
+    const closing = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`);
+    let end = i + 1;
+    while (end < lines.length && !closing.test(lines[end])) end++;
+
+    // ```{r setup, echo=FALSE}, ```{.python}, ```js title="app.js" - the first word names the language
+    const tag = /^\{?\s*\.?([\w#+-]+)/.exec(info.trim())?.[1];
+    const language = tag ? regionLanguage(tag, knownLanguages) : null;
+    const body = lines.slice(i + 1, end);
+
+    if (language && body.some(line => line.trim())) {
+      // Strip the fence's indentation when every line has it, so Python stays parseable
+      const indent = body.every(line => !line.trim() || line.startsWith(indentText)) ? indentText.length : 0;
+      regions.push({
+        language,
+        code: body.map(line => line.substring(Math.min(indent, line.length))).join('\n'),
+        startLine: i + 1,
+        startColumn: 0,
+        indent
+      });
+    }
+    i = end;
+  }
+  return regions;
+}
+
+// { startLine, startColumn, endLine, endColumn } in a region -> in the host file
+function toHostRange(range, region) {
+  const column = (line, value) => (line === 0 ? region.startColumn : 0) + region.indent + value;
+  return {
+    ...range,
+    startLine: region.startLine + range.startLine,
+    startColumn: column(range.startLine, range.startColumn),
+    endLine: region.startLine + range.endLine,
+    endColumn: column(range.endLine, range.endColumn)
+  };
+}
+
+module.exports = {
+  isHostLanguage,
+  findEmbeddedRegions,
+  toHostRange
+};
@@ -0,0 +1,255 @@
+/*
+ * Normalized AST fingerprints
+ *
+ * fingerprintNode(node, language, options) hashes a segment's tree-sitter
+ * subtree: node types plus token text, never whitespace or layout, so
+ * reformatting keeps the fingerprint and logic changes alter it. Options
+ * (extraction context "Fingerprint") widen what counts as "the same":
+ *
+ *   IgnoreComments    (default true)   comments and Python docstrings
+ *   IgnoreLiterals    (default false)  strings, numbers, booleans, null
+ *   IgnoreLocalNames  (default false)  parameters and locals, renamed by order
+ *                                      of first use (x, y -> $1, $2)
+ *
+ * Only names bound inside functions count as local: class-body assignments
+ * (Python class attributes, Django model fields) are part of the class's API.
+ */
+
+const crypto = require('crypto');
+
+const defaultOptions = {
+  IgnoreComments: true,
+  IgnoreLiterals: false,
+  IgnoreLocalNames: false
+};
+
+const literalTypes = /^(string|template_string|number|integer|float|complex|true|false|null|none|undefined|regex|concatenated_string|verbatim_string_characters)$|_literal$/;
+
+const statementTerminators = new Set([';', '\n', '\r\n']);
+
+const identifierTypes = new Set([
+  'identifier', 'shorthand_property_identifier', 'shorthand_property_identifier_pattern', 'variable'
+]);
+
+// Where a node binds a new local name: parent type -> field (or '*' for any
+// identifier child). Patterns ({ a, b }, [x, y], (p, q)) bind every identifier in them.
+const bindingSites = {
+  variable_declarator: 'name',
+  formal_parameters: '*',
+  required_parameter: 'pattern',
+  optional_parameter: 'pattern',
+  assignment_pattern: 'left',
+  rest_pattern: '*',
+  arrow_function: 'parameter',
+  catch_clause: 'parameter',
+  for_in_statement: 'left',
+  parameters: '*',
+  lambda_parameters: '*',
+  default_parameter: 'name',
+  typed_default_parameter: 'name',
+  typed_parameter: '*',
+  list_splat_pattern: '*',
+  dictionary_splat_pattern: '*',
+  assignment: 'left',
+  augmented_assignment: 'left',
+  for_statement: 'left',
+  for_in_clause: 'left',
+  as_pattern_target: '*',
+  parameter: 'name',
+  foreach_statement: 'left',
+  local_declaration_statement: '*'
+};
+
+// Per language, the node types that open a function scope (parameters and locals
+// inside are local names) and the class-like bodies that close one again (their
+// assignments are attributes). Other nodes inherit their parent's scope; languages
+// not listed have no local names.
+const javascriptScopes = {
+  functions: ['function_declaration', 'generator_function_declaration', 'function_expression', 'function',
+    'generator_function', 'arrow_function', 'method_definition'],
+  classes: ['class_declaration', 'class', 'abstract_class_declaration']
+};
+
+const scopeTypes = Object.fromEntries(Object.entries({
+  javascript: javascriptScopes,
+  typescript: javascriptScopes,
+  tsx: javascriptScopes,
+  python: {
+    functions: ['function_definition', 'lambda'],
+    classes: ['class_definition']
+  },
+  powershell: {
+    functions: ['function_statement', 'class_method_definition', 'script_block_expression'],
+    classes: ['class_statement']
+  },
+  bash: { functions: ['function_definition'], classes: [] },
+  r: { functions: ['function_definition'], classes: [] },
+  csharp: {
+    functions: ['method_declaration', 'constructor_declaration', 'destructor_declaration', 'operator_declaration',
+      'conversion_operator_declaration', 'accessor_declaration', 'local_function_statement', 'lambda_expression',
+      'anonymous_method_expression'],
+    classes: ['class_declaration', 'struct_declaration', 'record_declaration', 'record_struct_declaration',
+      'interface_declaration']
+  },
+  go: { functions: ['function_declaration', 'method_declaration', 'func_literal'], classes: [] },
+  rust: {
+    functions: ['function_item', 'closure_expression'],
+    classes: ['impl_item', 'trait_item']
+  },
+  java: {
+    functions: ['method_declaration', 'constructor_declaration', 'compact_constructor_declaration', 'lambda_expression'],
+    classes: ['class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration']
+  },
+  ruby: {
+    functions: ['method', 'singleton_method', 'lambda', 'block', 'do_block'],
+    classes: ['class', 'module', 'singleton_class']
+  }
+}).map(([language, { functions, classes }]) => [language, { functions: new Set(functions), classes: new Set(classes) }]));
+
+const noScopes = { functions: new Set(), classes: new Set() };
+
+function inFunctionScope(node, parentInFunction, scopes) {
+  if (scopes.functions.has(node.type)) return true;
+  if (scopes.classes.has(node.type)) return false;
+  return parentInFunction;
+}
+
+const patternTypes = new Set([
+  'object_pattern', 'array_pattern', 'pair_pattern', 'pattern_list', 'tuple_pattern', 'list_pattern',
+  'tuple', 'list', 'list_splat_pattern', 'dictionary_splat_pattern', 'assignment_pattern', 'rest_pattern'
+]);
+
+// PowerShell variables that are never locals
+const powerShellGlobals = /^\$(_|PSItem|args|this|input|true|false|null|PSBoundParameters|PSCmdlet|MyInvocation|PSScriptRoot|PSCommandPath|Error|LASTEXITCODE|Matches|env:.*|script:.*|global:.*|using:.*)$/i;
+
+function isComment(node) {
+  return /comment/.test(node.type);
+}
+
+// A string that is the first statement of a Python module, class or function body
+function isDocstring(node) {
+  return node.type === 'expression_statement' &&
+    node.namedChildCount === 1 &&
+    node.namedChild(0).type === 'string' &&
+    node.parent && ['block', 'module'].includes(node.parent.type) &&
+    node.parent.namedChildren.find(child => !isComment(child))?.id === node.id;
+}
+
+function collectPatternNames(node, names) {
+  if (identifierTypes.has(node.type)) {
+    names.add(node.text);
+    return;
+  }
+  if (node.type === 'pair_pattern') {
+    // { key: local } binds the value side only
+    const value = node.childForFieldName('value');
+    if (value) collectPatternNames(value, names);
+    return;
+  }
+  for (const child of node.namedChildren) {
+    if (identifierTypes.has(child.type) || patternTypes.has(child.type)) {
+      collectPatternNames(child, names);
+    }
+  }
+}
+
+// Names bound inside the subtree (not the segment's own name)
+function collectLocalNames(root, language) {
+  const names = new Set();
+  const ownName = root.childForFieldName('name');
+  const scopes = scopeTypes[language] || noScopes;
+
+  const visit = (node, parentInFunction) => {
+    const inFunction = inFunctionScope(node, parentInFunction, scopes);
+    if (!inFunction) {
+      for (const child of node.namedChildren) {
+        visit(child, inFunction);
+      }
+      return;
+    }
+
+    if (language === 'powershell' && node.type === 'variable' && !powerShellGlobals.test(node.text)) {
+      names.add(node.text);
+    }
+
+    const site = bindingSites[node.type];
+    if (site) {
+      const targets = site === '*' ? node.namedChildren : [node.childForFieldName(site)];
+      for (const target of targets) {
+        if (!target || (ownName && target.id === ownName.id)) continue;
+        if (identifierTypes.has(target.type) || patternTypes.has(target.type)) {
+          collectPatternNames(target, names);
+        }
+      }
+    }
+
+    // R: x <- value, value -> x, x = value
+    if (language === 'r' && node.type === 'binary_operator') {
+      const operator = node.childForFieldName('operator')?.type;
+      const target = ['->', '->>'].includes(operator) ? node.childForFieldName('rhs') : node.childForFieldName('lhs');
+      if (['<-', '=', '->'].includes(operator) && target?.type === 'identifier' && target.id !== root.id) {
+        names.add(target.text);
+      }
+    }
+
+    for (const child of node.namedChildren) {
+      visit(child, inFunction);
+    }
+  };
+
+  const rootInFunction = inFunctionScope(root, false, scopes);
+  for (const child of root.namedChildren) {
+    visit(child, rootInFunction);
+  }
+  if (ownName) names.delete(ownName.text);
+  return names;
+}
+
+function fingerprintNode(node, language, options = {}) {
+  const settings = { ...defaultOptions, ...options };
+  const localNames = settings.IgnoreLocalNames ? collectLocalNames(node, language) : new Set();
+  const scopes = scopeTypes[language] || noScopes;
+  const renamed = new Map();
+  const tokens = [];
+
+  // Class-level uses of a name keep their text even when a method binds it locally
+  const visit = (current, parentInFunction) => {
+    if (current.type === 'empty_statement') return;
+    const inFunction = inFunctionScope(current, parentInFunction, scopes);
+    if (settings.IgnoreComments && (isComment(current) || (language === 'python' && isDocstring(current)))) {
+      return;
+    }
+    if (settings.IgnoreLiterals && current.isNamed && literalTypes.test(current.type)) {
+      tokens.push('<literal>');
+      return;
+    }
+
+    if (current.childCount === 0) {
+      if (!current.isNamed) {
+        // Statement terminators are layout, not logic
+        if (!statementTerminators.has(current.type)) tokens.push(current.type);
+      } else if (inFunction && identifierTypes.has(current.type) && localNames.has(current.text)) {
+        if (!renamed.has(current.text)) {
+          renamed.set(current.text, `$${renamed.size + 1}`);
+        }
+        tokens.push(`${current.type}:${renamed.get(current.text)}`);
+      } else {
+        tokens.push(`${current.type}:${current.text}`);
+      }
+      return;
+    }
+
+    tokens.push(`(${current.type}`);
+    for (const child of current.children) {
+      visit(child, inFunction);
+    }
+    tokens.push(')');
+  };
+
+  visit(node, false);
+  return crypto.createHash('sha256').update(tokens.join('\u0000')).digest('hex').substring(0, 16);
+}
+
+module.exports = {
+  fingerprintNode
+};
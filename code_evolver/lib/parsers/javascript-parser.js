@@ -7,10 +7,51 @@ const path = require('path');
 // Import Acorn (you'll need to install these)
 const acorn = require('acorn');
 const walk = require('acorn-walk');
-
-let detectedSegments = [];
-let currentContext = null;
-let currentClassContext = null;
+const jsx = require('acorn-jsx');
+const { SourceIndex } = require('./source-ranges');
+const { BlockScanner } = require('./block-scanner');
+const { estreeReactSegmentType } = require('./react-components');
+
+// Acorn with JSX syntax, and a walker base that steps through JSX nodes
+// (acorn-walk only knows plain ESTree)
+const jsxParser = acorn.Parser.extend(jsx());
+const jsxWalkBase = {
+  ...walk.base,
+  JSXElement(node, state, callback) {
+    callback(node.openingElement, state);
+    node.children.forEach(child => callback(child, state));
+  },
+  JSXFragment(node, state, callback) {
+    node.children.forEach(child => callback(child, state));
+  },
+  JSXOpeningElement(node, state, callback) {
+    node.attributes.forEach(attribute => callback(attribute, state));
+  },
+  JSXAttribute(node, state, callback) {
+    if (node.value) callback(node.value, state);
+  },
+  JSXSpreadAttribute(node, state, callback) {
+    callback(node.argument, state, "Expression");
+  },
+  JSXExpressionContainer(node, state, callback) {
+    callback(node.expression, state, "Expression");
+  },
+  JSXSpreadChild(node, state, callback) {
+    callback(node.expression, state, "Expression");
+  },
+  JSXEmptyExpression() {},
+  JSXText() {},
+};
+
+// Per-parse state: every parseJavaScriptCode call gets its own, so concurrent
+// callers never see each other's segments
+function createParseState(extractionContext) {
+  return {
+    segments: [],
+    context: extractionContext,
+    classContext: null,
+  };
+}
 
 // Global detection patterns
 function detectGlobals(code) {
@@ -58,7 +99,8 @@ function matchesExtractionContext(segment, extractionContext) {
   
   // Check if element type is in the requested elements
   if (extractionContext.Elements && extractionContext.Elements.length > 0) {
-    if (!extractionContext.Elements.includes(segment.type)) return false;
+    if (!extractionContext.Elements.includes(segment.type) &&
+        !extractionContext.Elements.includes(segment.kind)) return false;
   }
   
   // Check exclusions
@@ -72,7 +114,7 @@ function matchesExtractionContext(segment, extractionContext) {
     if (extractionContext.Filters.FunctionName) {
       const targetName = extractionContext.Filters.FunctionName;
       // For methods, check both the method name and the full "ClassName.methodName"
-      if (segment.type === 'method') {
+      if (segment.type === 'method' || segment.kind === 'method') {
         const methodName = segment.name.includes('.') ? segment.name.split('.').pop() : segment.name;
         if (methodName !== targetName && segment.name !== targetName) return false;
       } else {
@@ -104,8 +146,8 @@ function applyExtractionContext(segments, extractionContext, code) {
   if (extractionContext.ScopeFilter === 'top-level') {
     // Only keep top-level elements (not nested)
     filtered = filtered.filter(segment => {
-      // Methods are by definition not top-level, skip them for top-level filter
-      if (segment.type === 'method') return false;
+      // Methods and other class members are by definition not top-level, skip them for top-level filter
+      if (classMemberTypes.has(segment.type)) return false;
       return true;
     });
   }
@@ -113,7 +155,7 @@ function applyExtractionContext(segments, extractionContext, code) {
   return filtered;
 }
 
-function addSegment(node, type, name, options = {}) {
+function addSegment(state, node, type, name, options = {}) {
   if (!node.loc) return;
 
   const startLine = node.loc.start.line - 1; // Convert to 0-based
@@ -124,19 +166,22 @@ function addSegment(node, type, name, options = {}) {
   let parent = options.parent || null;
   let extendsClass = options.extends || null;
   
-  if (type === "method" && currentContext && currentContext.PreserveContext && currentClassContext) {
-    finalName = `${currentClassContext}.${finalName}`;
-    parent = currentClassContext;
+  if (type === "method" && state.context && state.context.PreserveContext && state.classContext) {
+    finalName = `${state.classContext}.${finalName}`;
+    parent = state.classContext;
   }
 
-  detectedSegments.push({
+  state.segments.push({
     name: finalName,
     type,
     startLine,
+    startColumn: node.loc.start.column,
     endLine,
+    endColumn: node.loc.end.column,
     content: "", // Will be filled later
     parent: parent,
     extends: extendsClass,
+    kind: options.kind || null,
     indent: node.loc.start.column,
     selected: false,
     node: {
@@ -147,7 +192,52 @@ function addSegment(node, type, name, options = {}) {
   });
 }
 
-function parseCodeWithRegex(code) {
+// React components and hooks become 'component' / 'hook' segments that keep
+// the plain type as their kind
+function addDefinitionSegment(state, node, type, name, definition, options = {}) {
+  const reactType = estreeReactSegmentType(name, definition);
+  if (reactType) {
+    addSegment(state, node, reactType, name, { ...options, kind: type || "function" });
+  } else if (type) {
+    addSegment(state, node, type, name, options);
+  }
+}
+
+function isModuleExports(node) {
+  return node.type === "MemberExpression" &&
+    node.object.type === "Identifier" && node.object.name === "module" &&
+    node.property.name === "exports";
+}
+
+// CommonJS exports of an assignment: module.exports.foo = / exports.foo = / module.exports = X or { ... }
+function getCommonJsExports(node) {
+  const left = node.left;
+  if (!left || left.type !== "MemberExpression") return [];
+
+  const isExportsObject = (left.object.type === "Identifier" && left.object.name === "exports") ||
+    isModuleExports(left.object);
+  if (isExportsObject && !left.computed && left.property.name) {
+    return [{ node, name: left.property.name }];
+  }
+
+  if (!isModuleExports(left)) return [];
+
+  const right = node.right;
+  if (right.type === "Identifier") {
+    return [{ node, name: right.name }];
+  }
+  if ((right.type === "ClassExpression" || right.type === "FunctionExpression") && right.id) {
+    return [{ node, name: right.id.name }];
+  }
+  if (right.type === "ObjectExpression") {
+    return right.properties
+      .filter(property => property.type === "Property" && !property.computed)
+      .map(property => ({ node: property, name: property.key.name || property.key.value }));
+  }
+  return [];
+}
+
+function parseCodeWithRegex(code, state) {
   // Fallback regex-based parsing (from your HTML tool)
   const patterns = [
     { regex: /class\s+(\w+)/g, type: "class" },
@@ -157,19 +247,23 @@ function parseCodeWithRegex(code) {
     { regex: /var\s+(\w+)\s*=/g, type: "var" },
   ];
 
-  const lines = code.split("\n");
+  // Ends come from real brace matching that skips strings, comments and templates
+  const scanner = new BlockScanner(code, "javascript");
 
   patterns.forEach(({ regex, type }) => {
     let match;
     while ((match = regex.exec(code)) !== null) {
-      const startLine = code.substring(0, match.index).split("\n").length - 1;
-      const endLine = findSegmentEnd(lines, startLine, 0, type);
+      const { line: startLine, column: startColumn } = scanner.source.position(match.index);
+      if (!scanner.startsInCode(startLine)) continue;
+      const { endLine, endColumn } = scanner.findEnd(startLine, startColumn);
 
-      detectedSegments.push({
+      state.segments.push({
         name: match[1],
         type,
         startLine,
+        startColumn,
         endLine,
+        endColumn,
         indent: 0,
         selected: false,
       });
@@ -177,39 +271,6 @@ function parseCodeWithRegex(code) {
   });
 }
 
-function findSegmentEnd(lines, startLine, baseIndent, type) {
-  let braceCount = 0;
-  let inSegment = false;
-
-  for (let i = startLine; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Skip empty lines and comments
-    if (!trimmed || trimmed.startsWith("//")) continue;
-
-    // Count braces (simplified, doesn't handle strings)
-    for (const char of line) {
-      if (char === "{") {
-        braceCount++;
-        inSegment = true;
-      } else if (char === "}") {
-        braceCount--;
-        if (inSegment && braceCount === 0) {
-          return i;
-        }
-      }
-    }
-
-    // For arrow functions without braces
-    if (type === "arrow" && !line.includes("{") && i > startLine) {
-      return i;
-    }
-  }
-
-  return lines.length - 1;
-}
-
 function getLineAndColumn(code, position) {
   const lines = code.substring(0, position).split("\n");
   return {
@@ -241,9 +302,10 @@ function showErrorContext(code, position, contextLines = 3) {
 
 function tryDifferentParseOptions(code, filePath) {
   const parseOptions = [
-    // Try with JSX support if available
+    // Try with JSX support
     {
       name: "module-jsx",
+      parser: jsxParser,
       options: {
         ecmaVersion: "latest",
         sourceType: "module",
@@ -253,7 +315,6 @@ function tryDifferentParseOptions(code, filePath) {
         allowAwaitOutsideFunction: true,
         allowSuperOutsideMethod: true,
         allowHashBang: true,
-        plugins: { jsx: true },
       },
     },
     // Try as script instead of module
@@ -283,10 +344,10 @@ function tryDifferentParseOptions(code, filePath) {
     },
   ];
 
-  for (const { name, options } of parseOptions) {
+  for (const { name, parser = acorn.Parser, options } of parseOptions) {
     try {
       console.error(`Trying parse option: ${name}`);
-      const ast = acorn.parse(code, options);
+      const ast = parser.parse(code, options);
       console.error(`Success with parse option: ${name}`);
       return ast;
     } catch (error) {
@@ -297,56 +358,94 @@ function tryDifferentParseOptions(code, filePath) {
   return null;
 }
 
+// Segment types of get/set accessors, by the node's kind
+const accessorTypes = { get: "getter", set: "setter" };
+
+// Members that live inside a class segment without being nested definitions
+const classMemberTypes = new Set(["method", "getter", "setter", "field", "static_block"]);
+
+// Name of a class member's key: value, "quoted", #private
+function memberName(key) {
+  if (key.type === "PrivateIdentifier") return `#${key.name}`;
+  return key.name || key.value;
+}
+
+// Innermost class among the ancestors (the walker's ancestors end with the node itself)
+function findParentClass(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (ancestors[i].type === "ClassDeclaration" || ancestors[i].type === "ClassExpression") {
+      return ancestors[i].id ? ancestors[i].id.name : "AnonymousClass";
+    }
+  }
+  return null;
+}
+
 // Extract AST walking into a shared function
-function walkAST(ast) {
+function walkAST(ast, state) {
   // Use ancestral walker to maintain context properly
   walk.ancestor(ast, {
     ClassDeclaration(node, ancestors) {
       const className = node.id ? node.id.name : "AnonymousClass";
       const extendsClass = node.superClass ? node.superClass.name : null;
       
-      addSegment(node, "class", className, { extends: extendsClass });
+      addDefinitionSegment(state, node, "class", className, node, { extends: extendsClass });
     },
     ClassExpression(node, ancestors) {
       if (node.id) {
         const className = node.id.name;
         const extendsClass = node.superClass ? node.superClass.name : null;
         
-        addSegment(node, "class", className, { extends: extendsClass });
+        addDefinitionSegment(state, node, "class", className, node, { extends: extendsClass });
       }
     },
-    // Method definitions (will capture all methods including class methods)
+    // Method definitions (will capture all methods including class methods);
+    // get value() and set value(v) are separate getter and setter segments
     MethodDefinition(node, ancestors) {
-      const methodName = node.key.name || node.key.value;
-      
-      // Find the parent class from ancestors
-      let parentClass = null;
-      for (let i = ancestors.length - 1; i >= 0; i--) {
-        if (ancestors[i].type === "ClassDeclaration" || ancestors[i].type === "ClassExpression") {
-          parentClass = ancestors[i].id ? ancestors[i].id.name : "AnonymousClass";
-          break;
-        }
-      }
+      const methodName = memberName(node.key);
+      const parentClass = findParentClass(ancestors);
+      const type = accessorTypes[node.kind] || "method";
       
       // Handle context preservation
       let finalMethodName = methodName;
-      if (currentContext && currentContext.PreserveContext && parentClass) {
+      if (state.context && state.context.PreserveContext && parentClass) {
         finalMethodName = `${parentClass}.${methodName}`;
       }
       
-      addSegment(node, "method", finalMethodName, { parent: parentClass });
+      addSegment(state, node, type, finalMethodName, {
+        parent: parentClass,
+        kind: type === "method" ? null : "method"
+      });
+    },
+    // Class fields: static priority = 5, #cache = new Map(); a field holding a function is a method
+    PropertyDefinition(node, ancestors) {
+      const holdsFunction = node.value &&
+        (node.value.type === "FunctionExpression" || node.value.type === "ArrowFunctionExpression");
+      addSegment(state, node, holdsFunction ? "method" : "field", memberName(node.key), {
+        parent: findParentClass(ancestors)
+      });
+    },
+    // static { ... }: "static", then "static_2", ... when a class has several
+    StaticBlock(node, ancestors) {
+      const classBody = ancestors[ancestors.length - 2];
+      const blockNumber = classBody.body.filter(member => member.type === "StaticBlock").indexOf(node) + 1;
+      addSegment(state, node, "static_block", blockNumber > 1 ? `static_${blockNumber}` : "static", {
+        parent: findParentClass(ancestors)
+      });
     },
     // Function declarations
     FunctionDeclaration(node, ancestors) {
       if (node.id) {
-        addSegment(node, "function", node.id.name);
+        addDefinitionSegment(state, node, "function", node.id.name, node);
       }
     },
-    // Function expressions (including arrow functions)
+    // Function expressions (including arrow functions) and memo()/forwardRef() components
     VariableDeclarator(node, ancestors) {
       if (node.init && (node.init.type === "FunctionExpression" || node.init.type === "ArrowFunctionExpression")) {
         const type = node.init.type === "ArrowFunctionExpression" ? "arrow" : "function";
-        addSegment(node, type, node.id.name);
+        addDefinitionSegment(state, node, type, node.id.name, node.init);
+      }
+      else if (node.init && node.id.type === "Identifier" && estreeReactSegmentType(node.id.name, node.init)) {
+        addDefinitionSegment(state, node, null, node.id.name, node.init);
       }
       // Handle constants
       else if (node.id && node.id.type === "Identifier") {
@@ -363,7 +462,7 @@ function walkAST(ast) {
           const constName = node.id.name;
           
           // Filter out meaningless constants
-          if (!shouldExcludeConstant(constName, currentContext)) {
+          if (!shouldExcludeConstant(constName, state.context)) {
             // Check if it's top-level (not inside a function)
             const isInsideFunction = ancestors.some(ancestor => 
               ancestor.type === "FunctionDeclaration" || 
@@ -372,7 +471,7 @@ function walkAST(ast) {
             );
             
             if (!isInsideFunction) {
-              addSegment(node, "constant", constName);
+              addSegment(state, node, "constant", constName);
             }
           }
         }
@@ -386,7 +485,7 @@ function walkAST(ast) {
             const constName = declarator.id.name;
             
             // Only include meaningful constants
-            if (!shouldExcludeConstant(constName, currentContext)) {
+            if (!shouldExcludeConstant(constName, state.context)) {
               // Check if it's top-level (not inside a function)
               const isInsideFunction = ancestors.some(ancestor => 
                 ancestor.type === "FunctionDeclaration" || 
@@ -395,7 +494,7 @@ function walkAST(ast) {
               );
               
               if (!isInsideFunction) {
-                addSegment(declarator, "constant", constName);
+                addSegment(state, declarator, "constant", constName);
               }
             }
           }
@@ -411,20 +510,21 @@ function walkAST(ast) {
       
       if (!isInClass && node.value && (node.value.type === "FunctionExpression" || node.value.type === "ArrowFunctionExpression")) {
         const name = node.key.name || node.key.value;
-        addSegment(node, "method", name);
+        const type = accessorTypes[node.kind] || "method";
+        addSegment(state, node, type, name, { kind: type === "method" ? null : "method" });
       }
     },
     // Export declarations
     ExportNamedDeclaration(node, ancestors) {
       if (node.declaration) {
         if (node.declaration.type === "FunctionDeclaration" && node.declaration.id) {
-          addSegment(node, "export", node.declaration.id.name);
+          addSegment(state, node, "export", node.declaration.id.name);
         } else if (node.declaration.type === "ClassDeclaration" && node.declaration.id) {
-          addSegment(node, "export", node.declaration.id.name);
+          addSegment(state, node, "export", node.declaration.id.name);
         } else if (node.declaration.type === "VariableDeclaration") {
           node.declaration.declarations.forEach((decl) => {
             if (decl.id && decl.id.name) {
-              addSegment(node, "export", decl.id.name);
+              addSegment(state, node, "export", decl.id.name);
             }
           });
         }
@@ -432,13 +532,13 @@ function walkAST(ast) {
         // Handle export { name1, name2 }
         node.specifiers.forEach(spec => {
           if (spec.exported && spec.exported.name) {
-            addSegment(node, "export", spec.exported.name);
+            addSegment(state, node, "export", spec.exported.name);
           }
         });
       }
     },
     ExportDefaultDeclaration(node, ancestors) {
-      addSegment(node, "export", "default");
+      addSegment(state, node, "export", "default");
     },
     // Global assignments (window.*, global.*, etc.)
     AssignmentExpression(node, ancestors) {
@@ -449,9 +549,13 @@ function walkAST(ast) {
         if (obj && prop && 
             (obj.name === "window" || obj.name === "global" || obj.name === "globalThis") &&
             prop.name) {
-          addSegment(node, "global", prop.name);
+          addSegment(state, node, "global", prop.name);
         }
       }
+
+      getCommonJsExports(node).forEach(({ node: exportNode, name }) => {
+        addSegment(state, exportNode, "export", name);
+      });
     },
     // IIFE patterns that assign to global
     CallExpression(node, ancestors) {
@@ -467,20 +571,18 @@ function walkAST(ast) {
                   left.object && left.property &&
                   (left.object.name === "window" || left.object.name === "global") &&
                   left.property.name) {
-                addSegment(node, "global", left.property.name);
+                addSegment(state, node, "global", left.property.name);
               }
             }
           });
         }
       }
     }
-  });
+  }, jsxWalkBase);
 }
 
 function parseJavaScriptCode(code, filePath = "unknown", extractionContext = null) {
-  detectedSegments = [];
-  currentContext = extractionContext;
-  currentClassContext = null;
+  const state = createParseState(extractionContext);
 
   try {
     // Use Acorn to parse the JavaScript AST (exact logic from your HTML tool)
@@ -495,7 +597,7 @@ function parseJavaScriptCode(code, filePath = "unknown", extractionContext = nul
       allowHashBang: true,
     });
 
-    walkAST(ast);
+    walkAST(ast, state);
   } catch (error) {
     console.error(`\nAST parsing failed for file: ${filePath}`);
     console.error(`Error: ${error.message}`);
@@ -511,27 +613,27 @@ function parseJavaScriptCode(code, filePath = "unknown", extractionContext = nul
       console.error(
         "All parsing options failed, falling back to regex parsing"
       );
-      parseCodeWithRegex(code);
-      return detectedSegments;
+      parseCodeWithRegex(code, state);
+      return state.segments;
     } else {
       console.error("Successfully parsed with alternative options");
-      walkAST(ast);
+      walkAST(ast, state);
     }
   }
 
   // Sort segments by start line (from your HTML tool)
-  detectedSegments.sort((a, b) => a.startLine - b.startLine);
+  const sorted = state.segments.sort((a, b) => a.startLine - b.startLine);
 
   // Remove overlapping segments (keep the outer one) but preserve methods and exports
-  detectedSegments = detectedSegments.filter((segment, index) => {
+  const segments = sorted.filter((segment, index) => {
     for (let i = 0; i < index; i++) {
-      const other = detectedSegments[i];
+      const other = sorted[i];
       if (
         segment.startLine >= other.startLine &&
         segment.endLine <= other.endLine
       ) {
-        // Always preserve methods even if they're inside classes
-        if (segment.type === 'method' && other.type === 'class') {
+        // Always preserve methods and other members even if they're inside classes (and class components)
+        if (classMemberTypes.has(segment.type) && (other.type === 'class' || other.kind === 'class')) {
           continue; // Keep this method
         }
         // Always preserve exports even if they overlap with their underlying elements
@@ -545,9 +647,7 @@ function parseJavaScriptCode(code, filePath = "unknown", extractionContext = nul
   });
 
   // Apply extraction context filtering
-  detectedSegments = applyExtractionContext(detectedSegments, currentContext, code);
-
-  return detectedSegments;
+  return applyExtractionContext(segments, state.context, code);
 }
 
 // Command line interface
@@ -612,25 +712,36 @@ function main() {
     }
 
     // Output results as JSON for PowerShell to consume
+    const source = new SourceIndex(code);
+    const exact = Boolean(extractionContext && extractionContext.ExactContent);
     const result = {
       filePath: filePath,
       totalSegments: segments.length,
       filteredSegments: filteredSegments.length,
-      segments: filteredSegments.map((segment) => {
+      segments: filteredSegments.map((unranged) => {
         // Include the actual code content for each segment
-        const lines = code.split("\n");
-        const content = lines
-          .slice(segment.startLine, segment.endLine + 1)
-          .join("\n");
+        const segment = source.withRange(unranged);
+        const content = source.slice(segment, exact);
+
+        // Acorn segments only know their direct parent
+        const qualifiedName = segment.parent && !segment.name.startsWith(`${segment.parent}.`)
+          ? `${segment.parent}.${segment.name}`
+          : segment.name;
 
         return {
           type: segment.type,
           name: segment.name,
+          qualifiedName,
           startLine: segment.startLine,
           endLine: segment.endLine,
+          startColumn: segment.startColumn,
+          endColumn: segment.endColumn,
+          startByte: segment.startByte,
+          endByte: segment.endByte,
           content: content,
           extends: segment.extends || undefined,
           parent: segment.parent || undefined,
+          kind: segment.kind || undefined,
           lineCount: segment.endLine - segment.startLine + 1,
         };
       }),
@@ -643,9 +754,12 @@ function main() {
   }
 }
 
-main();
-
 // Export for module if needed
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { parseJavaScriptCode };
+  module.exports = { parseJavaScriptCode, jsxParser, jsxWalkBase };
+}
+
+// Run main function only if called directly
+if (require.main === module) {
+  main();
 }
\ No newline at end of file
@@ -0,0 +1,404 @@
+/*
+ * Declarative extraction rules for the tree-sitter parser
+ *
+ * Compiles the per-language "elements" blocks of config/languages.json into
+ * node-type lookups, so the JSON decides which tree-sitter nodes become which
+ * segment types. Element rules understand:
+ *
+ *   patterns       tree-sitter node types the element is built from
+ *   nameField      path to the node holding the name (see resolvePath); a path
+ *                  reaching several nodes ([*]) names one element per node, each
+ *                  ranged over what the [*] step reached when the name is below
+ *                  it (int a, b;), else over the matched node
+ *   nameResolver   named resolver supplied by the extractor instead of nameField;
+ *                  it may return several { name, node } bindings (destructuring,
+ *                  multiple declarators), each its own element ranged over node
+ *                  (or over range, and with its own target, parent or scope)
+ *   nameStrip      regex removed from the resolved name
+ *   extendsField   path to the base class / base interface
+ *   extendsResolver  named resolver instead of extendsField
+ *   targetField    path to the node naming the element an export refers to
+ *                  (exports are linked to the same-named definition otherwise)
+ *   parentScopes   ancestor node types that own the element (class for methods)
+ *   parentNameField  path to the owner's name on that ancestor (default: name)
+ *   parentBoundaries ancestor types that end the search for an owner: a def in a
+ *                  function belongs to no class
+ *   parentField    path to the owner's name on the node itself (Go receivers)
+ *   parentResolver named resolver instead of parentScopes / parentField
+ *   parentNameStrip  regex removed from the owner's name
+ *   parentInScope  true = the owner also qualifies the name, for owners that
+ *                  are not enclosing nodes
+ *   scopeField     path to names qualifying the element besides its enclosing
+ *                  scopes, split on :: and . (class Billing::Invoice)
+ *   requireParent  true = only elements with an owner, false = only without
+ *   parentTypes    node types the element's direct parent must have
+ *   rangeField     path to the node the element is ranged over (default: the node)
+ *   soleRangeField path to a node the element is ranged over when it is the
+ *                  node's only name and the node the only one of the rule's
+ *                  patterns there (a lone spec spans its declaration)
+ *   rangeEndField  path to the node whose end is the element's end
+ *   decoratorsField  path to decorators, attributes or annotations ([*] for each)
+ *   decoratorsStrip  regex removed from each decorator's text
+ *   kind           kind recorded on the element (the plain type of a component)
+ *   replaces       element types this one supersedes when both match a node
+ *                  under the same name (a getter is not also a method)
+ *   flags          { flag: { path: regex } } flags set when the conditions hold
+ *   where          { path: regex } conditions on the node's text; with [*] in
+ *                  the path any reached node may match, and a list of regexes
+ *                  must all match
+ *   whereType      { path: regex } conditions on the node's type (value: arrow_function)
+ *   wherePredicate { path: name } named checks supplied by the extractor
+ *   requireScope   ancestor types required; "module"/"global" = not nested in scopeTypes
+ *   excludeScopes  ancestor types that disqualify the node
+ *   requireUppercase / namePattern / excludePatterns / excludeNames  name checks
+ *                  (patterns starting with (?i) ignore case)
+ *
+ * An element may also be an array of rule objects when several shapes map to it.
+ * Field paths may also be a list of paths; the first that resolves is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const defaultConfigPath = path.join(__dirname, '..', '..', 'config', 'languages.json');
+
+// Languages that share another language's configuration block
+const languageAliases = {
+  'tsx': 'typescript'
+};
+
+let defaultConfig = null;
+
+function readDefaultConfig() {
+  if (defaultConfig) return defaultConfig;
+
+  try {
+    defaultConfig = JSON.parse(fs.readFileSync(defaultConfigPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read language config ${defaultConfigPath}:`, error.message);
+    defaultConfig = { languages: {} };
+  }
+  return defaultConfig;
+}
+
+// Accepts the whole languages.json, the Get-LanguageConfiguration result
+// ({ Language, LanguageConfig, ... }) or a single language block ({ elements })
+function selectLanguageBlock(languageConfig, language) {
+  const block = findLanguageBlock(languageConfig || readDefaultConfig(), language);
+  // Extraction is rule-driven: a config that leaves the language out gets the
+  // bundled rules for it
+  return block || (languageConfig ? findLanguageBlock(readDefaultConfig(), language) : null);
+}
+
+function findLanguageBlock(config, language) {
+  const key = languageAliases[language] || language;
+
+  if (config.languages) {
+    return config.languages[language] || config.languages[key] || null;
+  }
+  if (config.LanguageConfig) {
+    const configLanguage = config.Language;
+    if (!configLanguage || configLanguage === language || configLanguage === key) {
+      return config.LanguageConfig;
+    }
+    return null;
+  }
+  if (config.elements) {
+    return config;
+  }
+  return null;
+}
+
+function compileRule(elementType, rule) {
+  // A leading (?i) makes a pattern case-insensitive, as in .NET (PowerShell names)
+  const toRegex = (pattern) => pattern.startsWith('(?i)') ? new RegExp(pattern.slice(4), 'i') : new RegExp(pattern);
+  const conditions = (where) => Object.entries(where || {}).map(([fieldPath, patterns]) => ({
+    fieldPath,
+    regexes: [].concat(patterns).map(toRegex)
+  }));
+
+  return {
+    elementType,
+    rule,
+    where: conditions(rule.where),
+    whereType: conditions(rule.whereType),
+    flags: Object.entries(rule.flags || {}).map(([flag, where]) => ({ flag, where: conditions(where) })),
+    nameStrip: rule.nameStrip ? new RegExp(rule.nameStrip, 'g') : null,
+    parentNameStrip: rule.parentNameStrip ? new RegExp(rule.parentNameStrip, 'g') : null,
+    decoratorsStrip: rule.decoratorsStrip ? new RegExp(rule.decoratorsStrip, 'g') : null,
+    namePattern: rule.namePattern
+      ? toRegex(rule.namePattern)
+      : (rule.requireUppercase ? /^[A-Z][A-Z._0-9]*$/ : null),
+    excludePatterns: (rule.excludePatterns || []).map(toRegex),
+    excludeNames: (rule.excludeNames || []).map(name => name.toLowerCase())
+  };
+}
+
+// Compile a language block into { scopeTypes, rulesByNodeType }
+function compileLanguageRules(languageBlock) {
+  if (!languageBlock || !languageBlock.elements) return null;
+
+  const rulesByNodeType = new Map();
+
+  for (const [elementType, definition] of Object.entries(languageBlock.elements)) {
+    const rules = Array.isArray(definition) ? definition : [definition];
+
+    for (const rule of rules) {
+      const compiled = compileRule(elementType, rule);
+      for (const nodeType of rule.patterns || []) {
+        if (!rulesByNodeType.has(nodeType)) {
+          rulesByNodeType.set(nodeType, []);
+        }
+        rulesByNodeType.get(nodeType).push(compiled);
+      }
+    }
+  }
+
+  return {
+    scopeTypes: new Set(languageBlock.scopeTypes || []),
+    rulesByNodeType
+  };
+}
+
+function loadLanguageRules(languageConfig, language) {
+  return compileLanguageRules(selectLanguageBlock(languageConfig, language));
+}
+
+// One step of a path from a node:
+//   parent      the node's parent
+//   *           the first named child
+//   type[n]     the n-th named child of that node type
+//   field       a tree-sitter field name, else the first named child of that
+//               type, else the first keyword of that type (static, get)
+function resolveStep(node, step) {
+  if (step === 'parent') return node.parent;
+  if (step === '*') return node.namedChild(0);
+
+  const indexed = step.match(/^(\w+)\[(\d+)\]$/);
+  if (indexed) {
+    return node.namedChildren.filter(c => c.type === indexed[1])[Number(indexed[2])] || null;
+  }
+  return node.childForFieldName(step) ||
+    node.namedChildren.find(c => c.type === step) ||
+    node.children.find(c => c.type === step) ||
+    null;
+}
+
+// Every node a dotted path reaches. A type[*] step (or field[*], or *[*] for
+// any type) goes on from each such named child; element is the node the first
+// of those steps reached, so names found below it can be ranged over it.
+function resolvePathAll(node, fieldPath) {
+  if (!fieldPath) return [{ node, element: null }];
+
+  let reached = [{ node, element: null }];
+  for (const step of fieldPath.split('.')) {
+    const next = [];
+    for (const { node: current, element } of reached) {
+      const fanOut = step.match(/^([\w*]+)\[\*\]$/);
+      if (!fanOut) {
+        const child = resolveStep(current, step);
+        if (child) next.push({ node: child, element });
+        continue;
+      }
+
+      const byField = fanOut[1] === '*' ? [] : current.childrenForFieldName(fanOut[1]).filter(c => c?.isNamed);
+      const children = byField.length > 0
+        ? byField
+        : current.namedChildren.filter(c => fanOut[1] === '*' || c.type === fanOut[1]);
+      for (const child of children) {
+        next.push({ node: child, element: element || child });
+      }
+    }
+    reached = next;
+  }
+  return reached;
+}
+
+// What the first of the alternative paths reaches
+function resolveFirstAll(node, fieldPaths) {
+  for (const fieldPath of [].concat(fieldPaths)) {
+    const reached = resolvePathAll(node, fieldPath);
+    if (reached.length > 0) return reached;
+  }
+  return [];
+}
+
+// Resolve a dotted path, or the first of several, to a single node
+function resolvePath(node, fieldPaths) {
+  return resolveFirstAll(node, fieldPaths)[0]?.node || null;
+}
+
+function isInScope(ancestors, scopes, scopeTypes) {
+  return scopes.some(scope => {
+    if (scope === 'module' || scope === 'global') {
+      return !ancestors.some(ancestor => scopeTypes.has(ancestor.type));
+    }
+    return ancestors.some(ancestor => ancestor.type === scope);
+  });
+}
+
+function findParentName(ancestors, rule) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (rule.parentScopes.includes(ancestors[i].type)) {
+      return resolvePath(ancestors[i], rule.parentNameField || 'name')?.text || null;
+    }
+    if (rule.parentBoundaries?.includes(ancestors[i].type)) return null;
+  }
+  return null;
+}
+
+// where / whereType / flags: every condition holds for some node its path reaches
+function conditionsHold(conditions, node, read) {
+  return conditions.every(({ fieldPath, regexes }) => {
+    const reached = resolvePathAll(node, fieldPath).map(({ node: target }) => read(target));
+    return regexes.every(regex => reached.some(value => regex.test(value)));
+  });
+}
+
+// The owner of the element: a named resolver, a path on the node, or the
+// nearest enclosing parentScopes node
+function resolveParent(compiled, node, ancestors, resolvers) {
+  const { rule } = compiled;
+  let parent = null;
+  if (rule.parentResolver) {
+    parent = resolvers[rule.parentResolver]?.(node, ancestors) || null;
+  } else if (rule.parentField) {
+    parent = resolvePath(node, rule.parentField)?.text || null;
+  } else if (rule.parentScopes) {
+    parent = findParentName(ancestors, rule);
+  }
+  return parent && compiled.parentNameStrip ? parent.replace(compiled.parentNameStrip, '') || null : parent;
+}
+
+// The node an element is ranged over when its name doesn't give one
+function resolveRangeNode(rule, node, soleName) {
+  if (rule.rangeField) return resolvePath(node, rule.rangeField);
+  if (rule.soleRangeField && soleName) {
+    const outer = resolvePath(node, rule.soleRangeField);
+    const alone = outer && outer.namedChildren.filter(c => rule.patterns.includes(c.type)).length === 1;
+    return alone ? outer : null;
+  }
+  return null;
+}
+
+// Evaluate the compiled rules for one node.
+// Returns [{ type, name, node, range, extends, parent, target, kind, decorators,
+// scope, flags }] for every rule that matched (node: where the element's own
+// range is, null for the matched node; range: a span inside the node instead).
+function evaluateRules(compiledRules, node, ancestors, resolvers = {}) {
+  const candidates = compiledRules.rulesByNodeType.get(node.type);
+  if (!candidates) return [];
+
+  const matches = [];
+  const resolverFor = (compiled, key) => {
+    const name = compiled.rule[key];
+    if (!name) return null;
+    if (!resolvers[name]) console.error(`Unknown ${key} "${name}" for ${compiled.elementType}`);
+    return resolvers[name] || false;
+  };
+
+  for (const compiled of candidates) {
+    const { rule } = compiled;
+
+    if (rule.parentTypes && !rule.parentTypes.includes(node.parent?.type)) continue;
+    if (rule.requireScope && !isInScope(ancestors, rule.requireScope, compiledRules.scopeTypes)) continue;
+    if (rule.excludeScopes && ancestors.some(ancestor => rule.excludeScopes.includes(ancestor.type))) continue;
+
+    if (!conditionsHold(compiled.where, node, target => target.text)) continue;
+    if (!conditionsHold(compiled.whereType, node, target => target.type)) continue;
+
+    const predicatesFailed = Object.entries(rule.wherePredicate || {}).some(([fieldPath, name]) => {
+      const predicate = resolvers[name];
+      const target = resolvePath(node, fieldPath);
+      if (!predicate) console.error(`Unknown predicate "${name}" for ${compiled.elementType}`);
+      return !predicate || !target || !predicate(target, node, ancestors);
+    });
+    if (predicatesFailed) continue;
+
+    const parent = resolveParent(compiled, node, ancestors, resolvers);
+    if (rule.requireParent !== undefined && Boolean(parent) !== rule.requireParent) continue;
+
+    let bindings;
+    const nameResolver = resolverFor(compiled, 'nameResolver');
+    if (nameResolver === false) continue;
+    if (nameResolver) {
+      const resolved = nameResolver(node, ancestors);
+      bindings = Array.isArray(resolved) ? resolved : [{ name: resolved, node: null }];
+    } else {
+      const reached = resolveFirstAll(node, rule.nameField);
+      bindings = reached.map(({ node: nameNode, element }) => ({
+        name: nameNode.text,
+        node: reached.length > 1 && element.id !== nameNode.id ? element : null
+      }));
+    }
+
+    const extendsResolver = resolverFor(compiled, 'extendsResolver');
+    const extendsName = extendsResolver
+      ? extendsResolver(node, ancestors) || null
+      : (rule.extendsField ? resolvePath(node, rule.extendsField)?.text || null : null);
+    const decorators = rule.decoratorsField
+      ? resolveFirstAll(node, rule.decoratorsField)
+        .map(({ node: decorator }) => compiled.decoratorsStrip
+          ? decorator.text.replace(compiled.decoratorsStrip, '')
+          : decorator.text)
+      : [];
+    const flags = compiled.flags.filter(({ where }) => conditionsHold(where, node, target => target.text))
+      .map(({ flag }) => flag);
+    const rangeNode = resolveRangeNode(rule, node, bindings.length === 1);
+    const rangeEnd = rule.rangeEndField ? resolvePath(node, rule.rangeEndField) : null;
+    const scopeNames = rule.scopeField ? resolvePath(node, rule.scopeField)?.text.split(/::|\./) || [] : [];
+
+    for (const binding of bindings) {
+      let name = binding.name;
+      if (name && compiled.nameStrip) {
+        name = name.replace(compiled.nameStrip, '');
+      }
+      if (!name) continue;
+
+      if (compiled.namePattern && !compiled.namePattern.test(name)) continue;
+      if (compiled.excludePatterns.some(regex => regex.test(name))) continue;
+      if (compiled.excludeNames.includes(name.toLowerCase())) continue;
+
+      const elementNode = binding.node || rangeNode;
+      const owner = binding.parent !== undefined ? binding.parent : parent;
+      const match = {
+        type: compiled.elementType,
+        name,
+        // Node to range the element over when it isn't the matched node itself
+        node: elementNode && elementNode.id !== node.id ? elementNode : null,
+        range: binding.range ||
+          (rangeEnd ? { start: (elementNode || node).startPosition, end: rangeEnd.endPosition } : null),
+        extends: extendsName,
+        parent: owner,
+        target: binding.target !== undefined
+          ? binding.target
+          : (rule.targetField ? resolvePath(node, rule.targetField)?.text || null : null),
+        kind: rule.kind || null,
+        decorators: decorators.length > 0 ? decorators : null,
+        scope: binding.scope || [...(rule.parentInScope && owner ? [owner] : []), ...scopeNames],
+        flags
+      };
+
+      // Two shapes of one element on the same node name it once
+      const duplicate = matches.some(other => other.type === match.type && other.name === match.name &&
+        (other.node || node).id === (match.node || node).id &&
+        JSON.stringify(other.range) === JSON.stringify(match.range));
+      if (!duplicate) {
+        matches.push({ ...match, replaces: rule.replaces || [] });
+      }
+    }
+  }
+
+  // A more specific element (getter, property, component) stands in for the
+  // general one (method, function) it replaces
+  return matches
+    .filter(match => !matches.some(other => other.replaces.includes(match.type) && other.name === match.name))
+    .map(({ replaces, ...match }) => match);
+}
+
+module.exports = {
+  loadLanguageRules,
+  compileLanguageRules,
+  evaluateRules,
+  resolvePath
+};
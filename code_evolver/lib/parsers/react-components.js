@@ -0,0 +1,119 @@
+/*
+ * React components and hooks
+ *
+ * Tells which JavaScript/TypeScript definitions are React code:
+ *
+ *   component   capitalised functions and arrows returning JSX (function Card,
+ *               const Card = () => <div />), values wrapped in memo()/forwardRef()
+ *               (React.memo, React.forwardRef, memo(forwardRef(...))) and classes
+ *               extending Component/PureComponent (React.Component)
+ *   hook        functions and arrows named use* (useCart, useToggle)
+ *
+ * For tree-sitter the component and hook rules live in config/languages.json,
+ * which call returnsJsx as a predicate. estreeReactSegmentType reads the Acorn
+ * (ESTree) AST of the fallback parsers and returns 'component', 'hook' or null
+ * for code that is neither.
+ */
+
+const componentName = /^[A-Z]/;
+const hookName = /^use[A-Z0-9]/;
+const componentBases = /^(?:React\.)?(?:Component|PureComponent)$/;
+const componentWrappers = /^(?:React\.)?(?:memo|forwardRef)$/;
+
+// Nodes that start their own body: JSX inside them is not what the outer function returns
+const functionTypes = new Set(['function_declaration', 'generator_function_declaration', 'function_expression',
+  'function', 'generator_function', 'arrow_function', 'method_definition', 'class_declaration', 'class']);
+const jsxTypes = new Set(['jsx_element', 'jsx_self_closing_element', 'jsx_fragment']);
+
+// An arrow's expression body, or any return statement of the function, holds JSX
+function returnsJsx(fn) {
+  const body = fn.childForFieldName('body');
+  if (!body) return false;
+  if (body.type !== 'statement_block') return containsJsx(body);
+  return ownNodes(body).some(node => node.type === 'return_statement' && containsJsx(node));
+}
+
+function containsJsx(node) {
+  return ownNodes(node).some(inner => jsxTypes.has(inner.type));
+}
+
+// A node and its descendants, not entering nested functions and classes
+function ownNodes(root) {
+  const nodes = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    nodes.push(node);
+    for (const child of node.namedChildren) {
+      if (!functionTypes.has(child.type)) stack.push(child);
+    }
+  }
+  return nodes;
+}
+
+const estreeFunctionTypes = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ClassDeclaration', 'ClassExpression']);
+const estreeJsxTypes = new Set(['JSXElement', 'JSXFragment']);
+
+// 'component', 'hook' or null for an ESTree FunctionDeclaration, ClassDeclaration
+// or variable initialiser
+function estreeReactSegmentType(name, node) {
+  if (!name || !node) return null;
+
+  switch (node.type) {
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return componentBases.test(estreeName(node.superClass)) ? 'component' : null;
+    case 'CallExpression':
+      return componentWrappers.test(estreeName(node.callee)) ? 'component' : null;
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      if (hookName.test(name)) return 'hook';
+      return componentName.test(name) && estreeReturnsJsx(node) ? 'component' : null;
+  }
+  return null;
+}
+
+// Dotted name of an identifier or member expression (React.memo), else ''
+function estreeName(node) {
+  if (!node) return '';
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = estreeName(node.object);
+    return object ? `${object}.${node.property.name}` : '';
+  }
+  return '';
+}
+
+function estreeReturnsJsx(fn) {
+  if (fn.body.type !== 'BlockStatement') return estreeContainsJsx(fn.body);
+  return estreeOwnNodes(fn.body).some(node => node.type === 'ReturnStatement' && estreeContainsJsx(node));
+}
+
+function estreeContainsJsx(node) {
+  return estreeOwnNodes(node).some(inner => estreeJsxTypes.has(inner.type));
+}
+
+function estreeOwnNodes(root) {
+  const nodes = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    nodes.push(node);
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc') continue;
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string' && !estreeFunctionTypes.has(child.type)) {
+          stack.push(child);
+        }
+      }
+    }
+  }
+  return nodes;
+}
+
+module.exports = {
+  returnsJsx,
+  estreeReactSegmentType
+};
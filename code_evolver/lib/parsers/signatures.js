@@ -0,0 +1,442 @@
+/*
+ * Signature and modifier metadata for extracted segments
+ *
+ * extractSignature(node, language) describes the function, method or class a
+ * segment was built from, straight from the tree-sitter node:
+ *
+ *   {
+ *     parameters: [{ name, type, default, rest, optional, attributes?, modifiers? }],
+ *     returnType, typeParameters,
+ *     modifiers: ['static', 'async', ...],      raw keywords as written
+ *     async, generator, static, abstract, getter, setter, private,
+ *     decorators: ['Input()', 'property', 'HttpGet("x")'],
+ *     visibility: 'public' | 'protected' | 'private' | 'internal' | 'hidden' | ...
+ *   }
+ *
+ * Returns null for nodes that aren't functions or classes.
+ */
+
+const jsFunctionTypes = new Set([
+  'function_declaration', 'generator_function_declaration', 'function_expression',
+  'generator_function', 'arrow_function', 'method_definition', 'function_signature',
+  'method_signature', 'abstract_method_signature'
+]);
+
+const jsClassTypes = new Set(['class_declaration', 'abstract_class_declaration', 'class']);
+
+const jsFieldTypes = new Set(['field_definition', 'public_field_definition']);
+
+const csharpFunctionTypes = new Set([
+  'method_declaration', 'constructor_declaration', 'local_function_statement',
+  'operator_declaration', 'destructor_declaration'
+]);
+
+const csharpClassTypes = new Set([
+  'class_declaration', 'struct_declaration', 'interface_declaration',
+  'record_declaration', 'record_struct_declaration'
+]);
+
+const csharpVisibility = ['public', 'protected', 'private', 'internal', 'file'];
+
+function emptySignature() {
+  return {
+    parameters: [],
+    returnType: null,
+    typeParameters: null,
+    modifiers: [],
+    async: false,
+    generator: false,
+    static: false,
+    abstract: false,
+    getter: false,
+    setter: false,
+    private: false,
+    decorators: [],
+    visibility: 'public'
+  };
+}
+
+function parameter(name, options = {}) {
+  const defaultValue = options.default ?? null;
+  const result = {
+    name,
+    type: options.type || null,
+    default: defaultValue,
+    rest: options.rest || false,
+    optional: options.optional ?? defaultValue !== null
+  };
+  // Only where the language has them: [Parameter(...)] attributes, ref/out/this
+  if (options.attributes && options.attributes.length > 0) {
+    result.attributes = options.attributes;
+  }
+  if (options.modifiers && options.modifiers.length > 0) {
+    result.modifiers = options.modifiers;
+  }
+  return result;
+}
+
+function stripAnnotation(text) {
+  return text ? text.replace(/^:\s*/, '').trim() : null;
+}
+
+// Find the function/class node behind a segment node
+// (const f = () => {}, { f: function () {} }, exports.f = ..., @decorated def f).
+// Class fields stay themselves: their own keywords describe them
+function unwrapDefinition(node) {
+  switch (node.type) {
+    case 'variable_declarator':
+    case 'pair':
+      return node.childForFieldName('value');
+    case 'assignment_expression':
+      return node.childForFieldName('right');
+    case 'export_statement':
+      return node.childForFieldName('declaration');
+    case 'decorated_definition':
+      return node.childForFieldName('definition');
+  }
+  return node;
+}
+
+function extractSignature(node, language) {
+  const definition = unwrapDefinition(node);
+  if (!definition) return null;
+
+  switch (language) {
+    case 'javascript':
+    case 'typescript':
+    case 'tsx':
+      return jsSignature(definition);
+    case 'python':
+      return pythonSignature(definition);
+    case 'powershell':
+      return powerShellSignature(definition);
+    case 'csharp':
+      return csharpSignature(definition);
+  }
+  return null;
+}
+
+// JavaScript / TypeScript
+
+function jsParameters(fn) {
+  const single = fn.childForFieldName('parameter');
+  if (single) return [parameter(single.text)];
+
+  const list = fn.childForFieldName('parameters');
+  if (!list) return [];
+
+  return list.namedChildren
+    .filter(p => p.type !== 'comment' && p.type !== 'decorator')
+    .map(p => {
+      switch (p.type) {
+        case 'assignment_pattern':
+          return parameter(p.childForFieldName('left').text, { default: p.childForFieldName('right').text });
+        case 'rest_pattern':
+          return parameter(p.namedChild(0)?.text || p.text, { rest: true });
+        case 'required_parameter':
+        case 'optional_parameter': {
+          const pattern = p.childForFieldName('pattern');
+          const isRest = pattern?.type === 'rest_pattern';
+          const value = p.childForFieldName('value');
+          return parameter(isRest ? pattern.namedChild(0)?.text : pattern?.text || p.text, {
+            type: stripAnnotation(p.childForFieldName('type')?.text),
+            default: value?.text,
+            rest: isRest,
+            optional: p.type === 'optional_parameter' || Boolean(value)
+          });
+        }
+        default:
+          return parameter(p.text);
+      }
+    });
+}
+
+// Decorators written before a node: its own decorator children plus the
+// preceding siblings (methods in a class body, classes in an export statement)
+function jsDecorators(node) {
+  const decorators = node.children.filter(c => c.type === 'decorator');
+
+  for (let sibling = node.previousNamedSibling; sibling?.type === 'decorator'; sibling = sibling.previousNamedSibling) {
+    decorators.unshift(sibling);
+  }
+  return decorators.map(d => d.text.replace(/^@/, ''));
+}
+
+function jsSignature(node) {
+  const isClass = jsClassTypes.has(node.type);
+  const isField = jsFieldTypes.has(node.type);
+  if (!isClass && !isField && !jsFunctionTypes.has(node.type)) return null;
+
+  const signature = emptySignature();
+  const tokens = node.children.filter(c => !c.isNamed).map(c => c.type);
+  const keywords = ['async', 'static', 'get', 'set', 'abstract', 'override', 'readonly', 'declare'];
+
+  signature.modifiers = tokens.filter(t => keywords.includes(t));
+  const accessibility = node.children.find(c => c.type === 'accessibility_modifier');
+  if (accessibility) {
+    signature.modifiers.unshift(accessibility.text);
+    signature.visibility = accessibility.text;
+  }
+
+  signature.async = tokens.includes('async');
+  signature.generator = tokens.includes('*') || node.type.startsWith('generator_');
+  signature.static = tokens.includes('static');
+  signature.abstract = tokens.includes('abstract') || node.type.startsWith('abstract_');
+  signature.getter = tokens.includes('get');
+  signature.setter = tokens.includes('set');
+  signature.decorators = jsDecorators(node);
+  signature.typeParameters = node.childForFieldName('type_parameters')?.text || null;
+
+  const name = node.childForFieldName('name') || node.childForFieldName('property');
+  if (name?.type === 'private_property_identifier') {
+    signature.private = true;
+    signature.visibility = 'private';
+  } else if (signature.visibility === 'private') {
+    signature.private = true;
+  }
+
+  if (isClass) {
+    // A class's parameters are its constructor's
+    const constructor = node.childForFieldName('body')?.namedChildren
+      .find(member => member.type === 'method_definition' && member.childForFieldName('name')?.text === 'constructor');
+    signature.parameters = constructor ? jsParameters(constructor) : [];
+  } else if (isField) {
+    // A field's type is its returnType; handle = async (event) => {} has the function's parameters
+    const value = node.childForFieldName('value');
+    if (value && jsFunctionTypes.has(value.type)) {
+      signature.parameters = jsParameters(value);
+      signature.returnType = stripAnnotation(value.childForFieldName('return_type')?.text);
+      signature.async = value.children.some(c => c.type === 'async');
+    } else {
+      signature.returnType = stripAnnotation(node.childForFieldName('type')?.text);
+    }
+  } else {
+    signature.parameters = jsParameters(node);
+    signature.returnType = stripAnnotation(node.childForFieldName('return_type')?.text);
+  }
+
+  return signature;
+}
+
+// Python
+
+function pythonParameters(fn) {
+  const list = fn.childForFieldName('parameters');
+  if (!list) return [];
+
+  const splatName = (p) => p.type === 'list_splat_pattern' ? `*${p.namedChild(0)?.text}` :
+    p.type === 'dictionary_splat_pattern' ? `**${p.namedChild(0)?.text}` : p.text;
+  const isSplat = (p) => p?.type === 'list_splat_pattern' || p?.type === 'dictionary_splat_pattern';
+
+  return list.namedChildren
+    .filter(p => p.type !== 'positional_separator' && p.type !== 'keyword_separator' && p.type !== 'comment')
+    .map(p => {
+      switch (p.type) {
+        case 'default_parameter':
+        case 'typed_default_parameter':
+          return parameter(p.childForFieldName('name').text, {
+            type: p.childForFieldName('type')?.text,
+            default: p.childForFieldName('value')?.text
+          });
+        case 'typed_parameter': {
+          const target = p.namedChildren.find(c => c.type !== 'type');
+          return parameter(splatName(target), { type: p.childForFieldName('type')?.text, rest: isSplat(target) });
+        }
+        default:
+          return parameter(splatName(p), { rest: isSplat(p) });
+      }
+    });
+}
+
+// yield anywhere in the body except nested functions/classes/lambdas
+function containsYield(node) {
+  for (const child of node.namedChildren) {
+    if (['function_definition', 'class_definition', 'lambda'].includes(child.type)) continue;
+    if (child.type === 'yield' || containsYield(child)) return true;
+  }
+  return false;
+}
+
+function pythonSignature(node) {
+  if (node.type !== 'function_definition' && node.type !== 'class_definition') return null;
+
+  const signature = emptySignature();
+  const name = node.childForFieldName('name')?.text || '';
+  const decorated = node.parent?.type === 'decorated_definition' ? node.parent : null;
+
+  signature.decorators = decorated
+    ? decorated.namedChildren.filter(c => c.type === 'decorator').map(d => d.text.replace(/^@/, '').trim())
+    : [];
+
+  // Naming conventions stand in for access modifiers
+  if (/^__\w*[^_]$|^__\w$/.test(name)) {
+    signature.visibility = 'private';
+    signature.private = true;
+  } else if (name.startsWith('_') && !/^__\w+__$/.test(name)) {
+    signature.visibility = 'protected';
+  }
+
+  if (node.type === 'class_definition') {
+    const init = node.childForFieldName('body')?.namedChildren
+      .map(member => member.type === 'decorated_definition' ? member.childForFieldName('definition') : member)
+      .find(member => member?.type === 'function_definition' && member.childForFieldName('name')?.text === '__init__');
+    // Drop self
+    signature.parameters = init ? pythonParameters(init).slice(1) : [];
+    signature.typeParameters = node.childForFieldName('type_parameters')?.text || null;
+    return signature;
+  }
+
+  const decoratorNames = signature.decorators.map(d => d.replace(/\(.*$/s, ''));
+  signature.async = node.children.some(c => c.type === 'async');
+  signature.generator = containsYield(node.childForFieldName('body') || node);
+  signature.static = decoratorNames.includes('staticmethod');
+  signature.abstract = decoratorNames.some(d => /(^|\.)abstractmethod$/.test(d));
+  signature.getter = decoratorNames.some(d => /(^|\.)(property|cached_property)$|\.getter$/.test(d));
+  signature.setter = decoratorNames.some(d => /\.setter$/.test(d));
+  signature.modifiers = [
+    ...(signature.async ? ['async'] : []),
+    ...decoratorNames.filter(d => ['staticmethod', 'classmethod', 'property', 'abstractmethod'].includes(d))
+  ];
+  signature.parameters = pythonParameters(node);
+  signature.returnType = node.childForFieldName('return_type')?.text || null;
+  return signature;
+}
+
+// PowerShell
+
+function typeLiteralName(node) {
+  return node?.text.replace(/^\[|\]$/g, '') || null;
+}
+
+function powerShellParameters(parameterList) {
+  if (!parameterList) return [];
+
+  return parameterList.namedChildren
+    .filter(p => p.type === 'script_parameter' || p.type === 'class_method_parameter')
+    .map(p => {
+      const attributes = p.namedChildren.find(c => c.type === 'attribute_list')?.namedChildren || [];
+      // [string]$Name: a bare type literal is the type, anything else an attribute
+      const typeAttribute = attributes.find(a => a.namedChild(0)?.type === 'type_literal');
+      const directType = p.namedChildren.find(c => c.type === 'type_literal');
+      const defaultValue = p.namedChildren.find(c => c.type === 'script_parameter_default');
+      const otherAttributes = attributes.filter(a => a !== typeAttribute).map(a => a.text.replace(/^\[|\]$/g, ''));
+
+      return parameter(p.namedChildren.find(c => c.type === 'variable')?.text.replace(/^\$/, ''), {
+        type: typeLiteralName(typeAttribute?.namedChild(0) || directType),
+        default: defaultValue?.namedChild(0)?.text || null,
+        // Class method parameters are always required
+        optional: p.type === 'class_method_parameter' ? false
+          : defaultValue ? true : !otherAttributes.some(a => /Mandatory\s*(=\s*\$true)?\s*[,)]/i.test(a)),
+        attributes: otherAttributes
+      });
+    });
+}
+
+function powerShellSignature(node) {
+  const signature = emptySignature();
+
+  if (node.type === 'function_statement' || node.type === 'filter_statement') {
+    const paramBlock = node.namedChildren.find(c => c.type === 'script_block')
+      ?.namedChildren.find(c => c.type === 'param_block');
+    const inlineParameters = node.namedChildren.find(c => c.type === 'function_parameter_declaration');
+
+    signature.parameters = powerShellParameters(
+      (paramBlock || inlineParameters)?.namedChildren.find(c => c.type === 'parameter_list'));
+    signature.decorators = (paramBlock?.namedChildren.find(c => c.type === 'attribute_list')?.namedChildren || [])
+      .map(a => a.text.replace(/^\[|\]$/g, ''));
+
+    // [OutputType([string])] is the closest thing to a return type
+    const outputType = signature.decorators.find(d => /^OutputType\s*\(/i.test(d));
+    signature.returnType = outputType ? outputType.replace(/^OutputType\s*\(\s*|\s*\)$/gi, '').replace(/^\[|\]$/g, '') : null;
+    return signature;
+  }
+
+  // Methods, constructors and properties: hidden/static attributes; a property's type is its returnType
+  if (node.type === 'class_method_definition' || node.type === 'class_property_definition') {
+    const attributes = node.namedChildren.filter(c => c.type === 'class_attribute').map(c => c.text.toLowerCase());
+    signature.modifiers = attributes;
+    signature.static = attributes.includes('static');
+    signature.visibility = attributes.includes('hidden') ? 'hidden' : 'public';
+    signature.returnType = typeLiteralName(node.namedChildren.find(c => c.type === 'type_literal'));
+    signature.parameters = powerShellParameters(node.namedChildren.find(c => c.type === 'class_method_parameter_list'));
+    return signature;
+  }
+
+  if (node.type === 'class_statement') {
+    const className = node.namedChildren.find(c => c.type === 'simple_name')?.text;
+    const constructor = node.namedChildren.find(c => c.type === 'class_method_definition' &&
+      c.namedChildren.find(n => n.type === 'simple_name')?.text === className);
+    signature.parameters = constructor
+      ? powerShellParameters(constructor.namedChildren.find(c => c.type === 'class_method_parameter_list'))
+      : [];
+    return signature;
+  }
+
+  return null;
+}
+
+// C#
+
+function csharpParameters(parameterList) {
+  if (!parameterList) return [];
+
+  const parameters = parameterList.namedChildren
+    .filter(p => p.type === 'parameter')
+    .map(p => {
+      const name = p.childForFieldName('name');
+      // The default value is whatever follows the name (= 3)
+      const defaultValue = name ? p.namedChildren.find(c => c.startIndex > name.endIndex) : null;
+      return parameter(name?.text || p.text, {
+        type: p.childForFieldName('type')?.text,
+        default: defaultValue?.text,
+        attributes: p.namedChildren.filter(c => c.type === 'attribute_list')
+          .flatMap(list => list.namedChildren.map(a => a.text)),
+        modifiers: p.namedChildren.filter(c => c.type === 'modifier').map(m => m.text)
+      });
+    });
+
+  // params string[] tags sits directly in the list
+  const restName = parameterList.childForFieldName('name');
+  if (restName) {
+    parameters.push(parameter(restName.text, { type: parameterList.childForFieldName('type')?.text, rest: true }));
+  }
+  return parameters;
+}
+
+function csharpSignature(node) {
+  const isClass = csharpClassTypes.has(node.type);
+  if (!isClass && !csharpFunctionTypes.has(node.type)) return null;
+
+  const signature = emptySignature();
+  signature.modifiers = node.namedChildren.filter(c => c.type === 'modifier').map(c => c.text);
+  signature.decorators = node.namedChildren.filter(c => c.type === 'attribute_list')
+    .flatMap(list => list.namedChildren.filter(a => a.type === 'attribute').map(a => a.text));
+  signature.typeParameters = node.namedChildren.find(c => c.type === 'type_parameter_list')?.text || null;
+
+  const access = signature.modifiers.filter(m => csharpVisibility.includes(m));
+  // Members default to private, top-level types to internal
+  const topLevel = !node.parent || ['compilation_unit', 'namespace_declaration', 'file_scoped_namespace_declaration']
+    .includes(node.parent.type) || node.parent.parent?.type === 'namespace_declaration';
+  signature.visibility = access.length > 0 ? access.join(' ') : (isClass && topLevel ? 'internal' : 'private');
+  signature.private = signature.visibility === 'private';
+  signature.static = signature.modifiers.includes('static');
+  signature.async = signature.modifiers.includes('async');
+  signature.abstract = signature.modifiers.includes('abstract');
+
+  const parameterList = node.childForFieldName('parameters') ||
+    node.namedChildren.find(c => c.type === 'parameter_list');
+
+  if (isClass) {
+    // Primary constructor (records, C# 12 classes) or the first declared constructor
+    const constructor = node.childForFieldName('body')?.namedChildren.find(c => c.type === 'constructor_declaration');
+    signature.parameters = csharpParameters(parameterList || constructor?.childForFieldName('parameters'));
+  } else {
+    signature.parameters = csharpParameters(parameterList);
+    signature.returnType = node.childForFieldName('returns')?.text || node.childForFieldName('type')?.text || null;
+  }
+  return signature;
+}
+
+module.exports = {
+  extractSignature
+};
@@ -0,0 +1,100 @@
+/*
+ * Line/column/byte ranges and content slicing for segments
+ *
+ * Parsers report 0-based startLine/endLine and, where they know them,
+ * startColumn/endColumn (UTF-16 code units, the JavaScript string index within
+ * the line - what tree-sitter and Acorn report). SourceIndex fills in missing
+ * columns and derives startByte/endByte (UTF-8 offsets into the file), and
+ * slices content either by whole lines or exactly by range.
+ *
+ * CRLF files: lines split on \n; a trailing \r belongs to the line break, so
+ * end-of-line columns stop before it and exact slices end before it.
+ */
+
+class SourceIndex {
+  constructor(code) {
+    this.code = code;
+    this.lines = code.split('\n');
+    this.lineStarts = [];
+    this.lineByteStarts = [];
+
+    let offset = 0;
+    let bytes = 0;
+    for (const line of this.lines) {
+      this.lineStarts.push(offset);
+      this.lineByteStarts.push(bytes);
+      offset += line.length + 1;
+      bytes += Buffer.byteLength(line) + 1;
+    }
+  }
+
+  clampLine(line) {
+    return Math.max(0, Math.min(line, this.lines.length - 1));
+  }
+
+  // Line text without its line break (\n or \r\n)
+  lineText(line) {
+    return this.lines[this.clampLine(line)].replace(/\r$/, '');
+  }
+
+  // Line and column of a string offset
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low, column: offset - this.lineStarts[low] };
+  }
+
+  offset(line, column) {
+    const clamped = this.clampLine(line);
+    return this.lineStarts[clamped] + Math.min(column, this.lines[clamped].length);
+  }
+
+  byteOffset(line, column) {
+    const clamped = this.clampLine(line);
+    const text = this.lines[clamped].substring(0, column);
+    return this.lineByteStarts[clamped] + Buffer.byteLength(text);
+  }
+
+  // Complete a segment's range. Without known columns a segment starts at its
+  // first line's indentation and ends at the end of its last line.
+  withRange(segment) {
+    const startLine = this.clampLine(segment.startLine);
+    const endLine = Math.max(startLine, this.clampLine(segment.endLine));
+    const startColumn = Number.isInteger(segment.startColumn)
+      ? segment.startColumn
+      : this.lineText(startLine).length - this.lineText(startLine).trimStart().length;
+    const endColumn = Number.isInteger(segment.endColumn) ? segment.endColumn : this.lineText(endLine).length;
+
+    return {
+      ...segment,
+      startLine,
+      endLine,
+      startColumn,
+      endColumn,
+      startByte: this.byteOffset(startLine, startColumn),
+      endByte: this.byteOffset(endLine, endColumn)
+    };
+  }
+
+  // Whole lines, or with exact=true only the segment's own text.
+  // Either way the final line break (\n or \r\n) is left out.
+  slice(segment, exact = false) {
+    const start = exact ? this.offset(segment.startLine, segment.startColumn) : this.offset(segment.startLine, 0);
+    const end = exact
+      ? this.offset(segment.endLine, segment.endColumn)
+      : this.offset(segment.endLine, this.lineText(segment.endLine).length);
+    return this.code.slice(start, end);
+  }
+}
+
+module.exports = {
+  SourceIndex
+};
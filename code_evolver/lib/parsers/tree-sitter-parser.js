@@ -4,88 +4,78 @@
  * Tree-sitter Multi-Language Parser with Ancestor Tracking
  *
  * Uses web-tree-sitter (WASM) to avoid Windows build tool requirements
- * Supports: JavaScript, Python, PowerShell, Bash, R
+ * Supports: JavaScript, TypeScript/TSX, Python, PowerShell, Bash, R, C#, Go, Rust, Java, Ruby,
+ * and the code embedded in Vue, Svelte, HTML and Markdown files
  *
  * Installation: npm install web-tree-sitter
- * Grammar files: Place .wasm files in grammars/ directory
+ * Grammar files: Place .wasm files in grammars/ directory, or in a grammar
+ * directory registered as described in shared/grammar-registry.js
  */
 
 const fs = require('fs');
 const path = require('path');
 const TreeSitter = require('web-tree-sitter');
-
-let detectedSegments = [];
-let currentContext = null;
-let currentLanguageConfig = null;
-
-// Language detection based on file extension
-function detectLanguage(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-
-  const languageMap = {
-    '.js': 'javascript',
-    '.jsx': 'javascript',
-    '.mjs': 'javascript',
-    '.cjs': 'javascript',
-    '.py': 'python',
-    '.ps1': 'powershell',
-    '.psm1': 'powershell',
-    '.psd1': 'powershell',
-    '.sh': 'bash',
-    '.bash': 'bash',
-    '.r': 'r',
-    '.R': 'r',
-    '.cs': 'csharp',
-    '.csx': 'csharp'
-  };
-
-  return languageMap[ext] || 'unknown';
+const { loadLanguageRules, evaluateRules } = require('./language-rules');
+const { defaultQueryDir, findQueryFiles, loadQueryPlugins, runQueryPlugins } = require('../../../shared/query-plugins');
+const { ParseCache, getDefaultCache, hashText, hashFile, hashFiles } = require('../../../shared/parse-cache');
+const { extractSignature } = require('./signatures');
+const { extractDocComment } = require('./doc-comments');
+const { fingerprintNode } = require('./fingerprints');
+const { collectDiagnostics } = require('./diagnostics');
+const { SourceIndex } = require('./source-ranges');
+const { BlockScanner } = require('./block-scanner');
+const { GrammarRegistry } = require('../../../shared/grammar-registry');
+const { isHostLanguage, findEmbeddedRegions, toHostRange } = require('./embedded-regions');
+const { returnsJsx } = require('./react-components');
+
+// Bundled grammars; sessions can search --grammar-dir directories first
+const bundledGrammarDir = path.join(__dirname, '..', '..', 'grammars');
+// Modules shared with Code Referencer (query plugins, parse cache, grammar registry)
+const sharedDir = path.join(__dirname, '..', '..', '..', 'shared');
+const defaultGrammars = new GrammarRegistry({ bundledDir: bundledGrammarDir });
+
+// Language detection by file extension, else by the shebang of the code or file
+function detectLanguage(filePath, code = null, grammars = defaultGrammars) {
+  return grammars.detectLanguage(filePath, code);
 }
 
-// Parser and language initialization
-let parserInitialized = false;
-let parser = null;
+// Runtime and language initialization. Both are shared, immutable and cached as
+// promises so concurrent parses wait on the same load; parser instances are per session.
+let runtimeInit = null;
 const loadedLanguages = new Map();
 
-// Initialize parser once
-async function initParser() {
-  if (parserInitialized) return parser;
-
-  try {
+// Initialize the WASM runtime once
+function initParser() {
+  if (!runtimeInit) {
     // web-tree-sitter requires init() first
-    await TreeSitter.Parser.init();
-    parser = new TreeSitter.Parser();
-    parserInitialized = true;
-  } catch (error) {
-    console.error("Failed to initialize parser:", error.message);
-    throw error;
+    runtimeInit = TreeSitter.Parser.init().catch(error => {
+      console.error("Failed to initialize parser:", error.message);
+      runtimeInit = null;
+      throw error;
+    });
   }
-  return parser;
+  return runtimeInit;
 }
 
-// Load language grammar from WASM file
-async function loadLanguage(language) {
-  if (loadedLanguages.has(language)) {
-    return loadedLanguages.get(language);
+// Load language grammar from WASM file, cached by grammar path
+function loadLanguage(language, grammars = defaultGrammars) {
+  const grammarPath = grammars.getGrammarPath(language);
+  const key = grammarPath || language;
+  if (!loadedLanguages.has(key)) {
+    loadedLanguages.set(key, loadLanguageGrammar(language, grammarPath));
   }
+  return loadedLanguages.get(key);
+}
 
-  // Map language to grammar file
-  const grammarFiles = {
-    'javascript': 'tree-sitter-javascript.wasm',
-    'python': 'tree-sitter-python.wasm',
-    'powershell': 'tree-sitter-powershell.wasm',
-    'bash': 'tree-sitter-bash.wasm',
-    'r': 'tree-sitter-r.wasm',
-    'csharp': 'tree-sitter-c-sharp.wasm'
-  };
+async function loadLanguageGrammar(language, grammarPath) {
+  // Grammars can only be loaded once the runtime is up
+  await initParser();
 
-  const grammarFile = grammarFiles[language];
-  if (!grammarFile) {
+  if (!grammarPath) {
     console.error(`No grammar available for language: ${language}`);
     return null;
   }
-
-  const grammarPath = path.join(__dirname, '..', '..', 'grammars', grammarFile);
+  const grammarFile = path.basename(grammarPath);
 
   if (!fs.existsSync(grammarPath)) {
     console.error(`Grammar file not found: ${grammarPath}`);
@@ -94,15 +84,77 @@ async function loadLanguage(language) {
   }
 
   try {
-    const languageObj = await TreeSitter.Language.load(grammarPath);
-    loadedLanguages.set(language, languageObj);
-    return languageObj;
+    return await TreeSitter.Language.load(grammarPath);
   } catch (error) {
     console.error(`Failed to load grammar for ${language}:`, error.message);
     return null;
   }
 }
 
+// Names a declaration target binds - an identifier or a destructuring
+// pattern - each with the node to range it over. A plain identifier is ranged
+// over the whole declaration (owner); a destructured name over its own binding:
+//   const { a, b: c = 1, ...rest } = cfg  ->  a ("a"), c ("b: c = 1"), rest ("...rest")
+//   A, B = 1, 2                           ->  A ("A"), B ("B")
+const bindingNameTypes = new Set(['identifier', 'shorthand_property_identifier_pattern']);
+const bindingPatternTypes = new Set([
+  'object_pattern', 'array_pattern', 'pattern_list', 'tuple_pattern', 'list_pattern'
+]);
+
+function patternBindings(target, owner = null) {
+  if (!target) return [];
+  if (bindingNameTypes.has(target.type)) {
+    return [{ name: target.text, node: owner || target }];
+  }
+
+  // The binding element owns the range unless it nests another pattern
+  const element = (inner) => patternBindings(inner, bindingPatternTypes.has(inner?.type) ? null : target);
+
+  switch (target.type) {
+    case 'pair_pattern':
+      return element(target.childForFieldName('value'));
+    case 'assignment_pattern':
+    case 'object_assignment_pattern':
+      return element(target.childForFieldName('left'));
+    case 'rest_pattern':
+    case 'list_splat_pattern':
+      return element(target.namedChild(0));
+    default:
+      if (!bindingPatternTypes.has(target.type)) return [];
+      return target.namedChildren.flatMap(child => patternBindings(child));
+  }
+}
+
+// Arguments of a PowerShell command, read from the source text from offset
+// (just past the command name) to the end of the statement. The grammar turns
+// bare comma lists (-Function Get-A, Get-B) into ERROR nodes, so the tree can't
+// be trusted here. Returns [{ parameter, value, start, end }] with offsets
+// of each value token; positional values have parameter null.
+const powerShellArgumentToken =
+  /`\r?\n|[ \t,]+|(\r?\n)|(@?\()|(\))|'((?:[^']|'')*)'|"((?:[^"`]|`.)*)"|-([A-Za-z]\w*):?|([^\s,;|(){}'"`]+)/y;
+
+function powerShellArguments(code, offset) {
+  const args = [];
+  let parameter = null;
+  let depth = 0;
+
+  powerShellArgumentToken.lastIndex = offset;
+  let match;
+  while ((match = powerShellArgumentToken.exec(code))) {
+    const [token, newline, open, close, single, double, name, bare] = match;
+    if (newline !== undefined && depth === 0) break;
+    if (open) depth++;
+    if (close && --depth < 0) break;
+    if (name) parameter = name;
+
+    const value = single !== undefined ? single.replace(/''/g, "'") : double !== undefined ? double : bare;
+    if (value !== undefined) {
+      args.push({ parameter, value, start: match.index, end: match.index + token.length });
+    }
+  }
+  return args;
+}
+
 // Tree-sitter AST traversal with ancestor tracking (the key trick!)
 function traverseWithAncestors(node, ancestors, visitor) {
   // Call visitor with current node and ancestors
@@ -119,526 +171,588 @@ function traverseWithAncestors(node, ancestors, visitor) {
   }
 }
 
-// Add segment with context from ancestors
-function addSegment(node, type, name, ancestors, options = {}) {
-  const startPosition = node.startPosition;
-  const endPosition = node.endPosition;
-  
-  let finalName = name || "anonymous";
-  let parent = options.parent || null;
-  let extendsClass = options.extends || null;
-  
-  // Use ancestor trick for context preservation
-  if (type === "method" && currentContext && currentContext.PreserveContext) {
-    // Find parent class from ancestors
-    for (let i = ancestors.length - 1; i >= 0; i--) {
-      const ancestor = ancestors[i];
-      if (ancestor.type === 'class_declaration' || ancestor.type === 'class_definition') {
-        // Get class name from ancestor node
-        const classNameNode = ancestor.childForFieldName('name');
-        if (classNameNode) {
-          const className = classNameNode.text;
-          finalName = `${className}.${name}`;
-          parent = className;
-          break;
-        }
-      }
-    }
-  }
-
-  detectedSegments.push({
-    name: finalName,
-    type,
-    startLine: startPosition.row,
-    endLine: endPosition.row,
-    content: "", // Will be filled later
-    parent: parent,
-    extends: extendsClass,
-  });
-}
-
 // Language-specific element extraction using tree-sitter AST
 class TreeSitterExtractor {
-  constructor(language) {
+  constructor(language, languageRules = null, queryPlugins = [], languageExtractor = null) {
     this.language = language;
+    // Compiled config/languages.json rules; null = no block for the language
+    this.rules = languageRules;
+    // Compiled .vibe/queries/*.scm files
+    this.queryPlugins = queryPlugins;
+    // Extractor module from a grammars.json manifest; replaces the rules
+    this.languageExtractor = languageExtractor;
+    // Resolvers and predicates config rules name (nameResolver, wherePredicate, ...)
+    this.resolvers = {
+      exportedName: (node) => {
+        const declaration = node.childForFieldName('declaration');
+        return declaration ? this.getExportedBindings(declaration, node) : null;
+      },
+      // const / Python assignment targets: every declarator and destructured name
+      boundNames: (node) => patternBindings(node.childForFieldName(node.type === 'assignment' ? 'left' : 'name'), node),
+      // Bash: readonly A=1 B=2 / export A B
+      declaredVariables: (node) => {
+        const variables = node.namedChildren
+          .map(child => child.type === 'variable_assignment' ? child.childForFieldName('name') : child)
+          .filter(child => child?.type === 'variable_name');
+        return variables.map(variable => ({
+          name: variable.text,
+          node: variables.length === 1 ? node : (variable.parent.type === 'variable_assignment' ? variable.parent : variable)
+        }));
+      },
+      firstStringArgument: (node) => this.getFirstStringArgument(node),
+      // PowerShell: constructors are named after their class and declare no return type
+      isPowerShellConstructor: (node) => {
+        const ownerClass = node.parent?.namedChildren.find(c => c.type === 'simple_name')?.text;
+        const methodName = node.namedChildren.find(c => c.type === 'simple_name')?.text;
+        return methodName?.toLowerCase() === ownerClass?.toLowerCase() &&
+          !node.namedChildren.some(c => c.type === 'type_literal');
+      },
+      // Set-Variable -Name MaxItems -Value 10 -Option ReadOnly
+      constantVariable: (node) => {
+        const args = this.getPowerShellArguments(node.childForFieldName('command_name')?.endPosition);
+        const name = args.find(arg => /^n(ame?)?$/i.test(arg.parameter || '')) || args.find(arg => !arg.parameter);
+        const constant = args.some(arg => /^o(ption)?$/i.test(arg.parameter || '') && /^(constant|readonly)$/i.test(arg.value));
+        return constant ? name?.value : null;
+      },
+      exportedMembers: (node) =>
+        this.getPowerShellExports(this.getPowerShellArguments(node.childForFieldName('command_name')?.endPosition)),
+      // A bare comma list (-Function Get-A, Get-B) turns the rest of the file into
+      // an ERROR node; the exports in it survive only as text
+      exportedMembersInText: (node) => {
+        const source = this.getSource();
+        const exports = [];
+        for (let row = node.startPosition.row; row <= node.endPosition.row; row++) {
+          const exportCommand = /^\s*Export-ModuleMember\b/i.exec(source.lineText(row));
+          if (exportCommand) {
+            exports.push(...this.getPowerShellExports(this.getPowerShellArguments({ row, column: exportCommand[0].length })));
+          }
+        }
+        return exports;
+      },
+      // Module manifest (.psd1): FunctionsToExport = @('Get-Thing', 'Get-Odd'); '*' exports everything
+      manifestExports: (node) => node.descendantsOfType('string_literal')
+        .map(literal => ({ name: literal.text.replace(/^['"]|['"]$/g, ''), node: literal }))
+        .filter(({ name }) => name && !name.includes('*'))
+        .map(binding => ({ ...binding, target: binding.name })),
+      // R: setClass("Circle", ...), ranged over the assignment that names it, like functions
+      rClass: (node) => {
+        const assignedBy = node.parent?.type === 'binary_operator' &&
+          this.getRAssignment(node.parent)?.value.id === node.id ? node.parent : null;
+        return [{ name: this.getFirstStringArgument(node), node: assignedBy }];
+      },
+      // R6Class(..., inherit = Base), setClass(..., contains = "Shape")
+      rClassBase: (node) => {
+        const baseArgument = /R6Class$/.test(node.childForFieldName('function')?.text)
+          ? this.getRArgument(node, 'inherit')
+          : this.getRArgument(node, 'contains');
+        return baseArgument && (this.getRStrings(baseArgument)[0] || baseArgument.text);
+      },
+      // setMethod("area", signature("Circle"), function(shape) ...): the generic plus
+      // the classes it dispatches on, so each method has its own qualified name
+      rMethodDispatch: (node) => {
+        const dispatch = this.getRStrings(this.getRArgument(node, 'signature', 1)).join(',');
+        return [{
+          name: this.getRStrings(this.getRArgument(node, 'f', 0))[0],
+          parent: dispatch || null,
+          scope: dispatch ? [dispatch] : []
+        }];
+      },
+      // Account$methods(withdraw = ...) / Person$set(...): the class the receiver holds
+      rReceiverClass: (node) => {
+        const call = node.type === 'argument' ? node.parent.parent : node;
+        const receiver = call.childForFieldName('function')?.childForFieldName('lhs')?.text;
+        return receiver ? this.getRClassVariables().get(receiver) || receiver : null;
+      },
+      rSetMethod: (node) => this.getRSetMember(node, 'method'),
+      rSetField: (node) => this.getRSetMember(node, 'field'),
+      rSetProperty: (node) => this.getRSetMember(node, 'property'),
+      // C# generic types carry their arity, like .NET metadata names: Repository`2
+      csharpTypeName: (node) => this.getCSharpTypeName(node),
+      memberOwner: (node) => this.getMemberOwner(node),
+      // React components: the function returns JSX
+      returnsJsx: (node) => returnsJsx(node),
+      // static { ... }: "static", then "static_2", ... when a class has several
+      staticBlockName: (node) => {
+        const staticBlocks = node.parent.namedChildren.filter(c => c.type === 'class_static_block');
+        const blockNumber = staticBlocks.findIndex(block => block.id === node.id) + 1;
+        return blockNumber > 1 ? `static_${blockNumber}` : 'static';
+      }
+    };
   }
   
   extract(tree, extractionContext) {
-    detectedSegments = [];
-    currentContext = extractionContext;
+    // Per-extraction state lives on the instance, never in module scope
+    this.segments = [];
+    this.context = extractionContext;
+    this.source = null;
+    this.rClassVariables = null;
     
     const rootNode = tree.rootNode;
+    this.rootNode = rootNode;
+
+    this.fileScope = [];
     
     // Use ancestor tracking to traverse the tree
     traverseWithAncestors(rootNode, [], (node, ancestors) => {
       this.processNode(node, ancestors);
+
+      // C# "namespace Acme.Billing;" and Java "package com.acme.billing;" are
+      // siblings of the declarations they scope
+      if (node.type === 'file_scoped_namespace_declaration') {
+        this.fileScope = [node.childForFieldName('name')?.text].filter(Boolean);
+      } else if (node.type === 'package_declaration') {
+        this.fileScope = [node.namedChildren.find(c => c.type === 'scoped_identifier' || c.type === 'identifier')?.text]
+          .filter(Boolean);
+      }
     });
+
+    this.processQueryPlugins(rootNode);
+    this.linkExports();
+    this.linkPartialTypes();
     
-    return detectedSegments;
+    return this.segments;
   }
-  
-  processNode(node, ancestors) {
-    switch (this.language) {
-      case 'javascript':
-        this.processJavaScriptNode(node, ancestors);
-        break;
-      case 'python':
-        this.processPythonNode(node, ancestors);
-        break;
-      case 'bash':
-        this.processBashNode(node, ancestors);
-        break;
-      case 'powershell':
-        this.processPowerShellNode(node, ancestors);
-        break;
-      case 'r':
-        this.processRNode(node, ancestors);
-        break;
-      case 'csharp':
-        this.processCSharpNode(node, ancestors);
-        break;
+
+  // Point each export at the definition it exposes: its explicit target
+  // (module.exports.run = runJob) or else the same-named definition
+  linkExports() {
+    const definitions = new Map();
+    for (const segment of this.segments) {
+      const rank = linkableTypes.indexOf(segment.type);
+      if (rank === -1) continue;
+
+      const existing = definitions.get(segment.name);
+      if (!existing || rank < linkableTypes.indexOf(existing.type)) {
+        definitions.set(segment.name, segment);
+      }
+    }
+
+    for (const segment of this.segments) {
+      if (segment.type !== 'export') continue;
+
+      const definition = definitions.get(segment.target) || definitions.get(segment.name);
+      segment.target = definition ? definition.name : null;
+      segment.targetType = definition ? definition.type : null;
     }
   }
-  
-  processJavaScriptNode(node, ancestors) {
-    switch (node.type) {
-      case 'class_declaration':
-        const className = node.childForFieldName('name')?.text;
-        const superClass = node.childForFieldName('superclass')?.text;
-        if (className) {
-          addSegment(node, 'class', className, ancestors, { extends: superClass });
-        }
-        break;
-        
-      case 'method_definition':
-        const methodName = node.childForFieldName('name')?.text;
-        if (methodName) {
-          addSegment(node, 'method', methodName, ancestors);
-        }
-        break;
-        
-      case 'function_declaration':
-        const functionName = node.childForFieldName('name')?.text;
-        if (functionName) {
-          addSegment(node, 'function', functionName, ancestors);
-        }
-        break;
-        
-      case 'lexical_declaration':
-        // Handle const declarations
-        if (node.firstChild?.text === 'const') {
-          const declarator = node.childForFieldName('declarator');
-          const constName = declarator?.childForFieldName('name')?.text;
-          
-          if (constName && !this.shouldExcludeConstant(constName)) {
-            // Use ancestors to check if we're at top level
-            const isTopLevel = !ancestors.some(ancestor => 
-              ancestor.type === 'function_declaration' || 
-              ancestor.type === 'arrow_function' ||
-              ancestor.type === 'function_expression'
-            );
-            
-            if (isTopLevel) {
-              addSegment(node, 'constant', constName, ancestors);
-            }
-          }
-        }
-        break;
-        
-      case 'assignment_expression':
-        // Handle global assignments like window.something = 
-        const left = node.childForFieldName('left');
-        if (left?.type === 'member_expression') {
-          const object = left.childForFieldName('object')?.text;
-          const property = left.childForFieldName('property')?.text;
-          
-          if ((object === 'window' || object === 'global') && property) {
-            addSegment(node, 'global', property, ancestors);
-          }
-        }
-        break;
-        
-      case 'export_statement':
-        // Handle export declarations
-        const exported = node.childForFieldName('declaration');
-        if (exported) {
-          const exportName = this.getExportedName(exported);
-          if (exportName) {
-            addSegment(node, 'export', exportName, ancestors);
-          }
-        }
-        break;
+
+  // C# partial classes: the fragments declared in a file are one logical type.
+  // Each learns its place among them (partial: { fragment, fragments }), and
+  // a base type declared on one fragment applies to them all
+  linkPartialTypes() {
+    const types = new Map();
+    for (const segment of this.segments) {
+      if (!segment.partial) continue;
+
+      const key = `${segment.type}:${segment.qualifiedName}`;
+      if (!types.has(key)) types.set(key, []);
+      types.get(key).push(segment);
+    }
+
+    for (const fragments of types.values()) {
+      const base = fragments.find(fragment => fragment.extends)?.extends || null;
+      fragments.forEach((fragment, index) => {
+        fragment.partial = { fragment: index + 1, fragments: fragments.length };
+        fragment.extends = base;
+      });
     }
   }
+
+  // Add segment with context from ancestors
+  addSegment(node, type, name, ancestors, options = {}) {
+    // Python decorators belong to the definition they decorate
+    const decorated = this.language === 'python' && node.parent?.type === 'decorated_definition';
+    const rangeNode = decorated ? node.parent : node;
+    // options.range: a span inside the node the tree doesn't give its own node
+    const startPosition = options.range ? options.range.start : rangeNode.startPosition;
+    const endPosition = options.range ? options.range.end : rangeNode.endPosition;
   
-  processPythonNode(node, ancestors) {
-    switch (node.type) {
-      case 'class_definition':
-        const className = node.childForFieldName('name')?.text;
-        const superClass = node.childForFieldName('superclasses')?.firstChild?.text;
-        if (className) {
-          addSegment(node, 'class', className, ancestors, { extends: superClass });
-        }
-        break;
-        
-      case 'function_definition':
-        const functionName = node.childForFieldName('name')?.text;
-        if (functionName) {
-          // Use ancestors to determine if this is a method or function
-          const isInClass = ancestors.some(ancestor => ancestor.type === 'class_definition');
-          const type = isInClass ? 'method' : 'function';
-          addSegment(node, type, functionName, ancestors);
-        }
-        break;
-        
-      case 'assignment':
-        // Handle constants (uppercase variables at module level)
-        const target = node.childForFieldName('left');
-        const varName = target?.text;
-        
-        if (varName && /^[A-Z][A-Z_0-9]*$/.test(varName)) {
-          const isTopLevel = !ancestors.some(ancestor => 
-            ancestor.type === 'function_definition' || ancestor.type === 'class_definition'
-          );
-          
-          if (isTopLevel) {
-            addSegment(node, 'constant', varName, ancestors);
+    let finalName = name || "anonymous";
+    let parent = options.parent || null;
+    let extendsClass = options.extends || null;
+  
+    // Use ancestor trick for context preservation
+    if (isMethodType(type) && this.context && this.context.PreserveContext && parent) {
+      // Parent already resolved (config rule parentScopes)
+      finalName = `${parent}.${name}`;
+    } else if (isMethodType(type) && this.context && this.context.PreserveContext) {
+      // Find parent class from ancestors
+      for (let i = ancestors.length - 1; i >= 0; i--) {
+        const ancestor = ancestors[i];
+        if (ancestor.type === 'class_declaration' || ancestor.type === 'class_definition' ||
+            ancestor.type === 'abstract_class_declaration') {
+          // Get class name from ancestor node
+          const classNameNode = ancestor.childForFieldName('name');
+          if (classNameNode) {
+            const className = classNameNode.text;
+            finalName = `${className}.${name}`;
+            parent = className;
+            break;
           }
         }
-        break;
-        
-      case 'global_statement':
-        // Handle global variable declarations
-        const globalVar = node.firstChild?.nextSibling?.text;
-        if (globalVar) {
-          addSegment(node, 'global', globalVar, ancestors);
-        }
-        break;
+      }
     }
+
+    // options.scope: extra scope names the tree doesn't show (S4 dispatch classes)
+    const scope = [...this.getScopeChain(ancestors), ...(options.scope || [])];
+
+    // Optionally widen the range to take in a doc comment written above the code
+    const doc = extractDocComment(node, this.language);
+    const widen = this.context && this.context.IncludeDocComments && doc && doc.startLine < startPosition.row;
+
+    this.segments.push({
+      name: finalName,
+      type,
+      startLine: widen ? doc.startLine : startPosition.row,
+      startColumn: widen ? doc.startColumn : startPosition.column,
+      endLine: endPosition.row,
+      endColumn: endPosition.column,
+      content: "", // Will be filled later
+      parent: parent,
+      extends: extendsClass,
+      kind: options.kind || null,
+      target: options.target || null,
+      scope,
+      qualifiedName: [...scope, name || "anonymous"].join('.'),
+      signature: signatureTypes.has(type) ? extractSignature(node, this.language) : null,
+      decorators: options.decorators ||
+        (decorated ? this.getPythonDecorators(node) : null),
+      doc,
+      fingerprint: fingerprintNode(rangeNode, this.language, this.context && this.context.Fingerprint),
+      // ERROR/MISSING nodes inside: the extraction may be incomplete
+      hasErrors: node.hasError,
+      partial: options.partial || null,
+    });
   }
-  
-  processBashNode(node, ancestors) {
-    switch (node.type) {
-      case 'function_definition':
-        const functionName = node.childForFieldName('name')?.text;
-        if (functionName) {
-          addSegment(node, 'function', functionName, ancestors);
-        }
-        break;
 
-      case 'variable_assignment':
-        const varName = node.childForFieldName('name')?.text;
-        const value = node.childForFieldName('value')?.text;
+  // Names of the enclosing scopes, outermost first. Namespaces, classes and
+  // named objects contribute their name; functions their name plus "<locals>",
+  // like Python's __qualname__: Outer.Inner.method, outerFn.<locals>.helper
+  getScopeChain(ancestors) {
+    const chain = [...(this.fileScope || [])];
 
-        // Check for readonly/declare -r patterns
-        if (varName && (value?.includes('readonly') || ancestors.some(a => a.text?.includes('declare -r')))) {
-          addSegment(node, 'constant', varName, ancestors);
-        }
-        break;
-
-      case 'command':
-        // Handle export commands
-        if (node.firstChild?.text === 'export') {
-          const exportVar = node.children[1]?.text;
-          if (exportVar) {
-            addSegment(node, 'export', exportVar, ancestors);
-            addSegment(node, 'global', exportVar, ancestors);
-          }
-        }
-        break;
+    for (const ancestor of ancestors) {
+      const scope = this.getScopeName(ancestor);
+      if (!scope?.name) continue;
+
+      chain.push(scope.name);
+      if (scope.locals) {
+        chain.push('<locals>');
+      }
     }
+    return chain;
   }
 
-  processPowerShellNode(node, ancestors) {
+  // { name, locals } when the node opens a named scope, else null
+  getScopeName(node) {
+    const nameOf = (target) => target?.childForFieldName('name')?.text;
 
     switch (node.type) {
-      case 'class_statement':
+      // Namespaces and type declarations (JS/TS, Python, C#, Java, Rust, Ruby)
+      case 'internal_module':
+      case 'module':
+        // Ruby: module Billing::Helpers
+        return { name: nameOf(node)?.replace(/['"]/g, '').replace(/::/g, '.'), locals: false };
+      case 'namespace_declaration':
+      case 'class_declaration':
+      case 'abstract_class_declaration':
+      case 'interface_declaration':
       case 'class_definition':
-        const className = node.childForFieldName('name')?.text || node.children.find(c => c.type === 'simple_name')?.text;
-        const baseClass = node.childForFieldName('base_class')?.text;
-        if (className) {
-          addSegment(node, 'class', className, ancestors, { extends: baseClass });
-        }
-        break;
+      case 'struct_declaration':
+      case 'record_declaration':
+      case 'record_struct_declaration':
+      case 'enum_declaration':
+      case 'annotation_type_declaration':
+      case 'class':
+        return {
+          name: this.language === 'csharp' ? this.getCSharpTypeName(node) : nameOf(node)?.replace(/::/g, '.'),
+          locals: false
+        };
+
+      case 'mod_item':
+      case 'struct_item':
+      case 'union_item':
+      case 'enum_item':
+      case 'trait_item':
+        return { name: nameOf(node), locals: false };
+
+      // Rust: methods in impl blocks are scoped by the implementing type
+      case 'impl_item':
+        return { name: this.getRustTypeName(node.childForFieldName('type')), locals: false };
 
-      case 'function_statement':
-      case 'function_definition':
-        const functionName = node.childForFieldName('name')?.text || node.children[1]?.text;
-        if (functionName) {
-          addSegment(node, 'function', functionName, ancestors);
+      case 'class_statement':
+      case 'enum_statement':
+        return { name: node.namedChildren.find(c => c.type === 'simple_name')?.text, locals: false };
+
+      // Object literals assigned to a name: const api = { get() {} } -> api.get
+      case 'object':
+        if (node.parent?.type === 'variable_declarator') {
+          return { name: nameOf(node.parent), locals: false };
+        }
+        if (node.parent?.type === 'pair') {
+          return { name: node.parent.childForFieldName('key')?.text.replace(/^['"]|['"]$/g, ''), locals: false };
         }
-        break;
+        return null;
 
+      // Functions and methods
+      case 'function_declaration':
+      case 'generator_function_declaration':
+      case 'function_definition':
       case 'method_definition':
-        const methodName = node.childForFieldName('name')?.text;
-        if (methodName) {
-          addSegment(node, 'method', methodName, ancestors);
-        }
-        break;
+      case 'method_declaration':
+      case 'constructor_declaration':
+      case 'compact_constructor_declaration':
+      case 'local_function_statement':
+      case 'function_item':
+      case 'method':
+      case 'singleton_method':
+      case 'function_expression':
+      case 'arrow_function':
+        return { name: nameOf(node) || this.getAssignedName(node) || '<anonymous>', locals: true };
 
-      case 'variable_assignment':
-        const varNode = node.childForFieldName('variable');
-        const varName = varNode?.text;
+      case 'function_statement':
+        return { name: node.namedChildren.find(c => c.type === 'function_name')?.text, locals: true };
 
-        // Check for global/script scope
-        if (varName?.includes('$global:') || varName?.includes('$script:')) {
-          const cleanName = varName.replace(/\$(global|script):/, '');
-          addSegment(node, 'global', cleanName, ancestors);
-        }
-        // Check for readonly constants
-        else if (varNode?.parent?.text?.includes('[readonly]')) {
-          addSegment(node, 'constant', varName?.replace('$', ''), ancestors);
-        }
-        break;
+      case 'class_method_definition':
+        return { name: node.namedChildren.find(c => c.type === 'simple_name')?.text, locals: true };
 
-      case 'export_statement':
-        // Handle Export-ModuleMember
-        const exportTarget = node.childForFieldName('target')?.text;
-        if (exportTarget) {
-          addSegment(node, 'export', exportTarget, ancestors);
+      // R: Person <- R6Class("Person", ...), setRefClass("Account", ...)
+      case 'call':
+        if (this.language === 'r' && this.isRClassCall(node)) {
+          const className = this.getFirstStringArgument(node);
+          return className ? { name: className, locals: false } : null;
         }
-        break;
+        return null;
     }
+    return null;
   }
 
-  processRNode(node, ancestors) {
-    switch (node.type) {
-      case 'function_definition':
+  // Name a function gets from where it is stored: const f = () => {}, { f: function () {} },
+  // obj.f = () => {}, f <- function() (R), R6 list(f = function())
+  getAssignedName(node) {
+    const parent = node.parent;
+    if (!parent) return null;
+
+    switch (parent.type) {
+      case 'variable_declarator':
+        return parent.childForFieldName('name')?.text;
+      case 'pair':
+        return parent.childForFieldName('key')?.text.replace(/^['"]|['"]$/g, '');
+      case 'assignment_expression':
+        const left = parent.childForFieldName('left');
+        return left?.childForFieldName('property')?.text || left?.text;
+      case 'public_field_definition':
+      case 'field_definition':
+        return parent.childForFieldName('name')?.text || parent.childForFieldName('property')?.text;
       case 'binary_operator':
-        // Handle function <- function() or name <- function()
-        if (node.type === 'binary_operator' && node.childForFieldName('operator')?.text === '<-') {
-          const left = node.childForFieldName('lhs');  // R uses 'lhs' not 'left'
-          const right = node.childForFieldName('rhs'); // R uses 'rhs' not 'right'
-
-          // Check for function definitions
-          if (right?.text?.startsWith('function')) {
-            const functionName = left?.text;
-            if (functionName) {
-              addSegment(node, 'function', functionName, ancestors);
-            }
-          }
-          // Check for R6 class definitions: MyClass <- R6::R6Class("MyClass", ...)
-          else if (right?.type === 'call') {
-            // In R, the function can be either a direct identifier or a namespace operator
-            const funcNode = right.childForFieldName('function') || right.child(0);
-            const callFunc = funcNode?.text;
-            if (callFunc === 'R6Class' || callFunc?.endsWith('::R6Class')) {
-              // Extract class name from first argument
-              const args = right.childForFieldName('arguments') || right.child(1);
-              if (args) {
-                let className = null;
-                for (const child of args.children) {
-                  if (child.type === 'string') {
-                    className = child.text.replace(/['"]/g, '');
-                    break;
-                  } else if (child.type === 'argument') {
-                    // In R, arguments can contain the actual value
-                    const argValue = child.child(0);
-                    if (argValue?.type === 'string') {
-                      className = argValue.text.replace(/['"]/g, '');
-                      break;
-                    }
-                  }
-                }
-                if (className) {
-                  addSegment(node, 'class', className, ancestors, { type: 'R6' });
-                }
-              }
-            }
-          }
-          // Check for S3 class assignment: class(obj) <- "ClassName"
-          else if (left?.type === 'call' && left.childForFieldName('function')?.text === 'class') {
-            const className = right?.text?.replace(/['"]/g, '');
-            if (className) {
-              addSegment(node, 'class', className, ancestors, { type: 'S3' });
-            }
-          }
-          // Check for constants (uppercase names)
-          else if (left?.text && /^[A-Z][A-Z._0-9]*$/.test(left.text)) {
-            addSegment(node, 'constant', left.text, ancestors);
-          }
-        }
-        break;
+        // R: name <- function() / function() -> name
+        const operator = parent.childForFieldName('operator')?.text;
+        const side = operator === '->' || operator === '->>' ? 'rhs' : 'lhs';
+        return parent.childForFieldName(side)?.text;
+      case 'argument':
+        return parent.childForFieldName('name')?.text;
+    }
+    return null;
+  }
 
-      case 'assignment':
-        // Handle = assignments
-        const target = node.childForFieldName('lhs')?.text;
-        if (target && /^[A-Z][A-Z._0-9]*$/.test(target)) {
-          addSegment(node, 'constant', target, ancestors);
-        }
-        break;
+  processQueryPlugins(rootNode) {
+    for (const element of runQueryPlugins(this.queryPlugins, rootNode)) {
+      const ancestors = [];
+      for (let ancestor = element.node.parent; ancestor; ancestor = ancestor.parent) {
+        ancestors.unshift(ancestor);
+      }
+      this.addSegment(element.node, element.type, element.name, ancestors, { kind: element.kind });
+    }
+  }
+  
+  processNode(node, ancestors) {
+    // A grammar manifest's extractor module replaces the config rules
+    if (this.languageExtractor) {
+      this.languageExtractor.processNode?.(node, ancestors, this);
+      return;
+    }
+    if (!this.rules) return;
+
+    for (const match of evaluateRules(this.rules, node, ancestors, this.resolvers)) {
+      this.addSegment(match.node || node, match.type, match.name, ancestors, {
+        extends: match.extends,
+        parent: match.parent,
+        target: match.target,
+        kind: match.kind,
+        decorators: match.decorators,
+        partial: match.flags.includes('partial') || null,
+        range: match.range,
+        scope: match.scope
+      });
+    }
+  }
 
-      case 'call':
-        // Handle various R-specific calls
-        const fnName = node.childForFieldName('function')?.text;
-
-        // Handle S4 class definitions
-        if (fnName === 'setClass') {
-          const args = node.childForFieldName('arguments');
-          if (args) {
-            for (const child of args.children) {
-              if (child.type === 'string') {
-                const className = child.text.replace(/['"]/g, '');
-                addSegment(node, 'class', className, ancestors, { type: 'S4' });
-                break;
-              } else if (child.type === 'argument') {
-                const argValue = child.child(0);
-                if (argValue?.type === 'string') {
-                  const className = argValue.text.replace(/['"]/g, '');
-                  addSegment(node, 'class', className, ancestors, { type: 'S4' });
-                  break;
-                }
-              }
-            }
-          }
-        }
-        // Handle S4/S3 method definitions
-        else if (fnName === 'setMethod' || fnName === 'setGeneric' || fnName === 'UseMethod') {
-          const args = node.childForFieldName('arguments');
-          if (args) {
-            for (const child of args.children) {
-              if (child.type === 'string') {
-                const methodName = child.text.replace(/['"]/g, '');
-                addSegment(node, 'method', methodName, ancestors);
-                break;
-              }
-            }
-          }
-        }
-        // Handle R6 class instantiation pattern (standalone calls)
-        else if (!fnName && node.child(0)?.text?.endsWith('::R6Class')) {
-          // Handle namespace operator case where fnName is undefined
-          const actualFunc = node.child(0)?.text;
-          if (actualFunc?.endsWith('::R6Class')) {
-            const args = node.childForFieldName('arguments');
-            if (args) {
-              for (const child of args.children) {
-                if (child.type === 'string') {
-                  const className = child.text.replace(/['"]/g, '');
-                  addSegment(node, 'class', className, ancestors, { type: 'R6' });
-                  break;
-                }
-              }
-            }
-          }
-        }
-        else if (fnName === 'R6Class' || fnName?.endsWith('::R6Class')) {
-          const args = node.childForFieldName('arguments');
-          if (args) {
-            for (const child of args.children) {
-              if (child.type === 'string') {
-                const className = child.text.replace(/['"]/g, '');
-                addSegment(node, 'class', className, ancestors, { type: 'R6' });
-                break;
-              }
-            }
-          }
-        }
-        // Handle assign() for global variables
-        else if (fnName === 'assign' || fnName === '<<-') {
-          const varName = node.childForFieldName('arguments')?.firstChild?.text;
-          if (varName) {
-            addSegment(node, 'global', varName.replace(/[\"']/g, ''), ancestors);
-          }
-        }
-        break;
+  // Decorator expressions of a decorated definition, without "@"
+  getPythonDecorators(node) {
+    if (node.parent?.type !== 'decorated_definition') return [];
+
+    return node.parent.namedChildren
+      .filter(child => child.type === 'decorator')
+      .map(decorator => decorator.namedChild(0)?.text || '');
+  }
+
+  // Source text of the file being extracted, for what the tree can't tell
+  getSource() {
+    if (!this.source) {
+      this.source = new SourceIndex(this.rootNode.text);
     }
+    return this.source;
   }
 
-  processCSharpNode(node, ancestors) {
-    switch (node.type) {
-      case 'class_declaration':
-        const className = node.childForFieldName('name')?.text;
-        const baseClass = node.childForFieldName('bases')?.firstChild?.text;
-        if (className) {
-          addSegment(node, 'class', className, ancestors, { extends: baseClass });
-        }
-        break;
+  // Arguments of the command whose name ends at position, with their ranges
+  getPowerShellArguments(position) {
+    if (!position) return [];
 
-      case 'interface_declaration':
-        const interfaceName = node.childForFieldName('name')?.text;
-        if (interfaceName) {
-          addSegment(node, 'interface', interfaceName, ancestors);
-        }
-        break;
+    const source = this.getSource();
+    const toPoint = (offset) => {
+      const { line, column } = source.position(offset);
+      return { row: line, column };
+    };
+    return powerShellArguments(source.code, source.offset(position.row, position.column))
+      .map(arg => ({ ...arg, range: { start: toPoint(arg.start), end: toPoint(arg.end) } }));
+  }
 
-      case 'struct_declaration':
-        const structName = node.childForFieldName('name')?.text;
-        if (structName) {
-          addSegment(node, 'struct', structName, ancestors);
-        }
-        break;
+  // Export-ModuleMember -Function Get-Thing, Get-Odd -Variable Cache: one export
+  // per name, ranged over the name. The first positional argument is -Function;
+  // function wildcards (Get-*) expand to the matching functions in the file.
+  getPowerShellExports(args) {
+    const exports = [];
+    let functionNames = null;
+
+    for (const arg of args) {
+      const parameter = (arg.parameter || 'Function').toLowerCase();
+      if (!['function', 'cmdlet', 'variable', 'alias'].includes(parameter) || arg.value.startsWith('$')) continue;
+
+      let names = [arg.value];
+      if (/[*?]/.test(arg.value)) {
+        if (parameter !== 'function') continue;
+        functionNames = functionNames || this.rootNode.descendantsOfType('function_statement')
+          .map(statement => statement.namedChildren.find(c => c.type === 'function_name')?.text)
+          .filter(Boolean);
+        const pattern = arg.value.replace(/[.+^(){}$|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        const wildcard = new RegExp(`^${pattern}$`, 'i');
+        names = functionNames.filter(name => wildcard.test(name));
+      }
 
-      case 'enum_declaration':
-        const enumName = node.childForFieldName('name')?.text;
-        if (enumName) {
-          addSegment(node, 'enum', enumName, ancestors);
-        }
-        break;
+      for (const name of names) {
+        exports.push({ name, node: null, target: name, range: arg.range });
+      }
+    }
+    return exports;
+  }
 
-      case 'method_declaration':
-        const methodName = node.childForFieldName('name')?.text;
-        if (methodName) {
-          addSegment(node, 'method', methodName, ancestors);
-        }
-        break;
+  // { target, value } of an R assignment: name <- value, name = value, value -> name.
+  // A function assigned with -> needs parentheses, (function(x) x) -> f, or the
+  // arrow ends up inside its body
+  getRAssignment(node) {
+    const operator = node.childForFieldName('operator')?.text;
+    if (!['<-', '=', '->'].includes(operator)) return null;
+
+    const target = node.childForFieldName(operator === '->' ? 'rhs' : 'lhs');
+    let value = node.childForFieldName(operator === '->' ? 'lhs' : 'rhs');
+    while (value?.type === 'parenthesized_expression' && value.namedChildCount === 1) {
+      value = value.namedChild(0);
+    }
+    return target && value ? { target, value } : null;
+  }
 
-      case 'constructor_declaration':
-        const parentClass = ancestors.find(a => a.type === 'class_declaration');
-        const ctorName = parentClass?.childForFieldName('name')?.text;
-        if (ctorName) {
-          addSegment(node, 'constructor', ctorName, ancestors);
-        }
-        break;
-
-      case 'property_declaration':
-        const propertyDeclarators = node.descendantsOfType('variable_declarator');
-        propertyDeclarators.forEach(declarator => {
-          const propName = declarator.childForFieldName('name')?.text;
-          if (propName) {
-            addSegment(node, 'property', propName, ancestors);
-          }
-        });
-        break;
-
-      case 'field_declaration':
-        const fieldDeclarators = node.descendantsOfType('variable_declarator');
-        const modifiers = node.childForFieldName('modifiers')?.text || '';
-
-        fieldDeclarators.forEach(declarator => {
-          const fieldName = declarator.childForFieldName('name')?.text;
-          if (fieldName) {
-            if (modifiers.includes('const') ||
-                (modifiers.includes('readonly') && modifiers.includes('static'))) {
-              addSegment(node, 'constant', fieldName, ancestors);
-            } else {
-              addSegment(node, 'field', fieldName, ancestors);
-            }
-          }
-        });
-        break;
+  isRClassCall(node) {
+    return node.type === 'call' &&
+      /^(R6Class|R6::R6Class|setRefClass|setClass)$/.test(node.childForFieldName('function')?.text || '');
+  }
 
-      case 'local_function_statement':
-        const localFuncName = node.childForFieldName('name')?.text;
-        if (localFuncName) {
-          addSegment(node, 'function', localFuncName, ancestors);
-        }
-        break;
+  // Value of a call argument given by name, or else by position among the unnamed ones
+  getRArgument(call, name, position = -1) {
+    const args = call.childForFieldName('arguments')?.namedChildren.filter(c => c.type === 'argument') || [];
+    const named = args.find(argument => argument.childForFieldName('name')?.text === name);
+    if (named) return named.childForFieldName('value');
 
-      case 'delegate_declaration':
-        const delegateName = node.childForFieldName('name')?.text;
-        if (delegateName) {
-          addSegment(node, 'delegate', delegateName, ancestors);
-        }
-        break;
+    const positional = args.filter(argument => !argument.childForFieldName('name'));
+    return positional[position]?.childForFieldName('value') || null;
+  }
 
-      case 'record_declaration':
-        const recordName = node.childForFieldName('name')?.text;
-        if (recordName) {
-          addSegment(node, 'record', recordName, ancestors);
+  // The strings in "Circle", c("A", "B") or signature(x = "A", y = "B")
+  getRStrings(value) {
+    if (!value) return [];
+    if (value.type === 'string') {
+      return [value.text.replace(/^['"]|['"]$/g, '')];
+    }
+    if (value.type === 'call') {
+      return (value.childForFieldName('arguments')?.namedChildren || [])
+        .flatMap(argument => this.getRStrings(argument.childForFieldName('value')));
+    }
+    return [];
+  }
+
+  // Active bindings behave like properties; other R6 members are methods or fields
+  getRMemberType(section, value) {
+    if (section === 'active') return 'property';
+    return value?.type === 'function_definition' ? 'method' : 'field';
+  }
+
+  // Person$set("public", "greet", function() ...): the member's name when it is of type
+  getRSetMember(node, type) {
+    const section = this.getRStrings(this.getRArgument(node, 'which', 0))[0];
+    const memberName = this.getRStrings(this.getRArgument(node, 'name', 1))[0];
+    if (!memberName || !['public', 'private', 'active'].includes(section)) return null;
+    return this.getRMemberType(section, this.getRArgument(node, 'value', 2)) === type ? memberName : null;
+  }
+
+  // The class each variable holds (Person <- R6Class("Person")), for Person$set(...)
+  getRClassVariables() {
+    if (!this.rClassVariables) {
+      this.rClassVariables = new Map();
+      for (const node of this.rootNode.descendantsOfType('binary_operator')) {
+        const assignment = this.getRAssignment(node);
+        if (assignment?.target.type === 'identifier' && this.isRClassCall(assignment.value)) {
+          this.rClassVariables.set(assignment.target.text, this.getFirstStringArgument(assignment.value));
         }
-        break;
+      }
     }
+    return this.rClassVariables;
+  }
+
+  // The Java or C# type declaring a member: its class body or declaration list
+  // belongs to the type; null in anonymous classes (new Runnable() { ... })
+  getMemberOwner(node) {
+    const body = node.parent?.type === 'enum_body_declarations' ? node.parent.parent : node.parent;
+    const owner = body?.parent && this.getScopeName(body.parent);
+    return owner && !owner.locals ? owner.name : null;
+  }
+
+  // Type name with its generic arity: Invoice, Invoice`1, Repository`2
+  getCSharpTypeName(node) {
+    const name = node.childForFieldName('name')?.text;
+    const typeParameters = node.namedChildren.find(c => c.type === 'type_parameter_list');
+    const arity = typeParameters ? typeParameters.namedChildren.filter(c => c.type === 'type_parameter').length : 0;
+    return name && arity > 0 ? `${name}\`${arity}` : name;
+  }
+
+  // impl<T> fmt::Display for &Invoice<T> -> Invoice
+  getRustTypeName(typeNode) {
+    let type = typeNode;
+    while (type && ['generic_type', 'scoped_type_identifier', 'reference_type'].includes(type.type)) {
+      type = type.childForFieldName(type.type === 'scoped_type_identifier' ? 'name' : 'type');
+    }
+    return type?.text || null;
+  }
+
+  // Every name an export statement exposes: one per declarator and destructured
+  // binding of export const/let/var, else the single exported name
+  getExportedBindings(declaration, exportNode) {
+    if (declaration.type === 'lexical_declaration' || declaration.type === 'variable_declaration') {
+      const bindings = declaration.namedChildren
+        .filter(child => child.type === 'variable_declarator')
+        .flatMap(declarator => patternBindings(declarator.childForFieldName('name'), declarator));
+      // A lone name is ranged over the whole statement
+      return bindings.length === 1 ? [{ ...bindings[0], node: exportNode }] : bindings;
+    }
+    return [{ name: this.getExportedName(declaration), node: exportNode }];
   }
 
   getExportedName(exportNode) {
@@ -648,45 +762,131 @@ class TreeSitterExtractor {
     } else if (exportNode.type === 'class_declaration') {
       return exportNode.childForFieldName('name')?.text;
     } else if (exportNode.type === 'lexical_declaration') {
-      const declarator = exportNode.childForFieldName('declarator');
+      const declarator = exportNode.namedChildren.find(c => c.type === 'variable_declarator');
       return declarator?.childForFieldName('name')?.text;
+    } else if (exportNode.childForFieldName('name')) {
+      // TypeScript declarations: interface, type alias, enum, abstract class, namespace
+      return exportNode.childForFieldName('name').text.replace(/['"]/g, '');
     }
     return 'default';
   }
-  
-  shouldExcludeConstant(name) {
-    if (/^[a-z]$/.test(name)) return true;
-    if (['i', 'j', 'k', 'idx', 'index', 'temp', 'tmp'].includes(name.toLowerCase())) return true;
-    if (name.startsWith('_')) return true;
-    if (name.length <= 2 && name !== name.toUpperCase()) return true;
-    return false;
+
+  getFirstStringArgument(callNode) {
+    // R: first string argument of a call, e.g. R6Class("Name", ...) or setClass("Name")
+    const call = callNode.type === 'call' ? callNode : callNode.childForFieldName('rhs');
+    const args = call?.childForFieldName('arguments');
+    if (!args) return null;
+
+    for (const child of args.namedChildren) {
+      const value = child.type === 'argument' ? child.childForFieldName('value') : child;
+      if (value?.type === 'string') {
+        return value.text.replace(/['"]/g, '');
+      }
+    }
+    return null;
   }
 }
 
+// Definition types an export can point at, most specific first
+const linkableTypes = ['class', 'abstract_class', 'component', 'interface', 'type', 'enum', 'namespace',
+  'function', 'arrow', 'hook', 'filter', 'workflow', 'method', 'constant'];
+
+// Segment types that carry signature metadata (parameters, modifiers, decorators)
+const signatureTypes = new Set(['function', 'arrow', 'method', 'overload', 'class', 'abstract_class',
+  'property', 'setter', 'deleter', 'staticmethod', 'classmethod', 'filter', 'workflow', 'constructor', 'field',
+  'component', 'hook', 'getter']);
+
+// Segment types that also satisfy a broader requested element (-ClassName finds abstract classes,
+// Go and Rust structs, Rust impl blocks and traits; "method" finds Python properties and JavaScript
+// accessors, "function" finds PowerShell filters and workflows). A type may satisfy several.
+// Query plugin segments carry their own kind (function by default).
+const elementAliases = {
+  'abstract_class': 'class',
+  'property': 'method',
+  'getter': 'method',
+  'setter': 'method',
+  'deleter': 'method',
+  'staticmethod': 'method',
+  'classmethod': 'method',
+  'filter': 'function',
+  'workflow': 'function',
+  'module': 'namespace',
+  'struct': 'class',
+  'impl': 'class',
+  'trait': ['class', 'interface']
+};
+
+function aliasesOf(type) {
+  return [].concat(elementAliases[type] || []);
+}
+
+function isMethodType(type) {
+  return type === 'method' || aliasesOf(type).includes('method');
+}
+
+function requestedElementsFor(segment) {
+  const aliases = aliasesOf(segment.type);
+  return aliases.length > 0 ? aliases : [segment.kind];
+}
+
+// C# generic types are named with their arity (Invoice`1); a filter without
+// an arity matches the type whatever its arity
+function withoutArity(name, target) {
+  return target.includes('`') ? name : name.replace(/`\d+/g, '');
+}
+
+function matchesName(name, target) {
+  return name === target || withoutArity(name, target) === target;
+}
+
+// "Outer.Inner.method" filters match the end of a qualified name; <locals> may be left out
+function matchesQualifiedName(segment, target) {
+  if (!target.includes('.') || !segment.qualifiedName) return false;
+
+  const qualifiedName = withoutArity(segment.qualifiedName, target);
+  const candidates = [qualifiedName, qualifiedName.replace(/\.<locals>/g, '')];
+  return candidates.some(name => name === target || name.endsWith(`.${target}`));
+}
+
+// Segments from the Acorn and regex fallbacks only know their direct parent
+function withQualifiedName(segment) {
+  if (segment.qualifiedName) return segment;
+
+  const scope = segment.parent ? [segment.parent] : [];
+  const qualifiedName = segment.parent && !segment.name.startsWith(`${segment.parent}.`)
+    ? `${segment.parent}.${segment.name}`
+    : segment.name;
+  return { ...segment, scope, qualifiedName };
+}
+
 // Apply extraction context filtering (shared with javascript-parser.js)
 function matchesExtractionContext(segment, extractionContext) {
   if (!extractionContext) return true;
   
   if (extractionContext.Elements && extractionContext.Elements.length > 0) {
-    if (!extractionContext.Elements.includes(segment.type)) return false;
+    if (!extractionContext.Elements.includes(segment.type) &&
+        !requestedElementsFor(segment).some(element => extractionContext.Elements.includes(element))) return false;
   }
   
-  if (extractionContext.Exclusions && extractionContext.Exclusions.includes(segment.type)) {
+  if (extractionContext.Exclusions && (extractionContext.Exclusions.includes(segment.type) ||
+      aliasesOf(segment.type).some(element => extractionContext.Exclusions.includes(element)))) {
     return false;
   }
   
   if (extractionContext.Filters) {
     if (extractionContext.Filters.FunctionName) {
       const targetName = extractionContext.Filters.FunctionName;
-      if (segment.type === 'method') {
+      if (isMethodType(segment.type)) {
         const methodName = segment.name.includes('.') ? segment.name.split('.').pop() : segment.name;
-        if (methodName !== targetName && segment.name !== targetName) return false;
+        if (methodName !== targetName && segment.name !== targetName &&
+            !matchesQualifiedName(segment, targetName)) return false;
       } else {
-        if (segment.name !== targetName) return false;
+        if (!matchesName(segment.name, targetName) && !matchesQualifiedName(segment, targetName)) return false;
       }
     }
     
-    if (extractionContext.Filters.ClassName && segment.name !== extractionContext.Filters.ClassName) {
+    if (extractionContext.Filters.ClassName && !matchesName(segment.name, extractionContext.Filters.ClassName) &&
+        !matchesQualifiedName(segment, extractionContext.Filters.ClassName)) {
       return false;
     }
     
@@ -705,7 +905,7 @@ function applyExtractionContext(segments, extractionContext, code) {
   
   if (extractionContext.ScopeFilter === 'top-level') {
     filtered = filtered.filter(segment => {
-      if (segment.type === 'method') return false;
+      if (isMethodType(segment.type)) return false;
       return true;
     });
   }
@@ -713,26 +913,151 @@ function applyExtractionContext(segments, extractionContext, code) {
   return filtered;
 }
 
-// Main parsing function with tree-sitter and fallbacks
+// Everything besides the file itself that shapes a parse result
+const extractorSources = [
+  __filename,
+  path.join(__dirname, 'language-rules.js'),
+  path.join(sharedDir, 'query-plugins.js'),
+  path.join(__dirname, 'signatures.js'),
+  path.join(__dirname, 'doc-comments.js'),
+  path.join(__dirname, 'fingerprints.js'),
+  path.join(__dirname, 'diagnostics.js'),
+  path.join(__dirname, 'source-ranges.js'),
+  path.join(__dirname, 'block-scanner.js'),
+  path.join(sharedDir, 'grammar-registry.js'),
+  path.join(__dirname, 'embedded-regions.js'),
+  path.join(__dirname, 'react-components.js'),
+  path.join(__dirname, '..', '..', 'config', 'languages.json')
+];
+
+// Cache key for one parse: content, language, grammar, extractor, context and query files
+function parseCacheKey(cache, code, language, extractionContext, languageConfig, grammars = defaultGrammars) {
+  const queryDirs = extractionContext?.QueryDirs || [defaultQueryDir];
+  const grammarPath = grammars.getGrammarPath(language);
+
+  return cache.key({
+    scope: 'tree-sitter-parser',
+    content: hashText(code),
+    language,
+    grammar: grammarPath ? hashFile(grammarPath) : null,
+    extractor: hashFiles([...extractorSources, ...grammars.sourceFiles(language)]),
+    context: extractionContext || null,
+    languageConfig: languageConfig || null,
+    queries: hashFiles(findQueryFiles(language, queryDirs))
+  });
+}
+
+// Parse session: owns its tree-sitter parser instance, so sessions never share
+// parser state. Reuse one session for many files; dispose() frees the WASM parser.
+class ParseSession {
+  // options.cache: a ParseCache, or false to always parse
+  // options.grammarDirs: grammar directories searched before the default ones
+  // options.allowExtractors: run extractor modules declared by grammar manifests
+  constructor(options = {}) {
+    this.languageConfig = options.languageConfig || null;
+    this.cache = options.cache === false ? null : (options.cache || getDefaultCache());
+    this.grammars = (options.grammarDirs && options.grammarDirs.length > 0) || options.allowExtractors
+      ? new GrammarRegistry({ bundledDir: bundledGrammarDir, dirs: options.grammarDirs, allowExtractors: options.allowExtractors })
+      : defaultGrammars;
+    this.parser = null;
+  }
+
+  async getParser() {
+    if (!this.parser) {
+      await initParser();
+      this.parser = new TreeSitter.Parser();
+    }
+    return this.parser;
+  }
+
+  // Parse one file with tree-sitter; returns null when no grammar is available
+  async parseTree(code, language) {
+    const languageObj = await loadLanguage(language, this.grammars);
+    if (!languageObj) return null;
+
+    const parser = await this.getParser();
+    // setLanguage + parse run without an await in between
+    parser.setLanguage(languageObj);
+    return { tree: parser.parse(code), languageObj };
+  }
+
+  async parse(code, filePath, extractionContext = null) {
+    return (await parseWithSession(this, code, filePath, extractionContext)).segments;
+  }
+
+  // Like parse, but also returns the syntax errors found: { segments, diagnostics }
+  async parseWithDiagnostics(code, filePath, extractionContext = null) {
+    return parseWithSession(this, code, filePath, extractionContext);
+  }
+
+  dispose() {
+    if (this.parser) {
+      this.parser.delete();
+      this.parser = null;
+    }
+    if (this.cache) {
+      this.cache.flushStats();
+    }
+  }
+}
+
+// One-shot parse in a fresh session
 async function parseCode(code, filePath, extractionContext, languageConfig) {
-  const language = detectLanguage(filePath);
+  const session = new ParseSession({ languageConfig });
+  try {
+    return await session.parse(code, filePath, extractionContext);
+  } finally {
+    session.dispose();
+  }
+}
+
+// Main parsing function with tree-sitter and fallbacks.
+// Returns { segments, diagnostics }; only tree-sitter reports diagnostics.
+async function parseWithSession(session, code, filePath, extractionContext,
+  language = session.grammars.detectLanguage(filePath, code)) {
+  if (isHostLanguage(language)) {
+    return parseEmbeddedRegions(session, code, filePath, extractionContext, language);
+  }
+
+  // Without --language-config the bundled config/languages.json is used
+  const languageRules = loadLanguageRules(session.languageConfig, language);
   console.error(`Detected language: ${language} for file: ${filePath}`);
 
+  const cacheKey = session.cache?.enabled
+    ? parseCacheKey(session.cache, code, language, extractionContext, session.languageConfig, session.grammars)
+    : null;
+  if (cacheKey) {
+    const cached = session.cache.get(cacheKey);
+    if (cached) {
+      console.error(`Using cached parse for ${filePath}`);
+      return cached;
+    }
+  }
+
   let segments = [];
+  let diagnostics = [];
 
   try {
-    // Initialize parser if needed
-    await initParser();
-
-    // Try to load language grammar
-    const languageObj = await loadLanguage(language);
+    const parsed = await session.parseTree(code, language);
 
-    if (languageObj) {
+    if (parsed) {
       console.error(`Using tree-sitter parser for ${language}`);
-      parser.setLanguage(languageObj);
-      const tree = parser.parse(code);
-      const extractor = new TreeSitterExtractor(language);
-      segments = extractor.extract(tree, extractionContext);
+      try {
+        const queryPlugins = loadQueryPlugins(TreeSitter.Query, parsed.languageObj, language,
+          extractionContext?.QueryDirs || [defaultQueryDir]);
+        const extractor = new TreeSitterExtractor(language, languageRules, queryPlugins,
+          session.grammars.getExtractor(language));
+        segments = extractor.extract(parsed.tree, extractionContext);
+        diagnostics = collectDiagnostics(parsed.tree.rootNode, code);
+      } finally {
+        // A throwing query plugin or extractor module must not leak the WASM
+        // tree in a long-lived session
+        parsed.tree.delete();
+      }
+
+      if (diagnostics.length > 0) {
+        console.error(`Found ${diagnostics.length} syntax error(s) in ${filePath}; extraction may be incomplete`);
+      }
     } else {
       // Fallback for unsupported languages or missing grammars
       console.error(`Tree-sitter not available for ${language}, using fallback`);
@@ -747,25 +1072,68 @@ async function parseCode(code, filePath, extractionContext, languageConfig) {
     }
 
     // Apply extraction context filtering
-    segments = applyExtractionContext(segments, extractionContext, code);
+    segments = applyExtractionContext(segments.map(withQualifiedName), extractionContext, code);
 
-    // Add content to segments
-    const lines = code.split("\n");
-    segments = segments.map(segment => ({
-      ...segment,
-      content: lines.slice(segment.startLine, segment.endLine + 1).join("\n"),
-      lineCount: segment.endLine - segment.startLine + 1
-    }));
+    segments = addRangesAndContent(segments, code, extractionContext);
 
-    return segments;
+    const result = { segments, diagnostics };
+    if (cacheKey) {
+      session.cache.set(cacheKey, result, { language });
+    }
+    return result;
 
   } catch (error) {
     console.error(`Error parsing ${language}:`, error.message);
 
     // Final fallback to regex parsing
     console.error("Using regex fallback");
-    return parseWithRegexFallback(code, language, extractionContext);
+    const fallbackSegments = parseWithRegexFallback(code, language, extractionContext).map(withQualifiedName);
+    return {
+      segments: addRangesAndContent(fallbackSegments, code, extractionContext),
+      diagnostics
+    };
+  }
+}
+
+// Vue and Svelte components, HTML pages and Markdown documents: every script
+// or code fence is parsed on its own, with its own language, and its segments
+// and diagnostics are moved back to where the region sits in the host file
+async function parseEmbeddedRegions(session, code, filePath, extractionContext, hostLanguage) {
+  const regions = findEmbeddedRegions(code, hostLanguage, session.grammars.languageNames());
+  console.error(`Found ${regions.length} embedded region(s) in ${hostLanguage} file: ${filePath}`);
+
+  const segments = [];
+  const diagnostics = [];
+  for (const region of regions) {
+    const parsed = await parseWithSession(session, region.code, filePath, extractionContext, region.language);
+    for (const segment of parsed.segments) {
+      segments.push({
+        ...toHostRange(segment, region),
+        language: region.language,
+        doc: segment.doc ? toHostRange(segment.doc, region) : segment.doc
+      });
+    }
+    diagnostics.push(...parsed.diagnostics.map(diagnostic => toHostRange(diagnostic, region)));
   }
+
+  // Whole-line or exact content from the host file
+  return { segments: addRangesAndContent(segments, code, extractionContext), diagnostics };
+}
+
+// Add exact ranges and content to segments: whole lines, or with
+// ExactContent only the element's own text
+function addRangesAndContent(segments, code, extractionContext) {
+  const source = new SourceIndex(code);
+  const exact = Boolean(extractionContext && extractionContext.ExactContent);
+
+  return segments.map(segment => {
+    const ranged = source.withRange(segment);
+    return {
+      ...ranged,
+      content: source.slice(ranged, exact),
+      lineCount: ranged.endLine - ranged.startLine + 1
+    };
+  });
 }
 
 // Fallback to Acorn parser for JavaScript (reuse proven logic)
@@ -773,10 +1141,11 @@ async function parseWithAcornFallback(code, filePath, extractionContext) {
   console.error("Falling back to Acorn parser for JavaScript");
   
   try {
-    const acorn = require('acorn');
     const walk = require('acorn-walk');
+    const { jsxParser, jsxWalkBase } = require('./javascript-parser');
+    const { estreeReactSegmentType } = require('./react-components');
     
-    const ast = acorn.parse(code, {
+    const ast = jsxParser.parse(code, {
       ecmaVersion: "latest",
       sourceType: "module",
       locations: true,
@@ -788,8 +1157,7 @@ async function parseWithAcornFallback(code, filePath, extractionContext) {
     });
     
     // Use the same logic as javascript-parser.js
-    detectedSegments = [];
-    currentContext = extractionContext;
+    const segments = [];
     
     // Simplified addSegment for fallback
     function addSegmentFallback(node, type, name, options = {}) {
@@ -800,22 +1168,30 @@ async function parseWithAcornFallback(code, filePath, extractionContext) {
         finalName = `${options.parent}.${name}`;
       }
       
-      detectedSegments.push({
+      segments.push({
         name: finalName,
         type,
         startLine: node.loc.start.line - 1,
+        startColumn: node.loc.start.column,
         endLine: node.loc.end.line - 1,
+        endColumn: node.loc.end.column,
         parent: options.parent || null,
         extends: options.extends || null,
+        kind: options.kind || null,
       });
     }
+
+    function addDefinitionFallback(node, type, name, options = {}) {
+      const reactType = estreeReactSegmentType(name, node);
+      addSegmentFallback(node, reactType || type, name, reactType ? { ...options, kind: type } : options);
+    }
     
     // Use ancestor walking for context
     walk.ancestor(ast, {
       ClassDeclaration(node, ancestors) {
         const className = node.id ? node.id.name : "AnonymousClass";
         const extendsClass = node.superClass ? node.superClass.name : null;
-        addSegmentFallback(node, "class", className, { extends: extendsClass });
+        addDefinitionFallback(node, "class", className, { extends: extendsClass });
       },
       
       MethodDefinition(node, ancestors) {
@@ -834,14 +1210,14 @@ async function parseWithAcornFallback(code, filePath, extractionContext) {
       
       FunctionDeclaration(node, ancestors) {
         if (node.id) {
-          addSegmentFallback(node, "function", node.id.name);
+          addDefinitionFallback(node, "function", node.id.name);
         }
       },
       
       // Add other node types as needed...
-    });
+    }, jsxWalkBase);
     
-    return detectedSegments;
+    return segments;
     
   } catch (error) {
     console.error("Acorn fallback failed:", error.message);
@@ -849,7 +1225,9 @@ async function parseWithAcornFallback(code, filePath, extractionContext) {
   }
 }
 
-// Enhanced regex fallback with extraction context support
+// Enhanced regex fallback with extraction context support. Patterns find
+// where definitions start; BlockScanner finds where they end, and nesting
+// follows from which ranges contain which.
 function parseWithRegexFallback(code, language, extractionContext) {
   console.error(`Using enhanced regex fallback for ${language}`);
   
@@ -858,87 +1236,100 @@ function parseWithRegexFallback(code, language, extractionContext) {
   
   // Language-specific patterns with context awareness
   const patterns = getLanguagePatterns(language);
-  
-  // Track class context for method name preservation
-  let currentClass = null;
-  let classStartLine = -1;
+  const scanner = new BlockScanner(code, language);
   
   lines.forEach((line, lineIndex) => {
+    if (!scanner.startsInCode(lineIndex)) return;
+
     const trimmed = line.trim();
+    const indent = line.length - line.trimStart().length;
     
-    // Process each pattern type
-    patterns.forEach(({ regex, type, handler }) => {
+    // First matching pattern wins
+    for (const { regex, type, extendsGroup, memberOnly } of patterns) {
       const matches = trimmed.match(regex);
-      if (matches) {
-        if (handler) {
-          handler(matches, lineIndex, line, segments, extractionContext, currentClass);
-        } else {
-          // Default handler
-          const name = matches[1];
-          if (name) {
-            const finalName = (type === 'method' && currentClass && extractionContext?.PreserveContext) 
-              ? `${currentClass}.${name}` 
-              : name;
-            
-            segments.push({
-              type,
-              name: finalName,
-              startLine: lineIndex,
-              endLine: lineIndex + 2, // Estimate
-              parent: type === 'method' ? currentClass : null,
-              extends: null
-            });
-          }
-        }
-      }
-    });
-    
-    // Track class context for method preservation
-    if (language === 'python') {
-      const classMatch = trimmed.match(/^class\s+(\w+)/);
-      if (classMatch) {
-        currentClass = classMatch[1];
-        classStartLine = lineIndex;
-      } else if (currentClass && lineIndex > classStartLine) {
-        const indent = line.length - line.trimStart().length;
-        if (trimmed && indent === 0 && !trimmed.startsWith('#')) {
-          currentClass = null;
-        }
-      }
+      if (!matches || !matches[1]) continue;
+
+      const { endLine, endColumn } = scanner.findEnd(lineIndex, indent);
+      segments.push({
+        type,
+        name: matches[1],
+        startLine: lineIndex,
+        startColumn: indent,
+        endLine,
+        endColumn,
+        parent: null,
+        extends: (extendsGroup && matches[extendsGroup]?.trim()) || null,
+        memberOnly: Boolean(memberOnly)
+      });
+      break;
     }
   });
   
-  return segments;
+  return nestFallbackSegments(segments, extractionContext);
+}
+
+// Types whose body holds methods, and types that open a <locals> scope
+const fallbackContainerTypes = new Set(['class', 'abstract_class', 'interface', 'struct', 'record', 'enum']);
+const fallbackFunctionTypes = new Set(['function', 'method', 'arrow']);
+
+// Give regex fallback segments their enclosing scopes: functions directly in a
+// class become methods, member-only matches (method-shaped lines such as calls)
+// outside a class are dropped
+function nestFallbackSegments(segments, extractionContext) {
+  const contains = (outer, inner) =>
+    (outer.startLine < inner.startLine ||
+      (outer.startLine === inner.startLine && outer.startColumn < inner.startColumn)) &&
+    (outer.endLine > inner.endLine ||
+      (outer.endLine === inner.endLine && outer.endColumn >= inner.endColumn));
+
+  const nested = [];
+  const baseNames = new Map(segments.map(segment => [segment, segment.name]));
+  for (const segment of segments) {
+    // Segments come in source order, so enclosing ones are already kept or dropped
+    const enclosing = nested.filter(other => contains(other, segment));
+    const direct = enclosing[enclosing.length - 1];
+    const inContainer = direct && fallbackContainerTypes.has(direct.type);
+
+    if (segment.memberOnly && !inContainer) continue;
+
+    const type = segment.type === 'function' && inContainer ? 'method' : segment.type;
+    const scope = [];
+    for (const other of enclosing) {
+      scope.push(baseNames.get(other));
+      if (fallbackFunctionTypes.has(other.type)) scope.push('<locals>');
+    }
+
+    const parent = inContainer ? direct.name : null;
+    delete segment.memberOnly;
+    Object.assign(segment, {
+      type,
+      name: type === 'method' && parent && extractionContext?.PreserveContext ? `${parent}.${segment.name}` : segment.name,
+      parent,
+      scope,
+      qualifiedName: [...scope, segment.name].join('.')
+    });
+    nested.push(segment);
+  }
+  return nested;
 }
 
+// name(...) { inside a class body; keywords that look like calls are not methods
+const methodPattern = /^(?!(?:if|for|while|switch|catch|return|function|await|new|super|else|do|with|typeof|throw)\b)(?:(?:public|private|protected|static|async|readonly|abstract|override|get|set|declare)\s+)*\*?\s*(#?[\w$]+)\s*(?:<[^>]*>)?\s*\(/;
+
 function getLanguagePatterns(language) {
   const patterns = {
     python: [
-      { 
-        regex: /^class\s+(\w+)(?:\(([^)]+)\))?:/, 
-        type: "class",
-        handler: (matches, lineIndex, line, segments, ctx, currentClass) => {
-          segments.push({
-            type: 'class',
-            name: matches[1],
-            startLine: lineIndex,
-            endLine: lineIndex + 10, // Estimate
-            extends: matches[2]?.trim() || null,
-            parent: null
-          });
-        }
-      },
-      { regex: /^def\s+(\w+)/, type: "function" }, // Will be handled as method if in class
+      { regex: /^class\s+(\w+)(?:\(([^)]+)\))?:/, type: "class", extendsGroup: 2 },
+      { regex: /^(?:async\s+)?def\s+(\w+)/, type: "function" }, // Becomes a method inside a class
       { regex: /^([A-Z][A-Z_0-9]*)\s*=/, type: "constant" },
       { regex: /^global\s+(\w+)/, type: "global" }
     ],
     
     powershell: [
       { regex: /^class\s+(\w+)/i, type: "class" },
-      { regex: /^function\s+([\w-]+)/i, type: "function" },
-      { regex: /^\s*function\s+([\w-]+)/i, type: "function" },  // Allow indented functions
-      { regex: /^\$(global|script):(\w+)/i, type: "global" },
-      { regex: /^\s*\[(\w+)\]\s*(\w+)\s*\(/i, type: "method" }  // Class methods
+      { regex: /^(?:function|filter)\s+([\w-]+)/i, type: "function" },
+      { regex: /^\$(?:global|script):(\w+)/i, type: "global" },
+      { regex: /^(?:(?:static|hidden)\s+)*\[[\w.\[\], ]+\]\s*(\w+)\s*\(/i, type: "method", memberOnly: true }  // Class methods
     ],
     
     bash: [
@@ -949,18 +1340,100 @@ function getLanguagePatterns(language) {
     ],
     
     r: [
-      { regex: /^(\w+(?:\.\w+)*)\s*<-\s*function/, type: "function" },
-      { regex: /^([A-Z][A-Z._0-9]*)\s*<-/, type: "constant" }
+      { regex: /^(\w+(?:\.\w+)*)\s*(?:<-|=)\s*(?:function\b|\\\()/, type: "function" },
+      { regex: /^(?:[\w.]+\s*(?:<-|=)\s*)?(?:R6::)?(?:R6Class|setRefClass|setClass)\s*\(\s*["']([\w.]+)["']/, type: "class" },
+      { regex: /^([A-Z][A-Z._0-9]*)\s*(?:<-|=)/, type: "constant" }
+    ],
+
+    typescript: [
+      { regex: /^(?:export\s+)?(?:declare\s+)?interface\s+(\w+)/, type: "interface" },
+      { regex: /^(?:export\s+)?(?:declare\s+)?type\s+(\w+)\s*(?:<[^=]*>)?\s*=/, type: "type" },
+      { regex: /^(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+(\w+)/, type: "enum" },
+      { regex: /^(?:export\s+)?(?:declare\s+)?(?:namespace|module)\s+([\w.]+)/, type: "namespace" },
+      { regex: /^(?:export\s+)?(?:default\s+)?abstract\s+class\s+(\w+)/, type: "abstract_class" },
+      { regex: /^(?:export\s+)?(?:default\s+)?class\s+(\w+)/, type: "class" },
+      { regex: /^(?:export\s+)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*(\w+)[^{]*;\s*$/, type: "overload" },
+      { regex: /^(?:export\s+)?(?:async\s+)?function\s*\*?\s*(\w+)[^;]*$/, type: "function" },
+      { regex: /^(?:export\s+)?const\s+([A-Z][A-Z_0-9]*)\s*[:=]/, type: "constant" },
+      { regex: /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>/, type: "arrow" },
+      { regex: methodPattern, type: "method", memberOnly: true }
+    ],
+
+    javascript: [
+      { regex: /^(?:export\s+)?(?:default\s+)?class\s+([\w$]+)(?:\s+extends\s+([\w$.]+))?/, type: "class", extendsGroup: 2 },
+      { regex: /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/, type: "function" },
+      { regex: /^(?:export\s+)?const\s+([A-Z][A-Z_0-9]*)\s*=/, type: "constant" },
+      { regex: /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*=>/, type: "arrow" },
+      { regex: methodPattern, type: "method", memberOnly: true }
+    ],
+
+    csharp: [
+      { regex: /^namespace\s+([\w.]+)/, type: "namespace" },
+      { regex: /^(?:\w+\s+)*?class\s+(\w+)(?:<[^>]*>)?(?:\s*:\s*([\w.]+))?/, type: "class", extendsGroup: 2 },
+      { regex: /^(?:\w+\s+)*?interface\s+(\w+)/, type: "interface" },
+      { regex: /^(?:\w+\s+)*?record\s+(?:class\s+|struct\s+)?(\w+)/, type: "record" },
+      { regex: /^(?:\w+\s+)*?struct\s+(\w+)/, type: "struct" },
+      { regex: /^(?:\w+\s+)*?enum\s+(\w+)/, type: "enum" },
+      // Members: only kept inside a type
+      { regex: /^(?:(?:public|private|protected|internal|static)\s+)*(?!(?:if|for|foreach|while|switch|using|lock|catch|return)\b)(\w+)\s*\([^)]*\)\s*(?::\s*(?:base|this)\s*\(.*\))?\s*\{?$/, type: "constructor", memberOnly: true },
+      { regex: /^(?!(?:return|new|await|throw|else|if|for|foreach|while|switch|using|lock|catch)\b)(?:\w+\s+)*[\w.<>\[\],?]+\s+(\w+)\s*(?:<[^>]*>)?\s*\(/, type: "method", memberOnly: true }
     ]
   };
+  patterns.tsx = patterns.typescript;
   
   return patterns[language] || patterns.python; // Default fallback
 }
 
+// JSON shape consumed by Track-CodeEvolution.ps1 (shared with batch-parser.js)
+function buildParseResult(filePath, segments, diagnostics = [], language = detectLanguage(filePath)) {
+  return {
+    filePath: filePath,
+    language,
+    totalSegments: segments.length,
+    filteredSegments: segments.length,
+    diagnostics,
+    segments: segments.map(segment => ({
+      type: segment.type,
+      name: segment.name,
+      qualifiedName: segment.qualifiedName || undefined,
+      scope: segment.scope && segment.scope.length > 0 ? segment.scope : undefined,
+      // Set for code embedded in another file (Vue, Svelte, HTML, Markdown)
+      language: segment.language || undefined,
+      startLine: segment.startLine,
+      endLine: segment.endLine,
+      startColumn: segment.startColumn,
+      endColumn: segment.endColumn,
+      startByte: segment.startByte,
+      endByte: segment.endByte,
+      content: segment.content,
+      extends: segment.extends || undefined,
+      parent: segment.parent || undefined,
+      kind: segment.kind || undefined,
+      target: segment.target || undefined,
+      targetType: segment.targetType || undefined,
+      signature: segment.signature || undefined,
+      decorators: segment.decorators || undefined,
+      partial: segment.partial || undefined,
+      doc: segment.doc || undefined,
+      fingerprint: segment.fingerprint || undefined,
+      hasErrors: Boolean(segment.hasErrors),
+      lineCount: segment.lineCount,
+    }))
+  };
+}
+
+// Read a JSON CLI argument, or the file it points to when prefixed with @
+function readJsonArgument(value) {
+  if (value.startsWith('@')) {
+    return JSON.parse(fs.readFileSync(value.substring(1), 'utf8'));
+  }
+  return JSON.parse(value);
+}
+
 // Command line interface
 async function main() {
   if (process.argv.length < 3) {
-    console.error("Usage: node tree-sitter-parser.js <file> [--extraction-context JSON] [--language-config JSON]");
+    console.error("Usage: node tree-sitter-parser.js <file> [--extraction-context JSON] [--language-config JSON] [--query-dir DIR] [--grammar-dir DIR] [--allow-extractors] [--cache-dir DIR] [--no-cache]");
     process.exit(1);
   }
 
@@ -969,18 +1442,16 @@ async function main() {
 
   let extractionContext = null;
   let languageConfig = null;
+  let cache = undefined;
+  const queryDirs = [];
+  const grammarDirs = [];
+  let allowExtractors = false;
 
-  for (let i = 0; i < args.length; i += 2) {
+  for (let i = 0; i < args.length; i++) {
     if (args[i] === "--extraction-context" && i + 1 < args.length) {
       try {
         // Support reading from file if argument starts with @
-        if (args[i + 1].startsWith('@')) {
-          const contextFile = args[i + 1].substring(1);
-          const contextData = fs.readFileSync(contextFile, 'utf8');
-          extractionContext = JSON.parse(contextData);
-        } else {
-          extractionContext = JSON.parse(args[i + 1]);
-        }
+        extractionContext = readJsonArgument(args[++i]);
       } catch (error) {
         console.error("Invalid extraction context JSON:", error.message);
         process.exit(1);
@@ -988,20 +1459,28 @@ async function main() {
     } else if (args[i] === "--language-config" && i + 1 < args.length) {
       try {
         // Support reading from file if argument starts with @
-        if (args[i + 1].startsWith('@')) {
-          const configFile = args[i + 1].substring(1);
-          const configData = fs.readFileSync(configFile, 'utf8');
-          languageConfig = JSON.parse(configData);
-        } else {
-          languageConfig = JSON.parse(args[i + 1]);
-        }
+        languageConfig = readJsonArgument(args[++i]);
       } catch (error) {
         console.error("Invalid language config JSON:", error.message);
         process.exit(1);
       }
+    } else if (args[i] === "--query-dir" && i + 1 < args.length) {
+      queryDirs.push(path.resolve(args[++i]));
+    } else if (args[i] === "--grammar-dir" && i + 1 < args.length) {
+      grammarDirs.push(path.resolve(args[++i]));
+    } else if (args[i] === "--allow-extractors") {
+      allowExtractors = true;
+    } else if (args[i] === "--cache-dir" && i + 1 < args.length) {
+      cache = new ParseCache({ dir: args[++i] });
+    } else if (args[i] === "--no-cache") {
+      cache = false;
     }
   }
 
+  if (queryDirs.length > 0) {
+    extractionContext = { ...extractionContext, QueryDirs: queryDirs };
+  }
+
   try {
     if (!fs.existsSync(filePath)) {
       console.error(`File not found: ${filePath}`);
@@ -1010,24 +1489,11 @@ async function main() {
 
     console.error(`Parsing file: ${filePath}`);
     const code = fs.readFileSync(filePath, "utf8");
-    const segments = await parseCode(code, filePath, extractionContext, languageConfig);
-
-    const result = {
-      filePath: filePath,
-      language: detectLanguage(filePath),
-      totalSegments: segments.length,
-      filteredSegments: segments.length,
-      segments: segments.map(segment => ({
-        type: segment.type,
-        name: segment.name,
-        startLine: segment.startLine,
-        endLine: segment.endLine,
-        content: segment.content,
-        extends: segment.extends || undefined,
-        parent: segment.parent || undefined,
-        lineCount: segment.lineCount,
-      }))
-    };
+    const session = new ParseSession({ languageConfig, cache, grammarDirs, allowExtractors });
+    const { segments, diagnostics } = await session.parseWithDiagnostics(code, filePath, extractionContext);
+    session.dispose();
+
+    const result = buildParseResult(filePath, segments, diagnostics, session.grammars.detectLanguage(filePath, code));
 
     console.log(JSON.stringify(result, null, 2));
   } catch (error) {
@@ -1038,7 +1504,14 @@ async function main() {
 
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { parseCode, detectLanguage, TreeSitterExtractor };
+  module.exports = {
+    parseCode,
+    ParseSession,
+    detectLanguage,
+    TreeSitterExtractor,
+    buildParseResult,
+    readJsonArgument
+  };
 }
 
 // Run main function only if called directly
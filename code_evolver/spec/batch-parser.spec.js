@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runBatch } = require('../lib/parsers/batch-parser');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-batch-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+async function collect(jobs, options = {}) {
+  const results = [];
+  const stats = await runBatch(jobs, { cache: false, ...options, onResult: result => results.push(result) });
+  return { stats, results: results.sort((a, b) => String(a.id).localeCompare(String(b.id))) };
+}
+
+test('every job gets one result carrying its id', async () => {
+  const onDisk = path.join(tempDir, 'disk.py');
+  fs.writeFileSync(onDisk, 'def from_disk():\n    pass\n');
+
+  const { stats, results } = await collect([
+    { id: 'a', path: 'inline.js', content: 'function inline() {}' },
+    { id: 'b', path: onDisk },
+    { id: 'c', path: path.join(tempDir, 'missing.js') }
+  ], { workers: 2 });
+
+  assert.deepStrictEqual(stats, { total: 3, failed: 1 });
+  assert.deepStrictEqual(results[0].segments.map(segment => segment.name), ['inline']);
+  assert.deepStrictEqual(results[1].segments.map(segment => segment.name), ['from_disk']);
+  assert.strictEqual(results[2].filePath, path.join(tempDir, 'missing.js'));
+  assert.match(results[2].error, /ENOENT/);
+});
+
+test('jobs without an id are numbered in input order', async () => {
+  const { results } = await collect([
+    { path: 'one.js', content: 'const one = 1;' },
+    { path: 'two.js', content: 'const two = 2;' }
+  ], { workers: 1 });
+
+  assert.deepStrictEqual(results.map(result => [result.id, result.filePath]), [[0, 'one.js'], [1, 'two.js']]);
+});
+
+test('a worker exiting mid-job reports that job as failed', async () => {
+  // A manifest extractor that ends its worker thread
+  const grammarDir = path.join(tempDir, 'grammars');
+  fs.mkdirSync(grammarDir);
+  fs.writeFileSync(path.join(grammarDir, 'grammars.json'), JSON.stringify({
+    languages: { go: { extractor: 'exit-extractor.js' } }
+  }));
+  fs.writeFileSync(path.join(grammarDir, 'exit-extractor.js'), 'module.exports = { processNode() { process.exit(3); } };\n');
+
+  const { stats, results } = await collect([
+    { id: 'go', path: 'main.go', content: 'package main\n\nfunc main() {}\n' }
+  ], { workers: 1, grammarDirs: [grammarDir], allowExtractors: true });
+
+  assert.deepStrictEqual(stats, { total: 1, failed: 1 });
+  assert.deepStrictEqual(results, [{ id: 'go', filePath: 'main.go', error: 'Worker exited with code 3 while parsing' }]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BlockScanner } = require('../lib/parsers/block-scanner');
+
+test('a block ends at its matching brace, not at braces in strings, comments or templates', () => {
+  const code = [
+    'function render(user) {',
+    '  const open = "{";',
+    "  const close = '}';",
+    '  // } not the end',
+    '  /* } nor this */',
+    '  return `${user.name} }`;',
+    '}',
+    'function next() {}'
+  ].join('\n');
+
+  const scanner = new BlockScanner(code, 'javascript');
+  assert.deepStrictEqual(scanner.findEnd(0), { endLine: 6, endColumn: 1 });
+  assert.deepStrictEqual(scanner.findEnd(7), { endLine: 7, endColumn: 18 });
+});
+
+test('a statement without a block ends at its semicolon or at the end of the expression', () => {
+  const code = [
+    'const handler = function () {',
+    '  return 1;',
+    '};',
+    'const total = 1 +',
+    '  2',
+    'const after = 3'
+  ].join('\n');
+
+  const scanner = new BlockScanner(code, 'javascript');
+  assert.deepStrictEqual(scanner.findEnd(0), { endLine: 2, endColumn: 2 });
+  assert.deepStrictEqual(scanner.findEnd(3), { endLine: 4, endColumn: 3 });
+});
+
+test('a Python block ends at the last line indented under its header', () => {
+  const code = [
+    'def outer(a,',
+    '          b):',
+    '    text = """',
+    'def not_a_definition():',
+    '"""',
+    '',
+    '    return a + b',
+    '',
+    'def after():',
+    '    pass'
+  ].join('\n');
+
+  const scanner = new BlockScanner(code, 'python');
+  assert.deepStrictEqual(scanner.findEnd(0), { endLine: 6, endColumn: 16 });
+  assert.strictEqual(scanner.startsInCode(3), false);
+  assert.strictEqual(scanner.startsInCode(8), true);
+});
+
+test('lines inside here-strings, heredocs and block comments do not start in code', () => {
+  const powershell = new BlockScanner([
+    '$text = @"',
+    'function Fake {',
+    '"@',
+    '<#',
+    'function AlsoFake {',
+    '#>',
+    'function Real {',
+    '  "}"',
+    '}'
+  ].join('\n'), 'powershell');
+  assert.strictEqual(powershell.startsInCode(1), false);
+  assert.strictEqual(powershell.startsInCode(4), false);
+  assert.strictEqual(powershell.startsInCode(6), true);
+  assert.deepStrictEqual(powershell.findEnd(6), { endLine: 8, endColumn: 1 });
+
+  const bash = new BlockScanner([
+    'cat <<EOF',
+    'fake() {',
+    'EOF',
+    'real() {',
+    '  echo "}"',
+    '}'
+  ].join('\n'), 'bash');
+  assert.strictEqual(bash.startsInCode(1), false);
+  assert.strictEqual(bash.startsInCode(3), true);
+  assert.deepStrictEqual(bash.findEnd(3), { endLine: 5, endColumn: 1 });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+async function bindings(code, filePath, type) {
+  const segments = await session.parse(code, filePath, { ExactContent: true });
+  return segments
+    .filter(segment => segment.type === type)
+    .map(segment => [segment.name, segment.content]);
+}
+
+test('every JavaScript declarator and destructured name is its own constant', async () => {
+  const code = 'const A = 1, { B, c: C = 2, ...D } = cfg, [E, [F]] = list;\n';
+
+  assert.deepStrictEqual(await bindings(code, 'config.js', 'constant'), [
+    ['A', 'A = 1'],
+    ['B', 'B'],
+    ['C', 'C = 2'],
+    ['D', '...D'],
+    ['E', 'E'],
+    ['F', 'F']
+  ]);
+});
+
+test('a declaration with a single name keeps its full range', async () => {
+  assert.deepStrictEqual(await bindings('const LIMIT = 10;\n', 'limit.js', 'constant'), [['LIMIT', 'LIMIT = 10']]);
+  assert.deepStrictEqual(await bindings('LIMIT = 10\n', 'limit.py', 'constant'), [['LIMIT', 'LIMIT = 10']]);
+  assert.deepStrictEqual(await bindings('readonly LIMIT=10\n', 'limit.sh', 'constant'), [['LIMIT', 'readonly LIMIT=10']]);
+});
+
+test('exported destructuring yields one export per name', async () => {
+  const code = 'export const { host, port: listenPort } = config;\n';
+
+  assert.deepStrictEqual(await bindings(code, 'server.js', 'export'), [
+    ['host', 'host'],
+    ['listenPort', 'port: listenPort']
+  ]);
+});
+
+test('Python tuple targets, Bash declarations and C# declarators bind each name', async () => {
+  assert.deepStrictEqual(await bindings('A, B = 1, 2\n(C, D) = pair\n', 'values.py', 'constant'),
+    [['A', 'A'], ['B', 'B'], ['C', 'C'], ['D', 'D']]);
+
+  assert.deepStrictEqual(await bindings('readonly A=1 B=2\n', 'values.sh', 'constant'),
+    [['A', 'A=1'], ['B', 'B=2']]);
+
+  const csharp = 'class Limits { int low, high; const int Min = 1, Max = 2; }\n';
+  assert.deepStrictEqual(await bindings(csharp, 'Limits.cs', 'field'), [['low', 'low'], ['high', 'high']]);
+  assert.deepStrictEqual(await bindings(csharp, 'Limits.cs', 'constant'), [['Min', 'Min = 1'], ['Max', 'Max = 2']]);
+});
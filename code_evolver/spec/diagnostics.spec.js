@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+test('syntax errors are reported with their position, and extraction goes on', async () => {
+  const code = [
+    'function ok() {}',
+    'class Fine {}',
+    'function broken( {',
+    '  return 1;',
+    '}'
+  ].join('\n');
+
+  const { segments, diagnostics } = await session.parseWithDiagnostics(code, 'broken.js');
+  assert.ok(diagnostics.length > 0);
+  assert.strictEqual(diagnostics[0].startLine, 2);
+  assert.strictEqual(diagnostics[0].snippet, 'function broken( {');
+  assert.ok(segments.some(segment => segment.name === 'ok'));
+  assert.ok(segments.some(segment => segment.name === 'Fine'));
+});
+
+test('a clean file has no diagnostics', async () => {
+  const { diagnostics } = await session.parseWithDiagnostics('def add(a, b):\n    return a + b\n', 'add.py');
+  assert.deepStrictEqual(diagnostics, []);
+});
+
+test('the tree is freed when an extractor module throws', async () => {
+  const grammarDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-grammars-'));
+  test.after(() => fs.rmSync(grammarDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(grammarDir, 'grammars.json'), JSON.stringify({
+    languages: { go: { extractor: 'throwing-extractor.js' } }
+  }));
+  fs.writeFileSync(path.join(grammarDir, 'throwing-extractor.js'),
+    'module.exports = { processNode() { throw new Error("extractor failed"); } };\n');
+
+  const throwing = new ParseSession({ cache: false, grammarDirs: [grammarDir], allowExtractors: true });
+  test.after(() => throwing.dispose());
+
+  let deleted = 0;
+  const parseTree = throwing.parseTree.bind(throwing);
+  throwing.parseTree = async (...args) => {
+    const parsed = await parseTree(...args);
+    const deleteTree = parsed.tree.delete.bind(parsed.tree);
+    parsed.tree.delete = () => {
+      deleted++;
+      deleteTree();
+    };
+    return parsed;
+  };
+
+  // Falls back to the regex parser, but frees the tree first
+  await throwing.parse('package main\n\nfunc main() {}\n', 'main.go');
+  assert.strictEqual(deleted, 1);
+});
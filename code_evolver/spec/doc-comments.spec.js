@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+async function docOf(code, filePath, name) {
+  const segments = await session.parse(code, filePath);
+  return segments.find(segment => segment.name === name)?.doc;
+}
+
+test('JSDoc tags are parsed in CRLF files', async () => {
+  const code = [
+    '/**',
+    ' * Adds numbers.',
+    ' * @param {number} a - first',
+    ' * @returns {number} sum',
+    ' */',
+    'function add(a) { return a; }'
+  ].join('\r\n');
+
+  const doc = await docOf(code, 'add.js', 'add');
+  assert.strictEqual(doc.description, 'Adds numbers.');
+  assert.deepStrictEqual(doc.tags.map(tag => [tag.tag, tag.name, tag.type, tag.description]), [
+    ['param', 'a', 'number', 'first'],
+    ['returns', null, 'number', 'sum']
+  ]);
+});
+
+test('Sphinx fields are parsed in CRLF docstrings', async () => {
+  const code = [
+    'def add(a):',
+    '    """Adds numbers.',
+    '',
+    '    :param int a: first',
+    '    :returns: sum',
+    '    """',
+    '    return a'
+  ].join('\r\n');
+
+  const doc = await docOf(code, 'add.py', 'add');
+  assert.strictEqual(doc.description, 'Adds numbers.');
+  assert.deepStrictEqual(doc.tags.map(tag => [tag.tag, tag.name, tag.type, tag.description]), [
+    ['param', 'a', 'int', 'first'],
+    ['returns', null, null, 'sum']
+  ]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+// What Track-CodeEvolution.ps1 -ClassName asks for
+function classNamed(name) {
+  return { Elements: ['class'], Filters: { ClassName: name } };
+}
+
+async function matching(code, filePath, extractionContext) {
+  const segments = await session.parse(code, filePath, extractionContext);
+  return segments.map(segment => [segment.type, segment.name]);
+}
+
+test('class filters find Go structs', async () => {
+  const code = [
+    'package billing',
+    '',
+    'type Invoice struct {',
+    '\tTotal int',
+    '}',
+    '',
+    'func (i *Invoice) Pay() {}',
+    '',
+    'func Helper() {}'
+  ].join('\n');
+
+  assert.deepStrictEqual(await matching(code, 'invoice.go', classNamed('Invoice')), [['struct', 'Invoice']]);
+});
+
+test('class filters find Rust structs, impl blocks and traits', async () => {
+  const code = [
+    'pub struct Invoice { total: i64 }',
+    '',
+    'impl Invoice {',
+    '    pub fn pay(&self) {}',
+    '}',
+    '',
+    'pub trait Payable {',
+    '    fn pay(&self);',
+    '}',
+    '',
+    'fn helper() {}'
+  ].join('\n');
+
+  assert.deepStrictEqual(await matching(code, 'invoice.rs', classNamed('Invoice')),
+    [['struct', 'Invoice'], ['impl', 'Invoice']]);
+  assert.deepStrictEqual(await matching(code, 'invoice.rs', classNamed('Payable')), [['trait', 'Payable']]);
+  assert.deepStrictEqual(await matching(code, 'invoice.rs', { Elements: ['interface'] }), [['trait', 'Payable']]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+const { findEmbeddedRegions, toHostRange } = require('../lib/parsers/embedded-regions');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+async function located(code, filePath) {
+  const segments = await session.parse(code, filePath);
+  return segments.map(segment => [segment.type, segment.name, segment.language, segment.startLine, segment.startColumn]);
+}
+
+test('Vue script setup is parsed as the language its lang attribute names, at host lines', async () => {
+  const code = [
+    '<template>',
+    '  <div>{{ total }}</div>',
+    '</template>',
+    '',
+    '<script setup lang="ts">',
+    'const LIMIT = 10;',
+    'function total(items: number[]) {',
+    '  return items.length;',
+    '}',
+    '</script>'
+  ].join('\n');
+
+  assert.deepStrictEqual(await located(code, 'Cart.vue'), [
+    ['constant', 'LIMIT', 'typescript', 5, 6],
+    ['function', 'total', 'typescript', 6, 0]
+  ]);
+});
+
+test('every Svelte script block is parsed, and HTML data scripts are skipped', async () => {
+  const svelte = [
+    '<script context="module">',
+    '  export function load() {}',
+    '</script>',
+    '<script>',
+    '  let count = 0;',
+    '  function increment() { count++; }',
+    '</script>',
+    '<button on:click={increment}>{count}</button>'
+  ].join('\n');
+
+  const names = (await located(svelte, 'Counter.svelte')).map(([type, name, , line]) => [type, name, line]);
+  assert.deepStrictEqual(names, [['export', 'load', 1], ['function', 'load', 1], ['function', 'increment', 5]]);
+
+  const html = [
+    '<html><body>',
+    '<script type="application/json">{"boot": 1}</script>',
+    '<script>function boot() {}</script>',
+    '</body></html>'
+  ].join('\n');
+  assert.deepStrictEqual(await located(html, 'index.html'), [['function', 'boot', 'javascript', 2, 8]]);
+});
+
+test('Markdown fences with a language are parsed; untagged and unknown fences are skipped', async () => {
+  const code = [
+    '# Guide',
+    '',
+    '```js',
+    'function hello() {}',
+    '```',
+    '',
+    '- Step',
+    '',
+    '  ```python',
+    '  def world():',
+    '      pass',
+    '  ```',
+    '',
+    '```json',
+    '{"skipped": true}',
+    '```',
+    '',
+    '```',
+    'function untagged() {}',
+    '```'
+  ].join('\n');
+
+  assert.deepStrictEqual(await located(code, 'guide.md'), [
+    ['function', 'hello', 'javascript', 3, 0],
+    ['function', 'world', 'python', 9, 2]
+  ]);
+});
+
+test('R Markdown chunk headers name the chunk language', () => {
+  const code = ['Text', '```{r setup, include=FALSE}', 'x <- 1', '```'].join('\n');
+  const regions = findEmbeddedRegions(code, 'rmarkdown');
+  assert.deepStrictEqual(regions.map(region => [region.language, region.code, region.startLine]), [['r', 'x <- 1', 2]]);
+});
+
+test('diagnostics in an embedded region point at host lines', async () => {
+  const code = ['Intro', '', '```js', 'function ok() {}', 'function broken( {', '```'].join('\n');
+
+  const { diagnostics } = await session.parseWithDiagnostics(code, 'notes.md');
+  assert.strictEqual(diagnostics[0].startLine, 4);
+  assert.strictEqual(diagnostics[0].snippet, 'function broken( {');
+});
+
+test('region ranges map back past the script tag and the fence indentation', () => {
+  const region = { startLine: 3, startColumn: 8, indent: 2 };
+  assert.deepStrictEqual(toHostRange({ startLine: 0, startColumn: 1, endLine: 1, endColumn: 4 }, region),
+    { startLine: 3, startColumn: 11, endLine: 4, endColumn: 6 });
+});
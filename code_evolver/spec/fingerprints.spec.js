@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+const ignoreLocals = { Fingerprint: { IgnoreLocalNames: true } };
+
+async function fingerprintOf(code, filePath, name, extractionContext) {
+  const segments = await session.parse(code, filePath, extractionContext);
+  return segments.find(segment => segment.name === name)?.fingerprint;
+}
+
+test('renamed parameters and locals keep the fingerprint with IgnoreLocalNames', async () => {
+  const before = await fingerprintOf('def add(a, b):\n    total = a + b\n    return total\n', 'add.py', 'add', ignoreLocals);
+  const after = await fingerprintOf('def add(x, y):\n    result = x + y\n    return result\n', 'add.py', 'add', ignoreLocals);
+  assert.ok(before);
+  assert.strictEqual(after, before);
+});
+
+test('renamed parameters change the fingerprint by default', async () => {
+  const before = await fingerprintOf('function add(a, b) { return a + b; }', 'add.js', 'add');
+  const after = await fingerprintOf('function add(x, y) { return x + y; }', 'add.js', 'add');
+  assert.notStrictEqual(after, before);
+});
+
+test('renamed class attributes change the fingerprint with IgnoreLocalNames', async () => {
+  const model = field => [
+    'class Article(models.Model):',
+    `    ${field} = models.CharField(max_length=100)`,
+    '',
+    '    def label(self):',
+    `        ${field} = self.${field}`,
+    `        return ${field}`
+  ].join('\n');
+
+  const before = await fingerprintOf(model('title'), 'models.py', 'Article', ignoreLocals);
+  const after = await fingerprintOf(model('headline'), 'models.py', 'Article', ignoreLocals);
+  assert.ok(before);
+  assert.notStrictEqual(after, before);
+});
+
+test('renamed parameters of interface method signatures change the fingerprint with IgnoreLocalNames', async () => {
+  const before = await fingerprintOf('interface Shape {\n  scale(factor: number): void;\n}\n', 'shape.ts', 'Shape', ignoreLocals);
+  const after = await fingerprintOf('interface Shape {\n  scale(ratio: number): void;\n}\n', 'shape.ts', 'Shape', ignoreLocals);
+  assert.ok(before);
+  assert.notStrictEqual(after, before);
+});
+
+test('Java fields count as API and method locals as local names', async () => {
+  const invoice = (field, local) => [
+    'class Invoice {',
+    `  int ${field} = 0;`,
+    `  int pay(int amount) { int ${local} = amount; return ${local}; }`,
+    '}'
+  ].join('\n');
+
+  const base = await fingerprintOf(invoice('total', 'paid'), 'Invoice.java', 'Invoice', ignoreLocals);
+  assert.strictEqual(await fingerprintOf(invoice('total', 'settled'), 'Invoice.java', 'Invoice', ignoreLocals), base);
+  assert.notStrictEqual(await fingerprintOf(invoice('sum', 'paid'), 'Invoice.java', 'Invoice', ignoreLocals), base);
+});
+
+test('comment edits change the fingerprint when comments are kept', async () => {
+  const keepComments = { Fingerprint: { IgnoreComments: false } };
+  const before = await fingerprintOf('function add(a, b) {\n  // sum\n  return a + b;\n}\n', 'add.js', 'add', keepComments);
+  const after = await fingerprintOf('function add(a, b) {\n  // total\n  return a + b;\n}\n', 'add.js', 'add', keepComments);
+  const reformatted = await fingerprintOf('function add(a, b) {\n    // sum\n    return a + b;\n}\n', 'add.js', 'add', keepComments);
+  assert.notStrictEqual(after, before);
+  assert.strictEqual(reformatted, before);
+});
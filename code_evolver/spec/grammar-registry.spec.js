@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GrammarRegistry } = require('../../shared/grammar-registry');
+
+// A grammar directory whose manifest declares an extractor that records being loaded
+const grammarDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-grammars-'));
+const loadedMarker = path.join(grammarDir, 'loaded');
+fs.writeFileSync(path.join(grammarDir, 'grammars.json'), JSON.stringify({
+  languages: { go: { extractor: 'go-extractor.js' } }
+}));
+fs.writeFileSync(path.join(grammarDir, 'go-extractor.js'),
+  `require('fs').writeFileSync(${JSON.stringify(loadedMarker)}, '');\nmodule.exports = { processNode() {} };\n`);
+test.after(() => fs.rmSync(grammarDir, { recursive: true, force: true }));
+
+test('manifest extractors are not loaded by default', () => {
+  const grammars = new GrammarRegistry({ dirs: [grammarDir] });
+  assert.strictEqual(grammars.getExtractor('go'), null);
+  assert.strictEqual(fs.existsSync(loadedMarker), false);
+  assert.deepStrictEqual(grammars.sourceFiles('go'), [path.join(grammarDir, 'grammars.json')]);
+});
+
+test('manifest extractors are loaded with allowExtractors', () => {
+  const grammars = new GrammarRegistry({ dirs: [grammarDir], allowExtractors: true });
+  assert.strictEqual(typeof grammars.getExtractor('go').processNode, 'function');
+  assert.strictEqual(fs.existsSync(loadedMarker), true);
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+function brief(segments) {
+  return segments.map(segment => [segment.type, segment.name, segment.parent, segment.startLine, segment.endLine]);
+}
+
+test('Python methods, accessors, fields and exports come from the config rules', async () => {
+  const code = [
+    'from dataclasses import dataclass',
+    '__all__ = ["Invoice"]',
+    '__all__.append("State")',
+    'class Invoice(Document):',
+    '    @property',
+    '    def total(self): return 1',
+    '    @total.setter',
+    '    def total(self, value): pass',
+    '    @staticmethod',
+    '    def create():',
+    '        def helper(): pass',
+    '@dataclass(frozen=True)',
+    'class Point:',
+    '    x: int',
+    '    cache: ClassVar[dict] = {}',
+    'class State(Enum):',
+    '    OPEN = 1',
+    '    _hidden = 2'
+  ].join('\n');
+
+  const segments = await session.parse(code, 'models.py', {});
+  assert.deepStrictEqual(brief(segments), [
+    ['export', 'Invoice', null, 1, 1],
+    ['export', 'State', null, 2, 2],
+    ['class', 'Invoice', null, 3, 10],
+    ['property', 'total', 'Invoice', 4, 5],
+    ['setter', 'total', 'Invoice', 6, 7],
+    ['staticmethod', 'create', 'Invoice', 8, 10],
+    ['function', 'helper', null, 10, 10],
+    ['class', 'Point', null, 11, 14],
+    ['field', 'x', 'Point', 13, 13],
+    ['class', 'State', null, 15, 17],
+    ['field', 'OPEN', 'State', 16, 16]
+  ]);
+  assert.strictEqual(segments[2].extends, 'Document');
+  assert.deepStrictEqual(segments[7].decorators, ['dataclass(frozen=True)']);
+});
+
+test('a custom config tunes one language and leaves the others on the bundled rules', async () => {
+  const languageConfig = {
+    languages: {
+      python: {
+        extensions: ['.py'],
+        scopeTypes: ['function_definition', 'class_definition'],
+        elements: {
+          // One constant per name of a tuple assignment
+          constant: {
+            patterns: ['assignment'],
+            nameField: 'left.identifier[*]',
+            requireScope: ['module']
+          },
+          // Private helpers are not worth tracking
+          function: {
+            patterns: ['function_definition'],
+            nameField: 'name',
+            excludePatterns: ['^_']
+          }
+        }
+      }
+    }
+  };
+  const custom = new ParseSession({ cache: false, languageConfig });
+  try {
+    const python = await custom.parse('A, B = 1, 2\ndef run(): pass\ndef _skip(): pass', 'job.py', {});
+    assert.deepStrictEqual(python.map(segment => [segment.type, segment.name, segment.startColumn, segment.endColumn]), [
+      ['constant', 'A', 0, 11],
+      ['constant', 'B', 0, 11],
+      ['function', 'run', 0, 15]
+    ]);
+
+    const javascript = await custom.parse('function run() {}', 'job.js', {});
+    assert.deepStrictEqual(brief(javascript), [['function', 'run', null, 0, 0]]);
+  } finally {
+    custom.dispose();
+  }
+});
+
+test('PowerShell constructors, attributes and exports come from the config rules', async () => {
+  const code = [
+    'class Widget : Base {',
+    '  [string]$Name',
+    '  Widget() {}',
+    '  [void] Widget() {}',
+    '}',
+    'function Get-Thing {',
+    '  [CmdletBinding()]',
+    '  param($x)',
+    '}',
+    'FILTER Select-Even { }',
+    'set-variable -Name MaxItems -Value 10 -Option ReadOnly',
+    'export-modulemember -Function Get-* -Variable Cache'
+  ].join('\n');
+
+  const segments = await session.parse(code, 'mod.ps1', {});
+  assert.deepStrictEqual(segments.map(segment => [segment.type, segment.name, segment.parent, segment.startColumn]), [
+    ['class', 'Widget', null, 0],
+    ['field', 'Name', 'Widget', 2],
+    ['constructor', 'Widget', 'Widget', 2],
+    ['method', 'Widget', 'Widget', 2],
+    ['function', 'Get-Thing', null, 0],
+    ['filter', 'Select-Even', null, 0],
+    ['constant', 'MaxItems', null, 0],
+    ['export', 'Get-Thing', null, 30],
+    ['export', 'Cache', null, 46]
+  ]);
+  assert.deepStrictEqual(segments[4].decorators, ['CmdletBinding()']);
+});
+
+test('R classes and their members come from the config rules', async () => {
+  const code = [
+    'Person <- R6::R6Class("Person",',
+    '  inherit = Base,',
+    '  public = list(name = NULL, greet = function() 1),',
+    '  active = list(full = function() self$name)',
+    ')',
+    'Person$set("public", "wave", function() 1)',
+    'setMethod("area", signature("Circle"), function(shape) 1)',
+    'class(obj) <- "Legacy"'
+  ].join('\n');
+
+  const segments = await session.parse(code, 'shapes.R', {});
+  assert.deepStrictEqual(segments.map(segment => [segment.type, segment.name, segment.parent, segment.qualifiedName]), [
+    ['class', 'Person', null, 'Person'],
+    ['field', 'name', 'Person', 'Person.name'],
+    ['method', 'greet', 'Person', 'Person.greet'],
+    ['property', 'full', 'Person', 'Person.full'],
+    ['method', 'wave', 'Person', 'Person.wave'],
+    ['method', 'area', 'Circle', 'Circle.area'],
+    ['class', 'Legacy', null, 'Legacy']
+  ]);
+  assert.strictEqual(segments[0].extends, 'Base');
+});
+
+test('C# types, fields and constants come from the config rules', async () => {
+  const code = [
+    'namespace Billing;',
+    '[Serializable]',
+    'public partial record Person(string Name) : Entity(Name) {',
+    '  static readonly int Max = 1;',
+    '  private int _x, _y;',
+    '}'
+  ].join('\n');
+
+  const segments = await session.parse(code, 'Person.cs', {});
+  assert.deepStrictEqual(segments.map(segment => [segment.type, segment.name, segment.startLine, segment.endLine]), [
+    ['namespace', 'Billing', 0, 5],
+    ['record', 'Person', 1, 5],
+    ['constant', 'Max', 3, 3],
+    ['field', '_x', 4, 4],
+    ['field', '_y', 4, 4]
+  ]);
+  assert.strictEqual(segments[1].extends, 'Entity');
+  assert.deepStrictEqual(segments[1].decorators, ['Serializable']);
+  assert.deepStrictEqual(segments[1].partial, { fragment: 1, fragments: 1 });
+  assert.deepStrictEqual([segments[3].startColumn, segments[4].startColumn], [14, 18]);
+});
+
+test('Go receivers and Ruby owners come from the config rules', async () => {
+  const go = await session.parse([
+    'package billing',
+    'func (s *Server[T]) Start() {}',
+    'const A, B = 1, 2'
+  ].join('\n'), 'server.go', {});
+  assert.deepStrictEqual(go.map(segment => [segment.type, segment.name, segment.parent, segment.qualifiedName]), [
+    ['method', 'Start', 'Server', 'Server.Start'],
+    ['constant', 'A', null, 'A'],
+    ['constant', 'B', null, 'B']
+  ]);
+
+  const ruby = await session.parse([
+    'class Billing::Invoice < Document',
+    '  class << self',
+    '    def build; end',
+    '  end',
+    '  def self.create; end',
+    '  def pay; end',
+    'end',
+    'def Invoice.other; end'
+  ].join('\n'), 'invoice.rb', {});
+  assert.deepStrictEqual(ruby.map(segment => [segment.type, segment.name, segment.parent, segment.qualifiedName]), [
+    ['class', 'Invoice', null, 'Billing.Invoice'],
+    ['classmethod', 'build', 'Invoice', 'Billing.Invoice.build'],
+    ['classmethod', 'create', 'Invoice', 'Billing.Invoice.create'],
+    ['method', 'pay', 'Invoice', 'Billing.Invoice.pay'],
+    ['classmethod', 'other', 'Invoice', 'other']
+  ]);
+});
+
+test('React components and hooks come from the config rules', async () => {
+  const code = [
+    'function Card() { return <div />; }',
+    'function helper() { return <div />; }',
+    'const Row = () => <li />;',
+    'const Memo = React.memo(Row);',
+    'const useCart = () => [];',
+    'class Page extends React.Component {}'
+  ].join('\n');
+
+  const segments = (await session.parse(code, 'cart.jsx', {})).filter(segment => segment.type !== 'constant');
+  assert.deepStrictEqual(segments.map(segment => [segment.type, segment.name, segment.kind]), [
+    ['component', 'Card', 'function'],
+    ['function', 'helper', null],
+    ['component', 'Row', 'arrow'],
+    ['component', 'Memo', 'function'],
+    ['hook', 'useCart', 'arrow'],
+    ['component', 'Page', 'class']
+  ]);
+});
+
+test('JavaScript fields, accessors and static blocks come from the config rules', async () => {
+  const code = [
+    'class Cart {',
+    '  items = [];',
+    '  onClick = () => {};',
+    '  get size() { return 0; }',
+    '  set size(value) {}',
+    '  static {}',
+    '  static {}',
+    '}',
+    'const point = { get x() { return 1; } };'
+  ].join('\n');
+
+  const segments = (await session.parse(code, 'cart.js', {})).filter(segment => segment.type !== 'constant');
+  assert.deepStrictEqual(segments.map(segment => [segment.type, segment.name, segment.parent, segment.kind]), [
+    ['class', 'Cart', null, null],
+    ['field', 'items', 'Cart', null],
+    ['method', 'onClick', 'Cart', null],
+    ['getter', 'size', 'Cart', 'method'],
+    ['setter', 'size', 'Cart', 'method'],
+    ['static_block', 'static', 'Cart', null],
+    ['static_block', 'static_2', 'Cart', null],
+    ['getter', 'x', null, 'method']
+  ]);
+});
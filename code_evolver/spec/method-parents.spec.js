@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ParseSession } = require('../lib/parsers/tree-sitter-parser');
+
+const session = new ParseSession({ cache: false });
+test.after(() => session.dispose());
+
+async function owners(code, filePath, extractionContext) {
+  const segments = await session.parse(code, filePath, extractionContext);
+  return segments.map(segment => [segment.type, segment.name, segment.parent]);
+}
+
+test('Java methods and constructors name their type as parent', async () => {
+  const code = [
+    'package billing;',
+    'public class Invoice {',
+    '  public Invoice() {}',
+    '  void pay() { Runnable later = new Runnable() { public void run() {} }; }',
+    '  enum State { OPEN; void close() {} }',
+    '}',
+    'interface Payable { default void pay() {} }'
+  ].join('\n');
+
+  assert.deepStrictEqual(await owners(code, 'Invoice.java'), [
+    ['class', 'Invoice', null],
+    ['constructor', 'Invoice', 'Invoice'],
+    ['method', 'pay', 'Invoice'],
+    ['method', 'run', null],
+    ['enum', 'State', null],
+    ['method', 'close', 'State'],
+    ['interface', 'Payable', null],
+    ['method', 'pay', 'Payable']
+  ]);
+});
+
+test('C# methods and constructors name their type, with its arity, as parent', async () => {
+  const code = [
+    'namespace Billing {',
+    '  public class Repository<T, K> {',
+    '    public Repository() {}',
+    '    public T Find(K id) => default;',
+    '  }',
+    '  struct Point { public int Length() => 0; }',
+    '}'
+  ].join('\n');
+
+  assert.deepStrictEqual(await owners(code, 'Repository.cs'), [
+    ['namespace', 'Billing', null],
+    ['class', 'Repository`2', null],
+    ['constructor', 'Repository', 'Repository`2'],
+    ['method', 'Find', 'Repository`2'],
+    ['struct', 'Point', null],
+    ['method', 'Length', 'Point']
+  ]);
+});
+
+test('a Rust trait impl is named after its type and extends the trait', async () => {
+  const code = [
+    'pub struct Invoice;',
+    'impl Invoice { pub fn pay(&self) {} }',
+    'impl Payable for Invoice { fn pay(&self) {} }'
+  ].join('\n');
+
+  const segments = await session.parse(code, 'invoice.rs', { Elements: ['class'], Filters: { ClassName: 'Invoice' } });
+  assert.deepStrictEqual(segments.map(segment => [segment.type, segment.name, segment.extends]), [
+    ['struct', 'Invoice', null],
+    ['impl', 'Invoice', null],
+    ['impl', 'Invoice', 'Payable']
+  ]);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ParseCache } = require('../../shared/parse-cache');
+
+const cacheScript = path.join(__dirname, '..', '..', 'shared', 'parse-cache.js');
+
+function tempCacheDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-cache-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Mark an entry as last used some days ago
+function age(cache, key, days) {
+  const then = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  fs.utimesSync(cache.entryPath(key), then, then);
+}
+
+test('keys depend on the parts, not on their order', () => {
+  const cache = new ParseCache({ dir: tempCacheDir() });
+  assert.strictEqual(cache.key({ content: 'a', language: 'python' }), cache.key({ language: 'python', content: 'a' }));
+  assert.notStrictEqual(cache.key({ content: 'a', language: 'python' }), cache.key({ content: 'b', language: 'python' }));
+});
+
+test('stored values are read back, and a disabled cache stores nothing', () => {
+  const dir = tempCacheDir();
+  const cache = new ParseCache({ dir });
+  const key = cache.key({ content: 'def f(): pass' });
+
+  assert.strictEqual(cache.get(key), undefined);
+  cache.set(key, [{ name: 'f' }]);
+  assert.deepStrictEqual(new ParseCache({ dir }).get(key), [{ name: 'f' }]);
+
+  const disabled = new ParseCache({ dir, enabled: false });
+  const otherKey = disabled.key({ content: 'other' });
+  disabled.set(otherKey, []);
+  assert.strictEqual(cache.get(otherKey), undefined);
+});
+
+test('prune removes expired entries, then the least recently used over the size limit', () => {
+  const cache = new ParseCache({ dir: tempCacheDir() });
+  const keys = ['old', 'older', 'recent', 'newest'].map(content => cache.key({ content }));
+  keys.forEach(key => cache.set(key, 'x'.repeat(100)));
+  age(cache, keys[0], 40);
+  age(cache, keys[1], 50);
+  age(cache, keys[2], 2);
+  age(cache, keys[3], 1);
+
+  const entrySize = fs.statSync(cache.entryPath(keys[3])).size;
+  const result = cache.prune({ maxAgeDays: 30, maxBytes: entrySize });
+
+  assert.strictEqual(result.removed, 3);
+  assert.deepStrictEqual(keys.map(key => fs.existsSync(cache.entryPath(key))), [false, false, false, true]);
+});
+
+test('clear removes only the cache\'s own files', () => {
+  const dir = tempCacheDir();
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep me');
+  const cache = new ParseCache({ dir });
+  cache.set(cache.key({ content: 'a' }), []);
+  cache.get(cache.key({ content: 'a' }));
+  cache.flushStats();
+
+  assert.deepStrictEqual(cache.clear(), { removed: 1 });
+  assert.deepStrictEqual(fs.readdirSync(dir), ['notes.txt']);
+});
+
+test('compaction keeps counts other instances flush meanwhile', () => {
+  const dir = tempCacheDir();
+  const first = new ParseCache({ dir });
+  const second = new ParseCache({ dir });
+  const key = first.key({ content: 'a' });
+
+  first.get(key);
+  first.get(key);
+  first.flushStats();
+  second.get(key);
+  second.flushStats();
+  first.compactStats();
+  // Counted after the compaction, by an instance whose earlier counts it merged
+  second.get(key);
+  second.flushStats();
+  first.compactStats();
+
+  assert.strictEqual(new ParseCache({ dir }).summary().misses, 4);
+  assert.strictEqual(fs.readdirSync(path.join(dir, 'stats')).length, 1);
+});
+
+test('the CLI rejects --max-age and --max-size values that are not positive numbers', () => {
+  const dir = tempCacheDir();
+  for (const args of [['--max-age', '7d'], ['--max-age', '0'], ['--max-size', 'abc']]) {
+    const run = spawnSync(process.execPath, [cacheScript, 'prune', ...args, '--cache-dir', dir], { encoding: 'utf8' });
+    assert.strictEqual(run.status, 1, args.join(' '));
+    assert.match(run.stderr, /Usage: node parse-cache\.js/);
+  }
+});
@@ -45,6 +45,14 @@ foreach ($item in $essentials) {
     }
 }
 
+# Modules shared with Code Evolver go next to the tool folder (code-referencer/../shared)
+$sharedPath = Join-Path $TargetProject $ToolFolder "shared"
+if (!(Test-Path $sharedPath)) {
+    New-Item -ItemType Directory -Path $sharedPath -Force | Out-Null
+}
+Write-Host "  Copying shared modules..."
+Copy-Item -Path (Join-Path $PSScriptRoot ".." "shared" "*") -Destination $sharedPath -Recurse -Force
+
 # Install npm dependencies
 Write-Host "  Installing dependencies..."
 Push-Location $targetToolPath
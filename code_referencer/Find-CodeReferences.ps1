@@ -32,6 +32,10 @@
 .PARAMETER ExportJson
     Export results to JSON file
 
+.PARAMETER AllowExtractors
+    Run the extractor modules declared in <ProjectPath>/.vibe/grammars/grammars.json.
+    They are JavaScript from the analyzed project, so only pass this for projects you trust
+
 .PARAMETER Verbose
     Show detailed progress during analysis
 
@@ -66,7 +70,9 @@ param(
 
     [switch]$ExportJson,
 
-    [string]$OutputDir = "./code-reference-analysis"
+    [string]$OutputDir = "./code-reference-analysis",
+
+    [switch]$AllowExtractors
 )
 
 # Ensure absolute paths
@@ -93,8 +99,10 @@ function Get-Language {
         '.jsx' = 'javascript'
         '.mjs' = 'javascript'
         '.cjs' = 'javascript'
-        '.ts' = 'javascript'
-        '.tsx' = 'javascript'
+        '.ts' = 'typescript'
+        '.mts' = 'typescript'
+        '.cts' = 'typescript'
+        '.tsx' = 'tsx'
         '.py' = 'python'
         '.ps1' = 'powershell'
         '.psm1' = 'powershell'
@@ -104,6 +112,12 @@ function Get-Language {
         '.r' = 'r'
         '.cs' = 'csharp'
         '.csx' = 'csharp'
+        '.go' = 'go'
+        '.rs' = 'rust'
+        '.java' = 'java'
+        '.rb' = 'ruby'
+        '.rake' = 'ruby'
+        '.gemspec' = 'ruby'
     }
 
     # Handle case-insensitive R extension
@@ -111,7 +125,33 @@ function Get-Language {
         return 'r'
     }
 
-    return $languageMap[$ext]
+    if ($languageMap.ContainsKey($ext)) {
+        return $languageMap[$ext]
+    }
+
+    # Languages from .vibe/grammars/grammars.json, or a script's shebang
+    $tempFile = [System.IO.Path]::GetTempFileName()
+    $argData = @{
+        mode = "language"
+        file = $Path
+        grammarDirs = @(Join-Path $ProjectPath ".vibe/grammars")
+        allowExtractors = [bool]$AllowExtractors
+    } | ConvertTo-Json -Compress
+
+    $utf8NoBom = New-Object System.Text.UTF8Encoding $false
+    [System.IO.File]::WriteAllText($tempFile, $argData, $utf8NoBom)
+
+    try {
+        $output = & node $parserPath "@$tempFile" 2>$null
+        $language = if ($output) { ($output | ConvertFrom-Json).language } else { $null }
+        if ($language -and $language -ne 'unknown') {
+            return $language
+        }
+        return $null
+    }
+    finally {
+        Remove-Item $tempFile -Force -ErrorAction SilentlyContinue
+    }
 }
 
 # Extract symbols from target file
@@ -137,6 +177,9 @@ function Get-FileSymbols {
         mode = "extract"
         file = $Path
         filters = $filterArgs
+        queryDirs = @(Join-Path $ProjectPath ".vibe/queries")
+        grammarDirs = @(Join-Path $ProjectPath ".vibe/grammars")
+        allowExtractors = [bool]$AllowExtractors
     } | ConvertTo-Json -Compress
 
     # Write without BOM for Node.js compatibility
@@ -176,7 +219,10 @@ function Find-SymbolReferences {
     $argData = @{
         mode = "references"
         file = $Path
+        definitionFile = $FilePath
         symbols = $Symbols
+        grammarDirs = @(Join-Path $ProjectPath ".vibe/grammars")
+        allowExtractors = [bool]$AllowExtractors
     } | ConvertTo-Json -Compress -Depth 10
 
     # Write without BOM
@@ -203,6 +249,38 @@ function Find-SymbolReferences {
     }
 }
 
+# Print references grouped by file, marking the ones inside the analyzed file
+function Write-ReferenceGroups {
+    param(
+        [array]$References,
+        [switch]$ShowBinding
+    )
+
+    $fileGroups = $References | Group-Object { $_.file }
+
+    foreach ($group in $fileGroups) {
+        # GetRelativePath is not available in older PowerShell versions
+        $relativePath = if ($group.Name.StartsWith($ProjectPath)) {
+            $group.Name.Substring($ProjectPath.Length).TrimStart('\', '/')
+        } else {
+            $group.Name
+        }
+
+        # Mark internal references
+        $isInternal = $group.Name -eq $FilePath
+        $fileLabel = if ($isInternal) { "$relativePath (internal)" } else { $relativePath }
+        $fileColor = if ($isInternal) { "Cyan" } else { "DarkCyan" }
+
+        Write-Host "  $fileLabel" -ForegroundColor $fileColor
+
+        foreach ($ref in $group.Group) {
+            $contextInfo = if ($ref.context) { " (in $($ref.context))" } else { "" }
+            $bindingInfo = if ($ShowBinding -and $ref.binding) { " [$($ref.binding)]" } else { "" }
+            Write-Host "    Line $($ref.line): $($ref.usage)$contextInfo$bindingInfo" -ForegroundColor DarkGray
+        }
+    }
+}
+
 # Main analysis
 Write-Host "`nAnalyzing symbols in: $FilePath" -ForegroundColor Cyan
 Write-Host "Searching project: $ProjectPath`n" -ForegroundColor Gray
@@ -239,10 +317,15 @@ $projectFiles = Get-ChildItem -Path $ProjectPath -Filter $searchPattern -Recurse
 
 Write-Host "Searching $($projectFiles.Count) $targetLanguage files for references...`n" -ForegroundColor Cyan
 
-# Initialize results
+# Initialize results, keyed like the parser's reference keys (type:Class.member:line)
+# so same-named symbols - export function add, a getter and its setter - stay apart
 $referenceMap = @{}
 foreach ($symbol in $symbols) {
-    $referenceMap[$symbol.name] = @{
+    $name = if ($symbol.parent) { "$($symbol.parent).$($symbol.name)" } else { $symbol.name }
+    $line = if ($symbol.line) { $symbol.line } else { 0 }
+    $key = "$($symbol.type):$($name):$line"
+    $referenceMap[$key] = @{
+        name = $name
         type = $symbol.type
         definition = @{
             file = $FilePath
@@ -251,6 +334,9 @@ foreach ($symbol in $symbols) {
         }
         references = @()
         totalCount = 0
+        # Same-named identifiers bound to something else (shadowed or unresolved)
+        possibleReferences = @()
+        possibleCount = 0
     }
 }
 
@@ -267,14 +353,22 @@ foreach ($file in $projectFiles) {
     $refs = Find-SymbolReferences -Path $file.FullName -Symbols $symbols
 
     foreach ($ref in $refs) {
-        if ($referenceMap.ContainsKey($ref.symbol)) {
-            $referenceMap[$ref.symbol].references += @{
-                file = $file.FullName
-                line = $ref.line
-                context = $ref.context
-                usage = $ref.usage
-            }
-            $referenceMap[$ref.symbol].totalCount++
+        if (-not $ref.key -or -not $referenceMap.ContainsKey($ref.key)) { continue }
+        $key = $ref.key
+
+        $entry = @{
+            file = $file.FullName
+            line = $ref.line
+            context = $ref.context
+            usage = $ref.usage
+            binding = $ref.binding
+        }
+        if ($ref.resolution -eq "possible") {
+            $referenceMap[$key].possibleReferences += $entry
+            $referenceMap[$key].possibleCount++
+        } else {
+            $referenceMap[$key].references += $entry
+            $referenceMap[$key].totalCount++
         }
     }
 }
@@ -285,18 +379,20 @@ if ($Verbose) {
 
 # Sort symbols by reference count
 $sortedSymbols = $referenceMap.GetEnumerator() |
-    Sort-Object { -$_.Value.totalCount }, Name
+    Sort-Object { -$_.Value.totalCount }, { $_.Value.name }, { $_.Value.definition.line }
 
 # Output results based on format
 switch ($OutputFormat.ToLower()) {
     "json" {
         $jsonOutput = $sortedSymbols | ForEach-Object {
             @{
-                name = $_.Key
+                name = $_.Value.name
                 type = $_.Value.type
                 definition = $_.Value.definition
                 totalReferences = $_.Value.totalCount
                 references = $_.Value.references
+                totalPossibleReferences = $_.Value.possibleCount
+                possibleReferences = $_.Value.possibleReferences
             }
         } | ConvertTo-Json -Depth 10
 
@@ -325,8 +421,8 @@ switch ($OutputFormat.ToLower()) {
         Write-Host ""
 
         foreach ($symbol in $sortedSymbols) {
-            $name = $symbol.Key
             $data = $symbol.Value
+            $name = $data.name
 
             # Symbol header
             $headerColor = if ($data.totalCount -gt 10) { "Green" }
@@ -338,50 +434,36 @@ switch ($OutputFormat.ToLower()) {
             Write-Host "  References: $($data.totalCount)" -ForegroundColor Gray
 
             if ($data.totalCount -gt 0) {
-                # Group references by file
-                $fileGroups = $data.references | Group-Object { $_.file }
-
-                foreach ($group in $fileGroups) {
-                    # GetRelativePath is not available in older PowerShell versions
-                    $relativePath = if ($group.Name.StartsWith($ProjectPath)) {
-                        $group.Name.Substring($ProjectPath.Length).TrimStart('\', '/')
-                    } else {
-                        $group.Name
-                    }
-
-                    # Mark internal references
-                    $isInternal = $group.Name -eq $FilePath
-                    $fileLabel = if ($isInternal) { "$relativePath (internal)" } else { $relativePath }
-                    $fileColor = if ($isInternal) { "Cyan" } else { "DarkCyan" }
-
-                    Write-Host "  $fileLabel" -ForegroundColor $fileColor
-
-                    foreach ($ref in $group.Group) {
-                        $contextInfo = if ($ref.context) { " (in $($ref.context))" } else { "" }
-                        Write-Host "    Line $($ref.line): $($ref.usage)$contextInfo" -ForegroundColor DarkGray
-                    }
-                }
+                Write-ReferenceGroups -References $data.references
             } else {
                 Write-Host "  (No references found)" -ForegroundColor DarkGray
             }
 
+            # Same name, different binding: a local, parameter or unrelated member
+            if ($data.possibleCount -gt 0) {
+                Write-Host "  Possible (unresolved or shadowed): $($data.possibleCount)" -ForegroundColor DarkYellow
+                Write-ReferenceGroups -References $data.possibleReferences -ShowBinding
+            }
+
             Write-Host ""
         }
 
         # Summary
         Write-Host "=" * 60 -ForegroundColor DarkCyan
         $totalRefs = ($sortedSymbols | ForEach-Object { $_.Value.totalCount } | Measure-Object -Sum).Sum
+        $totalPossible = ($sortedSymbols | ForEach-Object { $_.Value.possibleCount } | Measure-Object -Sum).Sum
         $unusedSymbols = @($sortedSymbols | Where-Object { $_.Value.totalCount -eq 0 })
 
         Write-Host "Summary:" -ForegroundColor Cyan
         Write-Host "  Total symbols: $($symbols.Count)" -ForegroundColor Gray
         Write-Host "  Total references: $totalRefs" -ForegroundColor Gray
+        Write-Host "  Possible references: $totalPossible" -ForegroundColor Gray
         Write-Host "  Unused symbols: $($unusedSymbols.Count)" -ForegroundColor $(if ($unusedSymbols.Count -gt 0) { "Yellow" } else { "Gray" })
 
         if ($unusedSymbols.Count -gt 0) {
             Write-Host "`n  Unused:" -ForegroundColor Yellow
             foreach ($unused in $unusedSymbols) {
-                Write-Host "    - [$($unused.Value.type)] $($unused.Key)" -ForegroundColor DarkYellow
+                Write-Host "    - [$($unused.Value.type)] $($unused.Value.name)" -ForegroundColor DarkYellow
             }
         }
     }
@@ -44,6 +44,14 @@ foreach ($source in $sourceFiles.Keys) {
     }
 }
 
+# Modules shared with Code Evolver go next to the tool folder (code-referencer/../shared)
+$sharedPath = Join-Path $InstallPath "shared"
+if (!(Test-Path $sharedPath)) {
+    New-Item -ItemType Directory -Path $sharedPath -Force | Out-Null
+}
+Write-Host "  Copying shared modules..."
+Copy-Item -Path (Join-Path $PSScriptRoot ".." "shared" "*") -Destination $sharedPath -Recurse -Force
+
 # 3. Install npm dependencies
 Write-Host "  Installing dependencies..."
 Push-Location $toolPath
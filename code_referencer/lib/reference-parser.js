@@ -4,37 +4,27 @@
  * Reference Parser for Code Symbol Analysis
  *
  * Finds symbol definitions and references using tree-sitter AST parsing
- * Supports: JavaScript, Python, PowerShell, Bash, R, C#
+ * Supports: JavaScript, TypeScript/TSX, Python, PowerShell, Bash, R, C#, Go, Rust, Java, Ruby,
+ * and languages registered in a grammars.json manifest (see shared/grammar-registry.js)
  */
 
 const fs = require('fs');
 const path = require('path');
 const TreeSitter = require('web-tree-sitter');
-
-// Language detection based on file extension
-function detectLanguage(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-
-  const languageMap = {
-    '.js': 'javascript',
-    '.jsx': 'javascript',
-    '.mjs': 'javascript',
-    '.cjs': 'javascript',
-    '.ts': 'javascript',
-    '.tsx': 'javascript',
-    '.py': 'python',
-    '.ps1': 'powershell',
-    '.psm1': 'powershell',
-    '.psd1': 'powershell',
-    '.sh': 'bash',
-    '.bash': 'bash',
-    '.r': 'r',
-    '.R': 'r',
-    '.cs': 'csharp',
-    '.csx': 'csharp'
-  };
-
-  return languageMap[ext] || 'unknown';
+const { defaultQueryDir, findQueryFiles, loadQueryPlugins, runQueryPlugins } = require('../../shared/query-plugins');
+const { ParseCache, getDefaultCache, hashText, hashFile, hashFiles } = require('../../shared/parse-cache');
+const { GrammarRegistry } = require('../../shared/grammar-registry');
+const { buildScopeGraph } = require('./scope-graph');
+
+// Bundled grammars; "grammarDirs" in the params are searched first
+const bundledGrammarDir = path.join(__dirname, '..', 'grammars');
+// Modules shared with Code Evolver (query plugins, parse cache, grammar registry)
+const sharedDir = path.join(__dirname, '..', '..', 'shared');
+const defaultGrammars = new GrammarRegistry({ bundledDir: bundledGrammarDir });
+
+// Language detection by file extension, else by the shebang of the file
+function detectLanguage(filePath, grammars = defaultGrammars) {
+  return grammars.detectLanguage(filePath);
 }
 
 // Parser and language initialization
@@ -57,29 +47,18 @@ async function initParser() {
   return parser;
 }
 
-// Load language grammar from WASM file
-async function loadLanguage(language) {
-  if (loadedLanguages.has(language)) {
-    return loadedLanguages.get(language);
+// Load language grammar from WASM file, cached by grammar path
+async function loadLanguage(language, grammars = defaultGrammars) {
+  const grammarPath = grammars.getGrammarPath(language);
+  if (loadedLanguages.has(grammarPath)) {
+    return loadedLanguages.get(grammarPath);
   }
 
-  const grammarFiles = {
-    'javascript': 'tree-sitter-javascript.wasm',
-    'python': 'tree-sitter-python.wasm',
-    'powershell': 'tree-sitter-powershell.wasm',
-    'bash': 'tree-sitter-bash.wasm',
-    'r': 'tree-sitter-r.wasm',
-    'csharp': 'tree-sitter-c-sharp.wasm'
-  };
-
-  const grammarFile = grammarFiles[language];
-  if (!grammarFile) {
+  if (!grammarPath) {
     console.error(`No grammar available for language: ${language}`);
     return null;
   }
 
-  const grammarPath = path.join(__dirname, '..', 'grammars', grammarFile);
-
   if (!fs.existsSync(grammarPath)) {
     console.error(`Grammar file not found: ${grammarPath}`);
     return null;
@@ -87,7 +66,7 @@ async function loadLanguage(language) {
 
   try {
     const languageObj = await TreeSitter.Language.load(grammarPath);
-    loadedLanguages.set(language, languageObj);
+    loadedLanguages.set(grammarPath, languageObj);
     return languageObj;
   } catch (error) {
     console.error(`Failed to load grammar for ${language}:`, error.message);
@@ -95,13 +74,41 @@ async function loadLanguage(language) {
   }
 }
 
-// Extract symbols from a file
-async function extractSymbols(filePath, filters = []) {
+// Cache key for one symbol extraction: content, language, grammar, extractor, filters and query files
+function symbolCacheKey(cache, code, language, filters, queryDirs, grammars) {
+  const grammarPath = grammars.getGrammarPath(language);
+
+  return cache.key({
+    scope: 'reference-parser',
+    content: hashText(code),
+    language,
+    grammar: grammarPath ? hashFile(grammarPath) : null,
+    extractor: hashFiles([
+      __filename,
+      path.join(sharedDir, 'query-plugins.js'),
+      path.join(sharedDir, 'grammar-registry.js'),
+      ...grammars.sourceFiles(language)
+    ]),
+    filters,
+    queries: hashFiles(findQueryFiles(language, queryDirs))
+  });
+}
+
+// Extract symbols from a file (cache: a ParseCache, or null to always parse;
+// grammars: a GrammarRegistry with extra grammar directories)
+async function extractSymbols(filePath, filters = [], queryDirs = [defaultQueryDir], cache = getDefaultCache(),
+  grammars = defaultGrammars) {
   const code = fs.readFileSync(filePath, 'utf8');
-  const language = detectLanguage(filePath);
+  const language = grammars.detectLanguage(filePath, code);
+
+  const cacheKey = cache?.enabled ? symbolCacheKey(cache, code, language, filters, queryDirs, grammars) : null;
+  if (cacheKey) {
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+  }
 
   await initParser();
-  const langObj = await loadLanguage(language);
+  const langObj = await loadLanguage(language, grammars);
 
   if (!langObj) {
     throw new Error(`Unsupported language: ${language}`);
@@ -111,15 +118,18 @@ async function extractSymbols(filePath, filters = []) {
   const tree = parser.parse(code);
 
   const symbols = [];
+  const languageExtractor = grammars.getExtractor(language);
 
   function walkForSymbols(node, ancestors = []) {
-    // Extract symbols based on node type and language
-    const symbol = extractSymbol(node, ancestors, language);
-    if (symbol) {
+    // Extract symbols based on node type and language (one node may define several)
+    const extracted = languageExtractor
+      ? languageExtractor.extractSymbol?.(node, ancestors)
+      : extractSymbol(node, ancestors, language);
+    for (const symbol of [].concat(extracted || [])) {
       // Apply filters
-      if (filters.includes('--exclude-globals') && symbol.type === 'global') return;
-      if (filters.includes('--exclude-exports') && symbol.type === 'export') return;
-      if (filters.includes('--exclude-constants') && symbol.type === 'constant') return;
+      if (filters.includes('--exclude-globals') && symbol.type === 'global') continue;
+      if (filters.includes('--exclude-exports') && symbol.type === 'export') continue;
+      if (filters.includes('--exclude-constants') && symbol.type === 'constant') continue;
 
       symbols.push(symbol);
     }
@@ -132,6 +142,24 @@ async function extractSymbols(filePath, filters = []) {
   }
 
   walkForSymbols(tree.rootNode);
+
+  // Custom elements captured by .vibe/queries/<language>.scm
+  const queryPlugins = loadQueryPlugins(TreeSitter.Query, langObj, language, queryDirs);
+  for (const element of runQueryPlugins(queryPlugins, tree.rootNode)) {
+    if (!element.name) continue;
+    symbols.push({
+      name: element.name,
+      type: element.type,
+      kind: element.kind,
+      line: element.node.startPosition.row + 1,
+      endLine: element.node.endPosition.row + 1
+    });
+  }
+  tree.delete();
+
+  if (cacheKey) {
+    cache.set(cacheKey, symbols, { language });
+  }
   return symbols;
 }
 
@@ -140,6 +168,9 @@ function extractSymbol(node, ancestors, language) {
   switch (language) {
     case 'javascript':
       return extractJavaScriptSymbol(node, ancestors);
+    case 'typescript':
+    case 'tsx':
+      return extractTypeScriptSymbol(node, ancestors);
     case 'python':
       return extractPythonSymbol(node, ancestors);
     case 'csharp':
@@ -150,6 +181,14 @@ function extractSymbol(node, ancestors, language) {
       return extractBashSymbol(node, ancestors);
     case 'r':
       return extractRSymbol(node, ancestors);
+    case 'go':
+      return extractGoSymbol(node, ancestors);
+    case 'rust':
+      return extractRustSymbol(node, ancestors);
+    case 'java':
+      return extractJavaSymbol(node, ancestors);
+    case 'ruby':
+      return extractRubySymbol(node, ancestors);
     default:
       return null;
   }
@@ -168,15 +207,45 @@ function extractJavaScriptSymbol(node, ancestors) {
 
     case 'method_definition':
       const methodName = node.childForFieldName('name')?.text;
-      const parentClass = ancestors.find(a => a.type === 'class_declaration');
+      const parentClass = ancestors.find(a =>
+        a.type === 'class_declaration' || a.type === 'abstract_class_declaration'
+      );
+      // get value() and set value(v) are separate getter and setter symbols
+      const accessor = node.children.find(c => !c.isNamed && (c.type === 'get' || c.type === 'set'))?.type;
       return methodName ? {
         name: methodName,
-        type: 'method',
+        type: accessor ? (accessor === 'get' ? 'getter' : 'setter') : 'method',
         line: node.startPosition.row + 1,
         endLine: node.endPosition.row + 1,
         parent: parentClass?.childForFieldName('name')?.text
       } : null;
 
+    case 'field_definition':
+    case 'public_field_definition':
+      // static priority = 5, #cache = new Map(); a field holding a function is a method
+      const fieldName = (node.childForFieldName('property') || node.childForFieldName('name'))?.text;
+      const fieldValue = node.childForFieldName('value')?.type;
+      if (!fieldName || node.parent?.type !== 'class_body') break;
+      return {
+        name: fieldName,
+        type: fieldValue === 'arrow_function' || fieldValue === 'function_expression' ? 'method' : 'field',
+        line: node.startPosition.row + 1,
+        endLine: node.endPosition.row + 1,
+        parent: node.parent.parent?.childForFieldName('name')?.text
+      };
+
+    case 'class_static_block':
+      // static { ... }: "static", then "static_2", ... when a class has several
+      const staticBlocks = node.parent.namedChildren.filter(c => c.type === 'class_static_block');
+      const blockNumber = staticBlocks.findIndex(block => block.id === node.id) + 1;
+      return {
+        name: blockNumber > 1 ? `static_${blockNumber}` : 'static',
+        type: 'static_block',
+        line: node.startPosition.row + 1,
+        endLine: node.endPosition.row + 1,
+        parent: node.parent.parent?.childForFieldName('name')?.text
+      };
+
     case 'function_declaration':
       return {
         name: node.childForFieldName('name')?.text,
@@ -187,43 +256,172 @@ function extractJavaScriptSymbol(node, ancestors) {
 
     case 'lexical_declaration':
       if (node.firstChild?.text === 'const') {
-        const declarator = node.childForFieldName('declarator');
-        const constName = declarator?.childForFieldName('name')?.text;
         const isTopLevel = !ancestors.some(a =>
           a.type === 'function_declaration' ||
           a.type === 'arrow_function' ||
           a.type === 'function_expression'
         );
-
-        if (constName && isTopLevel) {
-          return {
-            name: constName,
-            type: 'constant',
-            line: node.startPosition.row + 1,
-            endLine: node.endPosition.row + 1
-          };
-        }
+        if (!isTopLevel) break;
+
+        // Every declarator and destructured name: const A = 1, { B, C } = cfg
+        return declarationBindings(node).map(({ name, node: bindingNode }) => ({
+          name,
+          type: 'constant',
+          line: bindingNode.startPosition.row + 1,
+          endLine: bindingNode.endPosition.row + 1
+        }));
       }
       break;
 
     case 'export_statement':
       const exported = node.childForFieldName('declaration');
       if (exported) {
-        const exportName = getExportedName(exported);
-        if (exportName) {
-          return {
-            name: exportName,
-            type: 'export',
-            line: node.startPosition.row + 1,
-            endLine: node.endPosition.row + 1
-          };
-        }
+        return getExportedBindings(exported, node).map(({ name, node: bindingNode }) => ({
+          name,
+          type: 'export',
+          line: bindingNode.startPosition.row + 1,
+          endLine: bindingNode.endPosition.row + 1
+        }));
       }
       break;
+
+    case 'assignment_expression':
+      // CommonJS exports; target names the local definition they expose
+      return getCommonJsExports(node).map(({ name, target, node: exportNode }) => ({
+        name,
+        type: 'export',
+        line: exportNode.startPosition.row + 1,
+        endLine: exportNode.endPosition.row + 1,
+        ...(target ? { target } : {})
+      }));
   }
   return null;
 }
 
+// CommonJS exports: module.exports.foo = ..., exports.foo = ..., module.exports = X / { ... }
+function getCommonJsExports(node) {
+  const left = node.childForFieldName('left');
+  const right = node.childForFieldName('right');
+  if (!left || !right) return [];
+
+  const identifierTarget = (valueNode) => valueNode?.type === 'identifier' ? valueNode.text : null;
+
+  if (/^(module\.)?exports\.[\w$]+$/.test(left.text)) {
+    return [{ name: left.childForFieldName('property').text, target: identifierTarget(right), node }];
+  }
+
+  if (left.text !== 'module.exports') return [];
+
+  if (right.type === 'identifier') {
+    return [{ name: right.text, target: right.text, node }];
+  }
+  if (right.type === 'class' || right.type === 'function_expression') {
+    const name = right.childForFieldName('name')?.text;
+    return name ? [{ name, target: name, node }] : [];
+  }
+  if (right.type === 'object') {
+    const exports = [];
+    for (const property of right.namedChildren) {
+      if (property.type === 'shorthand_property_identifier') {
+        exports.push({ name: property.text, target: property.text, node: property });
+      } else if (property.type === 'pair') {
+        const key = property.childForFieldName('key')?.text.replace(/^['"]|['"]$/g, '');
+        if (key) {
+          exports.push({ name: key, target: identifierTarget(property.childForFieldName('value')), node: property });
+        }
+      } else if (property.type === 'method_definition') {
+        exports.push({ name: property.childForFieldName('name').text, target: null, node: property });
+      }
+    }
+    return exports;
+  }
+  return [];
+}
+
+// Name of what a JavaScript/TypeScript module exports as default: export default
+// Calculator, export default class Calculator {}, export { Calculator as default },
+// module.exports = Calculator. Null for anonymous defaults and modules without one.
+function getDefaultExportName(rootNode) {
+  for (const statement of rootNode.namedChildren) {
+    if (statement.type === 'export_statement') {
+      const isDefault = statement.children.some(child => child.type === 'default');
+      const declaration = statement.childForFieldName('declaration') || statement.childForFieldName('value');
+      if (isDefault && declaration) {
+        const name = declaration.type === 'identifier' ? declaration.text : declaration.childForFieldName('name')?.text;
+        if (name) return name;
+      }
+
+      const clause = statement.namedChildren.find(child => child.type === 'export_clause');
+      const aliased = clause?.namedChildren.find(specifier => specifier.childForFieldName('alias')?.text === 'default');
+      if (aliased && !statement.childForFieldName('source')) return aliased.childForFieldName('name').text;
+    } else if (statement.type === 'expression_statement' && statement.namedChild(0)?.type === 'assignment_expression') {
+      const assignment = statement.namedChild(0);
+      const exported = assignment.childForFieldName('left')?.text === 'module.exports' ? getCommonJsExports(assignment) : [];
+      if (exported.length === 1 && exported[0].node === assignment) return exported[0].target;
+    }
+  }
+  return null;
+}
+
+// Default export name of a definition file, parsed once per run
+const defaultExportNames = new Map();
+
+async function definitionDefaultExport(definitionFile, grammars) {
+  const resolved = path.resolve(definitionFile);
+  if (!defaultExportNames.has(resolved)) {
+    let name = null;
+    const code = fs.readFileSync(resolved, 'utf8');
+    const langObj = await loadLanguage(grammars.detectLanguage(resolved, code), grammars);
+    if (langObj) {
+      parser.setLanguage(langObj);
+      const tree = parser.parse(code);
+      name = getDefaultExportName(tree.rootNode);
+      tree.delete();
+    }
+    defaultExportNames.set(resolved, name);
+  }
+  return defaultExportNames.get(resolved);
+}
+
+// TypeScript symbol extraction (falls back to JavaScript for shared node types)
+function extractTypeScriptSymbol(node, ancestors) {
+  const typeMap = {
+    'interface_declaration': 'interface',
+    'type_alias_declaration': 'type',
+    'enum_declaration': 'enum',
+    'internal_module': 'namespace',
+    'module': 'namespace',
+    'abstract_class_declaration': 'abstract_class',
+    'function_signature': 'overload'
+  };
+
+  const symbolType = typeMap[node.type];
+  if (symbolType) {
+    const name = node.childForFieldName('name')?.text?.replace(/['"]/g, '');
+    return name ? {
+      name: name,
+      type: symbolType,
+      line: node.startPosition.row + 1,
+      endLine: node.endPosition.row + 1
+    } : null;
+  }
+
+  if (node.type === 'abstract_method_signature' ||
+      (node.type === 'method_signature' && node.parent?.type === 'class_body')) {
+    const methodName = node.childForFieldName('name')?.text;
+    const parentClass = node.parent.parent;
+    return methodName ? {
+      name: methodName,
+      type: node.type === 'method_signature' ? 'overload' : 'method',
+      line: node.startPosition.row + 1,
+      endLine: node.endPosition.row + 1,
+      parent: parentClass?.childForFieldName('name')?.text
+    } : null;
+  }
+
+  return extractJavaScriptSymbol(node, ancestors);
+}
+
 // Python symbol extraction
 function extractPythonSymbol(node, ancestors) {
   switch (node.type) {
@@ -237,51 +435,74 @@ function extractPythonSymbol(node, ancestors) {
 
     case 'function_definition':
       const functionName = node.childForFieldName('name')?.text;
-      const isInClass = ancestors.some(a => a.type === 'class_definition');
+      // Only a def directly in a class body is a method; decorators are part of it
+      const ownerScope = [...ancestors].reverse().find(a =>
+        a.type === 'class_definition' || a.type === 'function_definition' || a.type === 'lambda'
+      );
+      const definition = node.parent?.type === 'decorated_definition' ? node.parent : node;
       return functionName ? {
         name: functionName,
-        type: isInClass ? 'method' : 'function',
-        line: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
+        type: ownerScope?.type === 'class_definition' ? pythonMethodType(node) : 'function',
+        line: definition.startPosition.row + 1,
+        endLine: definition.endPosition.row + 1,
+        ...(ownerScope?.type === 'class_definition' ? { parent: ownerScope.childForFieldName('name')?.text } : {})
       } : null;
 
     case 'assignment':
-      const varName = node.childForFieldName('left')?.text;
-      if (varName && /^[A-Z][A-Z_0-9]*$/.test(varName)) {
-        const isTopLevel = !ancestors.some(a =>
-          a.type === 'function_definition' || a.type === 'class_definition'
-        );
-        if (isTopLevel) {
-          return {
-            name: varName,
-            type: 'constant',
-            line: node.startPosition.row + 1,
-            endLine: node.endPosition.row + 1
-          };
-        }
-      }
-      break;
+      const isTopLevel = !ancestors.some(a =>
+        a.type === 'function_definition' || a.type === 'class_definition'
+      );
+      if (!isTopLevel) break;
+
+      // A, B = 1, 2 defines both
+      return patternBindings(node.childForFieldName('left'), node)
+        .filter(({ name }) => /^[A-Z][A-Z_0-9]*$/.test(name))
+        .map(({ name, node: bindingNode }) => ({
+          name,
+          type: 'constant',
+          line: bindingNode.startPosition.row + 1,
+          endLine: bindingNode.endPosition.row + 1
+        }));
   }
   return null;
 }
 
+// Python method kind from its decorators: property, setter, deleter, staticmethod, classmethod or method
+function pythonMethodType(node) {
+  const decorators = node.parent?.type === 'decorated_definition'
+    ? node.parent.namedChildren.filter(c => c.type === 'decorator').map(d => {
+      const expression = d.namedChild(0);
+      return (expression?.type === 'call' ? expression.childForFieldName('function') : expression)?.text || '';
+    })
+    : [];
+
+  for (const decorator of decorators) {
+    if (/^(?:[\w.]+\.)?(?:property|cached_property)$/.test(decorator) || /\.getter$/.test(decorator)) return 'property';
+    if (/\.setter$/.test(decorator)) return 'setter';
+    if (/\.deleter$/.test(decorator)) return 'deleter';
+    if (decorator === 'staticmethod' || decorator === 'classmethod') return decorator;
+  }
+  return 'method';
+}
+
 // C# symbol extraction
 function extractCSharpSymbol(node, ancestors) {
   switch (node.type) {
     case 'class_declaration':
-      return {
-        name: node.childForFieldName('name')?.text,
-        type: 'class',
-        line: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
-      };
-
     case 'interface_declaration':
+    case 'struct_declaration':
+    case 'record_declaration':
+    case 'enum_declaration':
+      // Partial class fragments share their name; namespace tells same-named types apart
+      const namespace = csharpNamespace(node, ancestors);
+      const partial = node.namedChildren.some(c => c.type === 'modifier' && c.text === 'partial');
       return {
         name: node.childForFieldName('name')?.text,
-        type: 'interface',
+        type: node.type.replace(/_declaration$/, ''),
         line: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
+        endLine: node.endPosition.row + 1,
+        ...(namespace ? { namespace } : {}),
+        ...(partial ? { partial } : {})
       };
 
     case 'method_declaration':
@@ -293,8 +514,7 @@ function extractCSharpSymbol(node, ancestors) {
       };
 
     case 'constructor_declaration':
-      const parentClass = ancestors.find(a => a.type === 'class_declaration');
-      const ctorName = parentClass?.childForFieldName('name')?.text;
+      const ctorName = node.childForFieldName('name')?.text;
       return ctorName ? {
         name: ctorName,
         type: 'constructor',
@@ -304,46 +524,70 @@ function extractCSharpSymbol(node, ancestors) {
 
     case 'field_declaration':
       const fieldDeclarators = node.descendantsOfType('variable_declarator');
-      const modifiers = node.childForFieldName('modifiers')?.text || '';
+      const modifiers = node.children.filter(c => c.type === 'modifier').map(c => c.text);
+      const isConstant = modifiers.includes('const') ||
+        (modifiers.includes('readonly') && modifiers.includes('static'));
 
+      // int a, b; - one field per declarator, each with its own range
       return fieldDeclarators.map(declarator => {
         const fieldName = declarator.childForFieldName('name')?.text;
-        if (fieldName) {
-          const isConstant = modifiers.includes('const') ||
-            (modifiers.includes('readonly') && modifiers.includes('static'));
-          return {
-            name: fieldName,
-            type: isConstant ? 'constant' : 'field',
-            line: node.startPosition.row + 1,
-            endLine: node.endPosition.row + 1
-          };
-        }
-        return null;
-      }).filter(Boolean)[0];
+        const rangeNode = fieldDeclarators.length === 1 ? node : declarator;
+        return fieldName ? {
+          name: fieldName,
+          type: isConstant ? 'constant' : 'field',
+          line: rangeNode.startPosition.row + 1,
+          endLine: rangeNode.endPosition.row + 1
+        } : null;
+      }).filter(Boolean);
   }
   return null;
 }
 
+// Namespace a C# declaration sits in: enclosing namespace blocks, or the
+// file-scoped "namespace Acme.Billing;" declared before it
+function csharpNamespace(node, ancestors) {
+  const blocks = ancestors.filter(a => a.type === 'namespace_declaration')
+    .map(a => a.childForFieldName('name')?.text);
+  const fileScoped = ancestors[0]?.namedChildren.find(c =>
+    c.type === 'file_scoped_namespace_declaration' && c.startIndex < node.startIndex);
+  return [fileScoped?.childForFieldName('name')?.text, ...blocks].filter(Boolean).join('.') || null;
+}
+
 // PowerShell symbol extraction
 function extractPowerShellSymbol(node, ancestors) {
+  const simpleName = (target) => target?.namedChildren.find(c => c.type === 'simple_name')?.text;
+  const symbol = (name, type, extra = {}) => name ? {
+    name,
+    type,
+    line: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1,
+    ...extra
+  } : null;
+
   switch (node.type) {
     case 'class_statement':
-    case 'class_definition':
-      return {
-        name: node.childForFieldName('name')?.text || node.children.find(c => c.type === 'simple_name')?.text,
-        type: 'class',
-        line: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
-      };
+      return symbol(simpleName(node), 'class');
+
+    case 'enum_statement':
+      return symbol(simpleName(node), 'enum');
 
     case 'function_statement':
-    case 'function_definition':
-      return {
-        name: node.childForFieldName('name')?.text || node.children[1]?.text,
-        type: 'function',
-        line: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
-      };
+      // function, filter and workflow share a node; the keyword tells them apart
+      const keyword = node.firstChild?.type.toLowerCase();
+      return symbol(node.namedChildren.find(c => c.type === 'function_name')?.text,
+        keyword === 'filter' || keyword === 'workflow' ? keyword : 'function');
+
+    case 'class_method_definition':
+      // Constructors are named after their class and declare no return type
+      const methodName = simpleName(node);
+      const className = simpleName(node.parent);
+      const isConstructor = methodName?.toLowerCase() === className?.toLowerCase() &&
+        !node.namedChildren.some(c => c.type === 'type_literal');
+      return symbol(methodName, isConstructor ? 'constructor' : 'method', { parent: className });
+
+    case 'class_property_definition':
+      return symbol(node.namedChildren.find(c => c.type === 'variable')?.text.replace(/^\$/, ''), 'field',
+        { parent: simpleName(node.parent) });
   }
   return null;
 }
@@ -362,68 +606,371 @@ function extractBashSymbol(node, ancestors) {
 }
 
 // R symbol extraction
+const rClassConstructors = /^(R6Class|R6::R6Class|setRefClass|setClass)$/;
+
 function extractRSymbol(node, ancestors) {
-  if (node.type === 'binary_operator' && node.childForFieldName('operator')?.text === '<-') {
-    const left = node.childForFieldName('lhs');
-    const right = node.childForFieldName('rhs');
+  const symbol = (name, type, extra = {}) => name ? {
+    name,
+    type,
+    line: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1,
+    ...extra
+  } : null;
 
-    if (right?.text?.startsWith('function')) {
-      return {
-        name: left?.text,
-        type: 'function',
-        line: node.startPosition.row + 1,
-        endLine: node.endPosition.row + 1
-      };
-    }
+  switch (node.type) {
+    case 'binary_operator':
+      // name <- function(), name = function(), (function() ...) -> name
+      const operator = node.childForFieldName('operator')?.text;
+      if (!['<-', '=', '->'].includes(operator)) break;
+
+      const target = node.childForFieldName(operator === '->' ? 'rhs' : 'lhs');
+      let value = node.childForFieldName(operator === '->' ? 'lhs' : 'rhs');
+      while (value?.type === 'parenthesized_expression' && value.namedChildCount === 1) {
+        value = value.namedChild(0);
+      }
+      return value?.type === 'function_definition' ? symbol(target?.text, 'function') : null;
+
+    case 'call':
+      const fnName = node.childForFieldName('function')?.text || '';
+      const strings = rStringArguments(node);
+      if (rClassConstructors.test(fnName)) {
+        return symbol(strings[0], 'class');
+      }
+      // setMethod("area", "Circle", ...): parent names the classes it dispatches on
+      if (fnName === 'setMethod') {
+        const args = node.childForFieldName('arguments')?.namedChildren.filter(c => c.type === 'argument') || [];
+        const dispatch = (args.find(a => a.childForFieldName('name')?.text === 'signature') ||
+          args.filter(a => !a.childForFieldName('name'))[1])?.childForFieldName('value');
+        return symbol(strings[0], 'method', { parent: rStrings(dispatch).join(',') || undefined });
+      }
+      if (fnName === 'setGeneric') {
+        return symbol(strings[0], 'function');
+      }
+      break;
+
+    case 'argument':
+      // R6Class public/private/active lists and setRefClass methods/fields lists
+      const memberName = node.childForFieldName('name')?.text.replace(/^['"`]|['"`]$/g, '');
+      const memberValue = node.childForFieldName('value');
+      const list = node.parent?.parent;
+      const section = list?.parent;
+      const classCall = section?.parent?.parent;
+      if (!memberName || !memberValue || !['list', 'c'].includes(list?.childForFieldName('function')?.text) ||
+          section?.type !== 'argument' || classCall?.type !== 'call' ||
+          !rClassConstructors.test(classCall.childForFieldName('function')?.text || '')) break;
+
+      const sectionName = section.childForFieldName('name')?.text;
+      const parent = rStringArguments(classCall)[0];
+      if (sectionName === 'active') return symbol(memberName, 'property', { parent });
+      if (['public', 'private', 'methods'].includes(sectionName)) {
+        return symbol(memberName, memberValue.type === 'function_definition' ? 'method' : 'field', { parent });
+      }
+      if (sectionName === 'fields') return symbol(memberName, 'field', { parent });
+      break;
+  }
+  return null;
+}
+
+// The strings in "Circle", c("A", "B") or signature(x = "A", y = "B")
+function rStrings(value) {
+  if (!value) return [];
+  if (value.type === 'string') return [value.text.replace(/^['"]|['"]$/g, '')];
+  if (value.type !== 'call') return [];
+  return rStringArguments(value);
+}
+
+function rStringArguments(call) {
+  return (call.childForFieldName('arguments')?.namedChildren || [])
+    .flatMap(argument => rStrings(argument.childForFieldName('value')));
+}
+
+// A symbol spanning node (or another range node), or null without a name
+function symbolAt(node, name, type, extra = {}) {
+  return name ? {
+    name,
+    type,
+    line: node.startPosition.row + 1,
+    endLine: node.endPosition.row + 1,
+    ...extra
+  } : null;
+}
+
+// Go symbol extraction
+function extractGoSymbol(node, ancestors) {
+  switch (node.type) {
+    case 'function_declaration':
+      return symbolAt(node, node.childForFieldName('name')?.text, 'function');
+
+    case 'method_declaration':
+      // func (i *Invoice) Pay() - parent is the receiver type
+      let receiver = node.childForFieldName('receiver')?.namedChildren
+        .find(c => c.type === 'parameter_declaration')?.childForFieldName('type');
+      while (receiver && receiver.type !== 'type_identifier') {
+        receiver = receiver.type === 'pointer_type' ? receiver.namedChild(0) : receiver.childForFieldName('type');
+      }
+      return symbolAt(node, node.childForFieldName('name')?.text, 'method', { parent: receiver?.text });
+
+    case 'type_declaration':
+      const typeSpecs = node.namedChildren.filter(c => c.type === 'type_spec' || c.type === 'type_alias');
+      return typeSpecs.map(spec => {
+        const underlying = spec.childForFieldName('type')?.type;
+        const type = underlying === 'struct_type' ? 'struct' : underlying === 'interface_type' ? 'interface' : 'type';
+        return symbolAt(typeSpecs.length === 1 ? node : spec, spec.childForFieldName('name')?.text, type);
+      }).filter(Boolean);
+
+    case 'const_declaration':
+      // const ( Pending = iota; Paid ) - one constant per name
+      const constSpecs = node.namedChildren.filter(c => c.type === 'const_spec');
+      return constSpecs.flatMap(spec => {
+        const names = spec.children.filter((child, i) => spec.fieldNameForChild(i) === 'name');
+        const rangeNode = constSpecs.length === 1 && names.length === 1 ? node : spec;
+        return names.map(name => symbolAt(rangeNode, name.text, 'constant'));
+      });
+  }
+  return null;
+}
+
+// Rust symbol extraction
+function extractRustSymbol(node, ancestors) {
+  const name = node.childForFieldName('name')?.text;
+
+  switch (node.type) {
+    case 'mod_item':
+      return symbolAt(node, name, 'module');
+
+    case 'struct_item':
+    case 'union_item':
+      return symbolAt(node, name, 'struct');
+
+    case 'enum_item':
+      return symbolAt(node, name, 'enum');
+
+    case 'trait_item':
+      return symbolAt(node, name, 'trait');
+
+    case 'type_item':
+      return symbolAt(node, name, 'type');
+
+    case 'const_item':
+    case 'static_item':
+      return symbolAt(node, name, 'constant');
+
+    case 'function_item':
+      // Functions in impl and trait blocks are methods of the type or trait
+      const owner = node.parent?.type === 'declaration_list' ? node.parent.parent : null;
+      if (owner?.type === 'impl_item' || owner?.type === 'trait_item') {
+        let ownerType = owner.childForFieldName(owner.type === 'impl_item' ? 'type' : 'name');
+        while (ownerType && ['generic_type', 'scoped_type_identifier', 'reference_type'].includes(ownerType.type)) {
+          ownerType = ownerType.childForFieldName(ownerType.type === 'scoped_type_identifier' ? 'name' : 'type');
+        }
+        return symbolAt(node, name, 'method', { parent: ownerType?.text });
+      }
+      return symbolAt(node, name, 'function');
+  }
+  return null;
+}
+
+// Java symbol extraction
+function extractJavaSymbol(node, ancestors) {
+  const name = node.childForFieldName('name')?.text;
+
+  switch (node.type) {
+    case 'class_declaration':
+    case 'interface_declaration':
+    case 'enum_declaration':
+    case 'record_declaration':
+      return symbolAt(node, name, node.type.replace(/_declaration$/, ''));
+
+    case 'annotation_type_declaration':
+      return symbolAt(node, name, 'interface');
+
+    case 'method_declaration':
+      return symbolAt(node, name, 'method');
+
+    case 'constructor_declaration':
+    case 'compact_constructor_declaration':
+      return symbolAt(node, name, 'constructor');
+
+    case 'field_declaration':
+    case 'constant_declaration':
+      // static final fields, and every interface field, are constants
+      const keywords = (node.namedChildren.find(c => c.type === 'modifiers')?.children || []).map(c => c.type);
+      const isConstant = node.type === 'constant_declaration' ||
+        (keywords.includes('static') && keywords.includes('final'));
+      const declarators = node.namedChildren.filter(c => c.type === 'variable_declarator');
+      return declarators.map(declarator => symbolAt(declarators.length === 1 ? node : declarator,
+        declarator.childForFieldName('name')?.text, isConstant ? 'constant' : 'field')).filter(Boolean);
+  }
+  return null;
+}
+
+// Ruby symbol extraction
+function extractRubySymbol(node, ancestors) {
+  // Innermost class or module: class Billing::Invoice is Invoice
+  const ownerName = (owner) => {
+    const name = owner.childForFieldName('name');
+    return (name?.type === 'scope_resolution' ? name.childForFieldName('name') : name)?.text;
+  };
+
+  switch (node.type) {
+    case 'module':
+    case 'class':
+      return symbolAt(node, ownerName(node), node.type);
+
+    case 'method':
+    case 'singleton_method':
+      // def in a class or module is a method, def self.x and defs in class << self class methods
+      let owner = null;
+      let singleton = node.type === 'singleton_method';
+      for (let i = ancestors.length - 1; i >= 0 && !owner; i--) {
+        if (ancestors[i].type === 'method' || ancestors[i].type === 'singleton_method') break;
+        if (ancestors[i].type === 'singleton_class') singleton = true;
+        if (ancestors[i].type === 'class' || ancestors[i].type === 'module') owner = ancestors[i];
+      }
+      const object = node.childForFieldName('object');
+      const parent = object && object.type !== 'self' ? object.text : (owner ? ownerName(owner) : undefined);
+      const type = singleton ? 'classmethod' : (owner ? 'method' : 'function');
+      return symbolAt(node, node.childForFieldName('name')?.text, type, parent ? { parent } : {});
+
+    case 'assignment':
+      // MAX_ITEMS = 10 outside any method
+      const left = node.childForFieldName('left');
+      if (left?.type !== 'constant' ||
+          ancestors.some(a => a.type === 'method' || a.type === 'singleton_method')) break;
+      return symbolAt(node, left.text, 'constant');
   }
   return null;
 }
 
 // Get exported name helper
+// Names a declaration target binds - an identifier or a destructuring
+// pattern - each with the node it spans: a plain identifier the whole
+// declaration (owner), a destructured name its own binding (b: c = 1, ...rest)
+const bindingNameTypes = new Set(['identifier', 'shorthand_property_identifier_pattern']);
+const bindingPatternTypes = new Set([
+  'object_pattern', 'array_pattern', 'pattern_list', 'tuple_pattern', 'list_pattern'
+]);
+
+function patternBindings(target, owner = null) {
+  if (!target) return [];
+  if (bindingNameTypes.has(target.type)) {
+    return [{ name: target.text, node: owner || target }];
+  }
+
+  const element = (inner) => patternBindings(inner, bindingPatternTypes.has(inner?.type) ? null : target);
+
+  switch (target.type) {
+    case 'pair_pattern':
+      return element(target.childForFieldName('value'));
+    case 'assignment_pattern':
+    case 'object_assignment_pattern':
+      return element(target.childForFieldName('left'));
+    case 'rest_pattern':
+    case 'list_splat_pattern':
+      return element(target.namedChild(0));
+    default:
+      if (!bindingPatternTypes.has(target.type)) return [];
+      return target.namedChildren.flatMap(child => patternBindings(child));
+  }
+}
+
+// Bindings of every declarator in a const/let/var declaration
+function declarationBindings(declaration) {
+  return declaration.namedChildren
+    .filter(child => child.type === 'variable_declarator')
+    .flatMap(declarator => patternBindings(declarator.childForFieldName('name'), declarator));
+}
+
+// Every name an export statement exposes; a lone name spans the whole statement
+function getExportedBindings(declaration, exportNode) {
+  if (declaration.type === 'lexical_declaration' || declaration.type === 'variable_declaration') {
+    const bindings = declarationBindings(declaration);
+    return bindings.length === 1 ? [{ ...bindings[0], node: exportNode }] : bindings;
+  }
+  const name = getExportedName(declaration);
+  return name ? [{ name, node: exportNode }] : [];
+}
+
 function getExportedName(exportNode) {
   if (exportNode.type === 'function_declaration') {
     return exportNode.childForFieldName('name')?.text;
   } else if (exportNode.type === 'class_declaration') {
     return exportNode.childForFieldName('name')?.text;
-  } else if (exportNode.type === 'lexical_declaration') {
-    const declarator = exportNode.childForFieldName('declarator');
-    return declarator?.childForFieldName('name')?.text;
+  } else if (exportNode.childForFieldName('name')) {
+    // TypeScript declarations: interface, type alias, enum, abstract class, namespace
+    return exportNode.childForFieldName('name').text.replace(/['"]/g, '');
   }
   return null;
 }
 
-// Find references to symbols in a file
-async function findReferences(filePath, symbols) {
+// Find references to symbols in a file.
+//
+// JavaScript, TypeScript and Python names are resolved through the file's scope
+// graph (scope-graph.js). A reference is 'resolved' when the name is bound to the
+// symbol's definition - its module-level declaration, an import of it from the
+// definition file, or a member of its class (this.add, self.add, calc.add with
+// calc = Calculator()) - and 'possible' when a same-named local, parameter,
+// import from elsewhere or member of an unknown object shadows it. Other
+// languages match by name and report every match as resolved.
+//
+// definitionFile: the file the symbols are defined in, for telling which imports
+// bring them in; without it any import of the name counts.
+async function findReferences(filePath, symbols, grammars = defaultGrammars, definitionFile = null) {
   const code = fs.readFileSync(filePath, 'utf8');
-  const language = detectLanguage(filePath);
+  const language = grammars.detectLanguage(filePath, code);
 
   await initParser();
-  const langObj = await loadLanguage(language);
+  const langObj = await loadLanguage(language, grammars);
 
   if (!langObj) {
     throw new Error(`Unsupported language: ${language}`);
   }
 
+  // What import X from './calc' brings in, when the definition file is known
+  const defaultExport = definitionFile && language !== 'python'
+    ? await definitionDefaultExport(definitionFile, grammars)
+    : null;
+
   parser.setLanguage(langObj);
   const tree = parser.parse(code);
 
   const references = [];
+  const graph = buildScopeGraph(tree.rootNode, language);
+  const files = { filePath, definitionFile, language, defaultExport };
+
+  // Same-named symbols (a function add and a method Calculator.add) are told apart
   const symbolMap = new Map();
-  symbols.forEach(sym => symbolMap.set(sym.name, sym));
+  for (const symbol of symbols) {
+    if (!symbolMap.has(symbol.name)) symbolMap.set(symbol.name, []);
+    symbolMap.get(symbol.name).push(symbol);
+  }
+
+  function addReference(symbol, node, ancestors, usage, resolution, binding) {
+    references.push({
+      symbol: symbol.name,
+      target: symbolTarget(symbol),
+      key: symbolKey(symbol),
+      line: node.startPosition.row + 1,
+      context: getContainingContext(ancestors),
+      usage,
+      resolution,
+      binding
+    });
+  }
 
   function walkForReferences(node, ancestors = []) {
-    const nodeLine = node.startPosition.row + 1;
-
-    for (const [symbolName, symbolData] of symbolMap) {
-      if (isReference(node, symbolName, symbolData, language)) {
-        const context = getContainingContext(ancestors);
-
-        references.push({
-          symbol: symbolName,
-          line: nodeLine,
-          context: context,
-          usage: getUsageType(node, symbolName, language)
-        });
+    if (graph) {
+      const occurrence = graph.occurrence(node);
+      for (const symbol of (occurrence && symbolMap.get(node.text)) || []) {
+        const { resolution, binding } = classifyReference(occurrence, symbol, graph, files);
+        const usage = occurrence.kind === 'import' ? 'import' : getUsageType(occurrence.usageNode, symbol.name, language);
+        addReference(symbol, node, ancestors, usage, resolution, binding);
+      }
+    } else {
+      for (const [symbolName, sameNamed] of symbolMap) {
+        if (!isReference(node, symbolName, language)) continue;
+        const usage = getUsageType(node, symbolName, language);
+        sameNamed.forEach(symbol => addReference(symbol, node, ancestors, usage, 'resolved', null));
       }
     }
 
@@ -437,74 +984,128 @@ async function findReferences(filePath, symbols) {
   return references;
 }
 
-// Check if a node is a reference to a symbol
-function isReference(node, symbolName, symbolData, language) {
-  switch (language) {
-    case 'javascript':
-      return isJavaScriptReference(node, symbolName);
-    case 'python':
-      return isPythonReference(node, symbolName);
-    case 'csharp':
-      return isCSharpReference(node, symbolName);
-    case 'powershell':
-      return isPowerShellReference(node, symbolName);
-    default:
-      return node.type === 'identifier' && node.text === symbolName;
-  }
+// Class.member for members, else the name
+function symbolTarget(symbol) {
+  return symbol.parent ? `${symbol.parent}.${symbol.name}` : symbol.name;
 }
 
-// JavaScript reference detection
-function isJavaScriptReference(node, symbolName) {
-  if (node.type === 'call_expression') {
-    const funcNode = node.childForFieldName('function');
-    if (funcNode?.text === symbolName) return true;
+// Unique per symbol: export function add is both export:add:1 and function:add:1,
+// a getter and setter pair differ by line
+function symbolKey(symbol) {
+  return `${symbol.type}:${symbolTarget(symbol)}:${symbol.line || 0}`;
+}
 
-    if (funcNode?.type === 'member_expression') {
-      const prop = funcNode.childForFieldName('property');
-      if (prop?.text === symbolName) return true;
-    }
-  }
+// Whether an occurrence (see ScopeGraph.occurrence) refers to a symbol:
+// { resolution: 'resolved' | 'possible', binding } where binding says what the
+// name is bound to - module, local, parameter, import, member or global
+function classifyReference(occurrence, symbol, graph, files) {
+  const isMember = Boolean(symbol.parent);
+  const result = (resolved, binding) => ({ resolution: resolved ? 'resolved' : 'possible', binding });
 
-  if (node.type === 'new_expression') {
-    const constructor = node.childForFieldName('constructor');
-    if (constructor?.text === symbolName) return true;
-  }
+  switch (occurrence.kind) {
+    case 'import':
+      return result(!isMember && importsSymbol(occurrence.binding, symbol, files), 'import');
 
-  if (node.type === 'identifier' && node.text === symbolName) {
-    const parent = node.parent;
-    if (parent?.type !== 'variable_declarator' &&
-        parent?.type !== 'function_declaration' &&
-        parent?.type !== 'class_declaration') {
-      return true;
-    }
+    case 'member':
+      if (isMember) {
+        return result(graph.classOf(occurrence.object) === symbol.parent, 'member');
+      }
+      // calc.add with import * as calc from './calc' / import calc
+      const namespaces = occurrence.object?.type === 'identifier' ? graph.resolveAll(occurrence.object) : [];
+      return result(namespaces.some(namespace => namespace.kind === 'import' && importsModule(namespace, files)), 'member');
+
+    default:
+      if (occurrence.bindings.length === 0) {
+        // window.name = ... globals are used as bare names
+        return result(!isMember && symbol.type === 'global', 'global');
+      }
+      // Resolved when any declaration of the name in its scope is the symbol's:
+      // add = wrap(add) still refers to def add
+      const matching = occurrence.bindings.find(binding => binding.kind === 'import'
+        ? !isMember && importsSymbol(binding, symbol, files)
+        : definesSymbol(binding, symbol, files));
+      return result(Boolean(matching), (matching || occurrence.binding).kind);
   }
+}
 
-  return false;
+// A binding declared by the symbol's definition: in the definition file, at
+// module level (in its class body for members), on the symbol's lines
+function definesSymbol(binding, symbol, files) {
+  if (files.definitionFile && path.resolve(files.filePath) !== path.resolve(files.definitionFile)) return false;
+
+  const scope = binding.scope;
+  if (symbol.parent ? scope.kind !== 'class' || scope.name !== symbol.parent : scope.kind !== 'module') return false;
+
+  // Exports name a definition elsewhere in the file (module.exports = { add })
+  if (symbol.type === 'export' || !symbol.line) return true;
+  const line = binding.declaration.startPosition.row + 1;
+  return line >= symbol.line && line <= (symbol.endLine || symbol.line);
 }
 
-// Python reference detection
-function isPythonReference(node, symbolName) {
-  if (node.type === 'call') {
-    const funcNode = node.childForFieldName('function');
-    if (funcNode?.text === symbolName) return true;
+// An import of the symbol's name from the definition file. A default import
+// (import Calculator from './calc') imports the definition file's default export;
+// without a definition file, the symbol its local name matches.
+function importsSymbol(binding, symbol, files) {
+  const importedName = binding.importedName === 'default'
+    ? (files.definitionFile ? files.defaultExport : binding.name)
+    : binding.importedName;
+  return importedName === symbol.name && sourceMatches(binding.source, files);
+}
 
-    if (funcNode?.type === 'attribute') {
-      const attr = funcNode.childForFieldName('attribute');
-      if (attr?.text === symbolName) return true;
-    }
-  }
+// An import of the definition file as a whole: import * as calc, const calc =
+// require('./calc'), import calc, from pkg import calc
+function importsModule(binding, files) {
+  if (binding.importedName === '*') return sourceMatches(binding.source, files);
+  if (files.language !== 'python') return false;
+  const separator = /\.$/.test(binding.source) ? '' : '.';
+  return sourceMatches(`${binding.source}${separator}${binding.importedName}`, files);
+}
 
-  if (node.type === 'identifier' && node.text === symbolName) {
-    const parent = node.parent;
-    if (parent?.type !== 'function_definition' &&
-        parent?.type !== 'class_definition' &&
-        parent?.type !== 'assignment' &&
-        parent?.type !== 'parameters') {
-      return true;
+// Whether an import source names the definition file: './calc' relative to the
+// importing file, 'pkg.calc' / '.calc' for Python modules
+function sourceMatches(source, files) {
+  if (!files.definitionFile) return true;
+  if (!source) return false;
+
+  const definition = modulePath(path.resolve(files.definitionFile));
+  const directory = path.dirname(path.resolve(files.filePath));
+
+  if (files.language === 'python') {
+    const dots = /^\.*/.exec(source)[0].length;
+    const parts = source.slice(dots).split('.').filter(Boolean);
+    if (dots > 0) {
+      const base = path.resolve(directory, ...Array(dots - 1).fill('..'));
+      return modulePath(path.join(base, ...parts)) === definition;
     }
+    const suffix = path.join(...(parts.length > 0 ? parts : ['']));
+    return definition === suffix || definition.endsWith(path.sep + suffix);
   }
 
-  return false;
+  if (!source.startsWith('.') && !path.isAbsolute(source)) return false;
+  return modulePath(path.resolve(directory, source)) === definition;
+}
+
+// A module file without its extension and index / __init__ part
+function modulePath(filePath) {
+  const withoutExtension = filePath.replace(/\.[cm]?[jt]sx?$|\.py$/, '');
+  return withoutExtension.replace(/[\\/](?:index|__init__)$/, '');
+}
+
+// Check if a node is a reference to a symbol (languages without a scope graph)
+function isReference(node, symbolName, language) {
+  switch (language) {
+    case 'csharp':
+      return isCSharpReference(node, symbolName);
+    case 'powershell':
+      return isPowerShellReference(node, symbolName);
+    case 'go':
+    case 'rust':
+    case 'java':
+    case 'ruby':
+      return isNamedReference(node, symbolName, language);
+    default:
+      return node.type === 'identifier' && node.text === symbolName;
+  }
 }
 
 // C# reference detection
@@ -594,6 +1195,31 @@ function isPowerShellReference(node, symbolName) {
   return false;
 }
 
+// Go, Rust, Java and Ruby: any use of the name that isn't the name a
+// declaration introduces
+const referenceNodeTypes = {
+  go: new Set(['identifier', 'type_identifier', 'field_identifier']),
+  rust: new Set(['identifier', 'type_identifier', 'field_identifier']),
+  java: new Set(['identifier', 'type_identifier']),
+  ruby: new Set(['identifier', 'constant'])
+};
+
+const declarationNodeTypes = new Set([
+  'function_declaration', 'method_declaration', 'type_spec', 'type_alias', 'const_spec',
+  'mod_item', 'struct_item', 'union_item', 'enum_item', 'trait_item', 'type_item', 'const_item', 'static_item', 'function_item',
+  'class_declaration', 'interface_declaration', 'enum_declaration', 'record_declaration', 'annotation_type_declaration',
+  'constructor_declaration', 'compact_constructor_declaration', 'variable_declarator',
+  'class', 'module', 'method', 'singleton_method'
+]);
+
+function isNamedReference(node, symbolName, language) {
+  if (!referenceNodeTypes[language].has(node.type) || node.text !== symbolName) return false;
+
+  const parent = node.parent;
+  const declaredName = declarationNodeTypes.has(parent?.type) ? parent.childForFieldName('name') : null;
+  return declaredName?.startIndex !== node.startIndex;
+}
+
 // Get containing function/method context
 function getContainingContext(ancestors) {
   for (let i = ancestors.length - 1; i >= 0; i--) {
@@ -601,8 +1227,11 @@ function getContainingContext(ancestors) {
 
     if (ancestor.type === 'function_declaration' ||
         ancestor.type === 'function_definition' ||
+        ancestor.type === 'function_item' ||
         ancestor.type === 'method_definition' ||
         ancestor.type === 'method_declaration' ||
+        ancestor.type === 'method' ||
+        ancestor.type === 'singleton_method' ||
         ancestor.type === 'arrow_function') {
 
       const name = ancestor.childForFieldName('name')?.text;
@@ -610,7 +1239,8 @@ function getContainingContext(ancestors) {
     }
 
     if (ancestor.type === 'class_declaration' ||
-        ancestor.type === 'class_definition') {
+        ancestor.type === 'class_definition' ||
+        ancestor.type === 'abstract_class_declaration') {
       const className = ancestor.childForFieldName('name')?.text;
       if (className) {
         for (let j = i + 1; j < ancestors.length; j++) {
@@ -667,15 +1297,28 @@ async function main() {
   try {
     const argData = fs.readFileSync(argFile, 'utf8');
     const params = JSON.parse(argData);
+    // grammarDirs: grammar directories searched before the default ones;
+    // allowExtractors: run extractor modules declared by grammar manifests
+    const grammars = (params.grammarDirs && params.grammarDirs.length > 0) || params.allowExtractors
+      ? new GrammarRegistry({ bundledDir: bundledGrammarDir, dirs: params.grammarDirs, allowExtractors: params.allowExtractors })
+      : defaultGrammars;
 
     if (params.mode === 'extract') {
-      const symbols = await extractSymbols(params.file, params.filters || []);
+      const queryDirs = params.queryDirs
+        ? params.queryDirs.map(dir => path.resolve(dir))
+        : [defaultQueryDir];
+      // cacheDir picks another cache location, noCache skips it
+      const cache = params.noCache ? null : (params.cacheDir ? new ParseCache({ dir: params.cacheDir }) : getDefaultCache());
+      const symbols = await extractSymbols(params.file, params.filters || [], queryDirs, cache, grammars);
       console.log(JSON.stringify({ symbols }, null, 2));
     } else if (params.mode === 'references') {
-      const references = await findReferences(params.file, params.symbols);
+      // definitionFile: where the symbols are defined, so imports of them resolve
+      const references = await findReferences(params.file, params.symbols, grammars, params.definitionFile || null);
       console.log(JSON.stringify({ references }, null, 2));
+    } else if (params.mode === 'language') {
+      console.log(JSON.stringify({ language: grammars.detectLanguage(params.file) }));
     } else {
-      console.error("Invalid mode. Use 'extract' or 'references'");
+      console.error("Invalid mode. Use 'extract', 'references' or 'language'");
       process.exit(1);
     }
   } catch (error) {
@@ -0,0 +1,535 @@
+/*
+ * Scope graph
+ *
+ * Records the scopes of a JavaScript/TypeScript or Python file and the names
+ * declared in each, so an identifier can be resolved to the binding it uses:
+ *
+ *   module      top-level functions, classes, variables and assignments
+ *   import      import / from-import / require() bindings, with the name they
+ *               import ('*' for the whole module, 'default') and its source
+ *   parameter   function, arrow, lambda and catch parameters
+ *   local       anything else declared inside a function, block or class body
+ *
+ * JavaScript scopes are functions, blocks, for loops and catch clauses; var and
+ * function parameters live in the function, let/const/class in their block.
+ * Python scopes are the module, functions, lambdas, comprehensions and class
+ * bodies - which the functions inside them can't see - honouring global and
+ * nonlocal.
+ *
+ * buildScopeGraph returns null for languages without scope rules here.
+ */
+
+const functionTypes = new Set([
+  'function_declaration', 'generator_function_declaration', 'function_expression', 'function',
+  'generator_function', 'arrow_function', 'method_definition'
+]);
+const classTypes = new Set(['class_declaration', 'abstract_class_declaration', 'class', 'class_definition']);
+// TypeScript declarations naming a type or namespace
+const typeDeclarationTypes = new Set([
+  'interface_declaration', 'type_alias_declaration', 'enum_declaration', 'internal_module', 'module'
+]);
+const comprehensionTypes = new Set([
+  'list_comprehension', 'set_comprehension', 'dictionary_comprehension', 'generator_expression'
+]);
+const importTypes = new Set(['import_statement', 'import_from_statement']);
+
+// Name nodes, and the member access nodes (with the field holding the member) of each grammar
+const javascriptNames = new Set([
+  'identifier', 'type_identifier', 'shorthand_property_identifier', 'shorthand_property_identifier_pattern',
+  'property_identifier', 'private_property_identifier'
+]);
+const javascriptPropertyNames = new Set(['property_identifier', 'private_property_identifier']);
+const pythonNames = new Set(['identifier']);
+
+// Identifiers a binding target declares: x, [a, ...rest], { b: c = 1 }, (x, y)
+function targetNames(target) {
+  if (!target) return [];
+  switch (target.type) {
+    case 'identifier':
+    case 'shorthand_property_identifier_pattern':
+      return [target];
+    case 'pair_pattern':
+      return targetNames(target.childForFieldName('value'));
+    case 'assignment_pattern':
+    case 'object_assignment_pattern':
+      return targetNames(target.childForFieldName('left'));
+    case 'rest_pattern':
+    case 'list_splat_pattern':
+    case 'dictionary_splat_pattern':
+      return targetNames(target.namedChild(0));
+    case 'object_pattern':
+    case 'array_pattern':
+    case 'pattern_list':
+    case 'tuple_pattern':
+    case 'list_pattern':
+    case 'as_pattern_target':
+      return target.namedChildren.flatMap(targetNames);
+    default:
+      return [];
+  }
+}
+
+// Identifiers one entry of a parameter list declares, in either language
+function parameterNames(parameter) {
+  switch (parameter.type) {
+    case 'required_parameter':
+    case 'optional_parameter':
+      return targetNames(parameter.childForFieldName('pattern'));
+    case 'default_parameter':
+    case 'typed_default_parameter':
+      return targetNames(parameter.childForFieldName('name'));
+    case 'typed_parameter':
+      return targetNames(parameter.namedChild(0));
+    default:
+      return targetNames(parameter);
+  }
+}
+
+function isRequireCall(node) {
+  return node?.type === 'call_expression' && node.childForFieldName('function')?.text === 'require';
+}
+
+// Module a require('./calc') call loads
+function requireSource(call) {
+  const argument = call.childForFieldName('arguments')?.namedChild(0);
+  return argument?.type === 'string' ? argument.text.slice(1, -1) : null;
+}
+
+function stringContent(node) {
+  return node ? node.text.replace(/^['"`]|['"`]$/g, '') : null;
+}
+
+class ScopeGraph {
+  constructor(rootNode, language) {
+    this.language = language;
+    this.scopes = new Map();
+    // Declared names and imported names, by node id
+    this.sites = new Map();
+    this.importSites = new Map();
+    this.root = this.addScope('module', rootNode, null);
+
+    if (language === 'python') {
+      this.visitPython(rootNode, this.root);
+    } else {
+      this.visitJavaScript(rootNode, this.root);
+    }
+  }
+
+  addScope(kind, node, parent, name = null) {
+    const scope = { kind, node, parent, name, bindings: new Map(), globals: new Set(), nonlocals: new Set() };
+    this.scopes.set(node.id, scope);
+    return scope;
+  }
+
+  // The innermost scope a node sits in
+  scopeOf(node) {
+    for (let current = node.parent; current; current = current.parent) {
+      const scope = this.scopes.get(current.id);
+      if (scope) return scope;
+    }
+    return this.root;
+  }
+
+  // Scope var declarations land in
+  functionScope(scope) {
+    let current = scope;
+    while (current.kind === 'block') current = current.parent;
+    return current;
+  }
+
+  bind(scope, nameNode, declaration, kind = null, extra = {}) {
+    if (!nameNode) return null;
+    const name = nameNode.text;
+
+    let target = scope;
+    if (scope.globals.has(name)) {
+      target = this.root;
+    } else if (scope.nonlocals.has(name)) {
+      // Assigns the enclosing function's variable; nothing is declared here
+      this.sites.set(nameNode.id, null);
+      return null;
+    }
+
+    const binding = {
+      name,
+      kind: kind || (target.kind === 'module' ? 'module' : 'local'),
+      node: nameNode,
+      declaration,
+      scope: target,
+      ...extra
+    };
+    this.sites.set(nameNode.id, binding);
+    if (extra.importNode) this.importSites.set(extra.importNode.id, binding);
+    // A name declared several times in a scope (def add, then add = wrap(add) or
+    // an import of the same name) keeps every declaration, in order
+    if (!target.bindings.has(name)) target.bindings.set(name, []);
+    target.bindings.get(name).push(binding);
+    return binding;
+  }
+
+  bindParameters(fn, scope, extra = {}) {
+    const parameters = fn.childForFieldName('parameters');
+    const single = fn.childForFieldName('parameter');
+    const names = single ? [single] : (parameters?.namedChildren || []).flatMap(parameterNames);
+    names.forEach((name, index) => this.bind(scope, name, fn, 'parameter', index === 0 ? extra : {}));
+  }
+
+  visitJavaScript(node, scope) {
+    let inner = scope;
+
+    switch (node.type) {
+      case 'function_declaration':
+      case 'generator_function_declaration':
+        this.bind(scope, node.childForFieldName('name'), node);
+        inner = this.addScope('function', node, scope);
+        this.bindParameters(node, inner);
+        break;
+
+      case 'function_expression':
+      case 'function':
+      case 'generator_function':
+      case 'arrow_function':
+      case 'method_definition':
+        inner = this.addScope('function', node, scope);
+        // A named function expression sees its own name
+        if (node.type !== 'method_definition' && node.type !== 'arrow_function') {
+          this.bind(inner, node.childForFieldName('name'), node, 'local');
+        }
+        this.bindParameters(node, inner);
+        break;
+
+      case 'class_declaration':
+      case 'abstract_class_declaration':
+        this.bind(scope, node.childForFieldName('name'), node);
+        break;
+
+      case 'statement_block':
+        if (!functionTypes.has(node.parent?.type)) inner = this.addScope('block', node, scope);
+        break;
+
+      case 'for_statement':
+      case 'switch_body':
+        inner = this.addScope('block', node, scope);
+        break;
+
+      case 'for_in_statement':
+        inner = this.addScope('block', node, scope);
+        // for (const x of xs) declares x; for (x of xs) assigns it
+        const loopKind = node.childForFieldName('kind')?.text;
+        if (loopKind) {
+          const loopScope = loopKind === 'var' ? this.functionScope(scope) : inner;
+          targetNames(node.childForFieldName('left')).forEach(name => this.bind(loopScope, name, node));
+        }
+        break;
+
+      case 'catch_clause':
+        inner = this.addScope('block', node, scope);
+        targetNames(node.childForFieldName('parameter')).forEach(name => this.bind(inner, name, node, 'parameter'));
+        break;
+
+      case 'variable_declaration':
+      case 'lexical_declaration':
+        const declarationScope = node.type === 'variable_declaration' ? this.functionScope(scope) : scope;
+        node.namedChildren
+          .filter(child => child.type === 'variable_declarator')
+          .forEach(declarator => this.bindDeclarator(declarator, declarationScope));
+        break;
+
+      case 'import_statement':
+        this.bindImport(node, scope);
+        break;
+
+      case 'type_parameter':
+        this.bind(scope, node.childForFieldName('name'), node, 'parameter');
+        break;
+
+      default:
+        if (typeDeclarationTypes.has(node.type) && node.childForFieldName('name')?.type !== 'string') {
+          this.bind(scope, node.childForFieldName('name'), node);
+        }
+    }
+
+    for (const child of node.namedChildren) {
+      this.visitJavaScript(child, inner);
+    }
+  }
+
+  // const x = value, const { a, b: c } = value, and the require() forms:
+  //   const calc = require('./calc')             -> '*'
+  //   const { add, sub: minus } = require('./calc') -> add, sub
+  //   const add = require('./calc').add          -> add
+  bindDeclarator(declarator, scope) {
+    const name = declarator.childForFieldName('name');
+    const value = declarator.childForFieldName('value');
+
+    if (isRequireCall(value)) {
+      const source = requireSource(value);
+      if (name?.type === 'identifier') {
+        this.bind(scope, name, declarator, 'import', { importedName: '*', source });
+        return;
+      }
+      if (name?.type === 'object_pattern') {
+        for (const property of name.namedChildren) {
+          if (property.type === 'shorthand_property_identifier_pattern') {
+            this.bind(scope, property, declarator, 'import', { importedName: property.text, importNode: property, source });
+          } else if (property.type === 'pair_pattern' && property.childForFieldName('value')?.type === 'identifier') {
+            const key = property.childForFieldName('key');
+            this.bind(scope, property.childForFieldName('value'), declarator, 'import',
+              { importedName: key.text, importNode: key, source });
+          } else {
+            targetNames(property).forEach(inner => this.bind(scope, inner, declarator));
+          }
+        }
+        return;
+      }
+    }
+
+    if (name?.type === 'identifier' && value?.type === 'member_expression' &&
+        isRequireCall(value.childForFieldName('object'))) {
+      const property = value.childForFieldName('property');
+      this.bind(scope, name, declarator, 'import',
+        { importedName: property.text, importNode: property, source: requireSource(value.childForFieldName('object')) });
+      return;
+    }
+
+    targetNames(name).forEach(inner => this.bind(scope, inner, declarator, null, inner === name ? { value } : {}));
+  }
+
+  // import x, * as ns, { a, b as c } from './module'
+  bindImport(node, scope) {
+    const source = stringContent(node.childForFieldName('source'));
+    const clause = node.namedChildren.find(child => child.type === 'import_clause');
+    if (!clause) return;
+
+    for (const part of clause.namedChildren) {
+      if (part.type === 'identifier') {
+        this.bind(scope, part, node, 'import', { importedName: 'default', importNode: part, source });
+      } else if (part.type === 'namespace_import') {
+        this.bind(scope, part.namedChild(0), node, 'import', { importedName: '*', source });
+      } else if (part.type === 'named_imports') {
+        for (const specifier of part.namedChildren.filter(child => child.type === 'import_specifier')) {
+          const imported = specifier.childForFieldName('name');
+          const alias = specifier.childForFieldName('alias');
+          this.bind(scope, alias || imported, node, 'import',
+            { importedName: stringContent(imported), importNode: imported, source });
+        }
+      }
+    }
+  }
+
+  visitPython(node, scope) {
+    let inner = scope;
+
+    switch (node.type) {
+      case 'function_definition':
+        this.bind(scope, node.childForFieldName('name'), node);
+        inner = this.addScope('function', node, scope);
+        // A method's first parameter is the instance (or the class), unless it's a staticmethod
+        const definition = node.parent?.type === 'decorated_definition' ? node.parent : node;
+        const isStatic = definition.namedChildren.some(child => child.type === 'decorator' && /^@\s*staticmethod$/.test(child.text));
+        this.bindParameters(node, inner, scope.kind === 'class' && !isStatic ? { instanceOf: scope.name } : {});
+        break;
+
+      case 'lambda':
+        inner = this.addScope('function', node, scope);
+        this.bindParameters(node, inner);
+        break;
+
+      case 'class_definition':
+        this.bind(scope, node.childForFieldName('name'), node);
+        inner = this.addScope('class', node, scope, node.childForFieldName('name')?.text);
+        break;
+
+      case 'assignment':
+        const left = node.childForFieldName('left');
+        targetNames(left).forEach(name =>
+          this.bind(scope, name, node, null, name === left ? { value: node.childForFieldName('right') } : {}));
+        break;
+
+      case 'for_statement':
+      case 'for_in_clause':
+        targetNames(node.childForFieldName('left')).forEach(name => this.bind(scope, name, node));
+        break;
+
+      case 'as_pattern':
+        targetNames(node.childForFieldName('alias')).forEach(name => this.bind(scope, name, node));
+        break;
+
+      case 'named_expression':
+        // (x := value) inside a comprehension binds in the enclosing function
+        let walrusScope = scope;
+        while (walrusScope.kind === 'comprehension') walrusScope = walrusScope.parent;
+        this.bind(walrusScope, node.childForFieldName('name'), node);
+        break;
+
+      case 'global_statement':
+      case 'nonlocal_statement':
+        const declared = node.type === 'global_statement' ? scope.globals : scope.nonlocals;
+        node.namedChildren.forEach(name => declared.add(name.text));
+        break;
+
+      case 'import_statement':
+      case 'import_from_statement':
+        this.bindPythonImport(node, scope);
+        break;
+
+      default:
+        if (comprehensionTypes.has(node.type)) inner = this.addScope('comprehension', node, scope);
+    }
+
+    for (const child of node.namedChildren) {
+      this.visitPython(child, inner);
+    }
+  }
+
+  // import os.path, calc as c / from .calc import add as plus, Calculator
+  bindPythonImport(node, scope) {
+    const moduleName = node.childForFieldName('module_name');
+
+    for (const imported of node.namedChildren) {
+      if (imported.id === moduleName?.id) continue;
+      const dotted = imported.type === 'aliased_import' ? imported.childForFieldName('name') : imported;
+      const alias = imported.type === 'aliased_import' ? imported.childForFieldName('alias') : null;
+      if (dotted?.type !== 'dotted_name') continue;
+
+      if (moduleName) {
+        const name = dotted.namedChild(0);
+        this.bind(scope, alias || name, node, 'import', { importedName: dotted.text, importNode: name, source: moduleName.text });
+      } else {
+        // import os.path binds os; import calc as c binds c to calc
+        this.bind(scope, alias || dotted.namedChild(0), node, 'import',
+          { importedName: '*', source: alias ? dotted.text : dotted.namedChild(0).text });
+      }
+    }
+  }
+
+  // Every declaration of the name a node refers to in the innermost scope
+  // declaring it; empty for globals and builtins
+  resolveAll(node) {
+    const name = node.text;
+    const start = this.scopeOf(node);
+    let scope = start;
+
+    while (scope) {
+      if (scope.globals.has(name)) return this.root.bindings.get(name) || [];
+      if (!scope.nonlocals.has(name)) {
+        const bindings = scope.bindings.get(name);
+        // Python class bodies are not visible from the functions inside them
+        if (bindings && (scope === start || scope.kind !== 'class')) return bindings;
+      }
+      scope = scope.parent;
+    }
+    return [];
+  }
+
+  // The last declaration of the name a node refers to, or null
+  resolve(node) {
+    const bindings = this.resolveAll(node);
+    return bindings.length > 0 ? bindings[bindings.length - 1] : null;
+  }
+
+  // What a node is as an occurrence of its name:
+  //   { kind: 'import', binding }          the imported name of an import (add in import { add as plus })
+  //   { kind: 'member', object }           the member of an access: calc.add, this.add, self.add
+  //   { kind: 'name', binding, bindings }  any other use, resolved to its last binding (null: global)
+  //                                        and every declaration of the name in that scope
+  // or null when it declares the name or isn't a name at all
+  occurrence(node) {
+    const python = this.language === 'python';
+    if (!(python ? pythonNames : javascriptNames).has(node.type)) return null;
+
+    const imported = this.importSites.get(node.id);
+    if (imported) return { kind: 'import', binding: imported, usageNode: node };
+    if (this.sites.has(node.id)) return null;
+
+    const parent = node.parent;
+    const memberType = python ? 'attribute' : 'member_expression';
+    const memberField = python ? 'attribute' : 'property';
+    if (parent?.type === memberType && parent.childForFieldName(memberField)?.id === node.id) {
+      return { kind: 'member', object: parent.childForFieldName('object'), usageNode: parent };
+    }
+    if (javascriptPropertyNames.has(node.type) || !this.isReferencePosition(node)) return null;
+
+    const bindings = this.resolveAll(node);
+    return { kind: 'name', binding: bindings[bindings.length - 1] || null, bindings, usageNode: node };
+  }
+
+  // Names that are neither declarations nor uses: keyword argument names,
+  // module paths of imports, export aliases, closing JSX tags, global/nonlocal lists
+  isReferencePosition(node) {
+    const parent = node.parent;
+    if (!parent) return true;
+
+    switch (parent.type) {
+      case 'keyword_argument':
+        return parent.childForFieldName('name')?.id !== node.id;
+      case 'export_specifier':
+        return parent.childForFieldName('alias')?.id !== node.id;
+      case 'jsx_closing_element':
+      case 'global_statement':
+      case 'nonlocal_statement':
+        return false;
+    }
+
+    let current = parent;
+    while (current && (current.type === 'dotted_name' || current.type === 'aliased_import' || current.type === 'relative_import')) {
+      current = current.parent;
+    }
+    return !importTypes.has(current?.type);
+  }
+
+  // Class an object expression stands for, by name: this/self inside a class,
+  // a class itself (Calculator.create) or what new Calculator() / Calculator()
+  // creates, directly or through the variable holding it
+  classOf(object, seen = new Set()) {
+    if (!object || seen.has(object.id)) return null;
+    seen.add(object.id);
+
+    switch (object.type) {
+      case 'this':
+        return this.enclosingClassName(object);
+      case 'new_expression':
+        return this.classOf(object.childForFieldName('constructor'), seen);
+      case 'call':
+        return this.classOf(object.childForFieldName('function'), seen);
+      case 'parenthesized_expression':
+        return this.classOf(object.namedChild(0), seen);
+      case 'identifier':
+      case 'type_identifier':
+        break;
+      default:
+        return null;
+    }
+
+    const binding = this.resolve(object);
+    if (!binding) return object.text;
+    if (binding.instanceOf) return binding.instanceOf;
+    if (classTypes.has(binding.declaration.type)) return binding.name;
+    if (binding.kind === 'import') {
+      return binding.importedName === '*' || binding.importedName === 'default' ? binding.name : binding.importedName;
+    }
+    return binding.value ? this.classOf(binding.value, seen) : null;
+  }
+
+  // Name of the class whose 'this' a node sees; functions other than arrows rebind it
+  enclosingClassName(node) {
+    for (let current = node.parent; current; current = current.parent) {
+      if (classTypes.has(current.type)) return current.childForFieldName('name')?.text || null;
+      if (functionTypes.has(current.type) && current.type !== 'arrow_function' && current.type !== 'method_definition') {
+        return null;
+      }
+    }
+    return null;
+  }
+}
+
+const scopedLanguages = new Set(['javascript', 'typescript', 'tsx', 'python']);
+
+function buildScopeGraph(rootNode, language) {
+  return scopedLanguages.has(language) ? new ScopeGraph(rootNode, language) : null;
+}
+
+module.exports = {
+  ScopeGraph,
+  buildScopeGraph
+};
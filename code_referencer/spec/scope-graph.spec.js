@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractSymbols, findReferences } = require('../lib/reference-parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'referencer-scopes-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(fileName, lines) {
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, lines.join('\n'));
+  return filePath;
+}
+
+// References to the symbols named name, as [key, line, resolution, binding]
+async function referencesTo(name, filePath, definitionFile = filePath) {
+  const symbols = (await extractSymbols(definitionFile, [], [], null)).filter(symbol => symbol.name === name);
+  const references = await findReferences(filePath, symbols, undefined, definitionFile);
+  return references.map(reference => [reference.key, reference.line, reference.resolution, reference.binding]);
+}
+
+const calc = write('calc.js', [
+  'function add(a, b) { return a + b; }',
+  'class Calculator {',
+  '  add(x) { return x; }',
+  '}',
+  'module.exports = Calculator;'
+]);
+
+test('imports resolve; a same-named parameter, local or unrelated member is only possible', async () => {
+  const app = write('app.js', [
+    "import { add } from './calc';",
+    'add(1, 2);',
+    'function withParameter(add) { return add(3); }',
+    'function withLocal() { const add = () => 0; return add(); }',
+    'other.add(4);'
+  ]);
+
+  const functionReferences = (await referencesTo('add', app, calc))
+    .filter(([key]) => key === 'function:add:1');
+  assert.deepStrictEqual(functionReferences, [
+    ['function:add:1', 1, 'resolved', 'import'],
+    ['function:add:1', 2, 'resolved', 'import'],
+    ['function:add:1', 3, 'possible', 'parameter'],
+    ['function:add:1', 4, 'possible', 'local'],
+    ['function:add:1', 5, 'possible', 'member']
+  ]);
+});
+
+test('a default import resolves to the default export, and its instances to the methods', async () => {
+  const app = write('main.js', [
+    "import Calculator from './calc';",
+    'const c = new Calculator();',
+    'c.add(1);'
+  ]);
+
+  assert.deepStrictEqual((await referencesTo('Calculator', app, calc)).filter(([key]) => key.startsWith('class:')), [
+    ['class:Calculator:2', 1, 'resolved', 'import'],
+    ['class:Calculator:2', 2, 'resolved', 'import']
+  ]);
+  assert.deepStrictEqual(await referencesTo('add', app, calc), [
+    ['function:add:1', 3, 'possible', 'member'],
+    ['method:Calculator.add:3', 3, 'resolved', 'member']
+  ]);
+});
+
+test('a reassigned function still resolves, and this.add resolves to the method', async () => {
+  const file = write('wrapped.js', [
+    'function add(a, b) { return a + b; }',
+    'add = wrap(add);',
+    'class Calculator {',
+    '  add(x) { return x; }',
+    '  total() { return this.add(1); }',
+    '}'
+  ]);
+
+  assert.deepStrictEqual(await referencesTo('add', file), [
+    ['function:add:1', 2, 'resolved', 'module'],
+    ['method:Calculator.add:4', 2, 'possible', 'module'],
+    ['function:add:1', 2, 'resolved', 'module'],
+    ['method:Calculator.add:4', 2, 'possible', 'module'],
+    ['function:add:1', 5, 'possible', 'member'],
+    ['method:Calculator.add:4', 5, 'resolved', 'member']
+  ]);
+});
+
+test('Python parameters shadow module functions, and self.add resolves to the method', async () => {
+  const file = write('calc.py', [
+    'def add(a, b):',
+    '    return a + b',
+    '',
+    'class Calculator:',
+    '    def add(self, x):',
+    '        return x',
+    '    def total(self):',
+    '        return self.add(1)',
+    '',
+    'def use(add):',
+    '    return add(2)',
+    '',
+    'add(3)'
+  ]);
+
+  assert.deepStrictEqual(await referencesTo('add', file), [
+    ['function:add:1', 8, 'possible', 'member'],
+    ['method:Calculator.add:5', 8, 'resolved', 'member'],
+    ['function:add:1', 11, 'possible', 'parameter'],
+    ['method:Calculator.add:5', 11, 'possible', 'parameter'],
+    ['function:add:1', 13, 'resolved', 'module'],
+    ['method:Calculator.add:5', 13, 'possible', 'module']
+  ]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractSymbols } = require('../lib/reference-parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'referencer-symbols-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function symbolsOf(fileName, code) {
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, code);
+  const symbols = await extractSymbols(filePath, [], [], null);
+  return symbols.map(symbol => [symbol.type, symbol.name]);
+}
+
+test('every declarator and destructured name is its own symbol', async () => {
+  const code = [
+    'const A = 1, { B, c: C = 2, ...D } = cfg, [E] = list;',
+    'export const { host, port: listenPort } = config;'
+  ].join('\n');
+
+  assert.deepStrictEqual(await symbolsOf('config.js', code), [
+    ['constant', 'A'],
+    ['constant', 'B'],
+    ['constant', 'C'],
+    ['constant', 'D'],
+    ['constant', 'E'],
+    ['export', 'host'],
+    ['export', 'listenPort'],
+    ['constant', 'host'],
+    ['constant', 'listenPort']
+  ]);
+});
+
+test('Python tuple targets bind each name', async () => {
+  assert.deepStrictEqual(await symbolsOf('values.py', 'A, B = 1, 2\n'), [['constant', 'A'], ['constant', 'B']]);
+});
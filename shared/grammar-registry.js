@@ -0,0 +1,237 @@
+/*
+ * Grammar registry
+ *
+ * Knows which tree-sitter WASM grammar parses which files. Grammar directories
+ * are searched in order, the first one holding a grammar wins:
+ *
+ *   1. directories passed in (--grammar-dir, "grammarDirs" in reference params)
+ *   2. $VIBE_GRAMMAR_PATH (separated like PATH)
+ *   3. .vibe/grammars in the working directory
+ *   4. the bundled grammars/ directory
+ *
+ * A directory may hold a grammars.json manifest declaring languages, or
+ * overriding the bundled ones (a higher-priority manifest wins per field):
+ *
+ *   {
+ *     "languages": {
+ *       "kotlin": {
+ *         "grammar": "tree-sitter-kotlin.wasm",
+ *         "extensions": [".kt", ".kts"],
+ *         "shebangs": ["kotlin"],
+ *         "extractor": "kotlin-extractor.js"
+ *       }
+ *     }
+ *   }
+ *
+ * Paths are relative to the manifest. The extractor module handles languages
+ * the parsers have no built-in extraction for:
+ *
+ *   processNode(node, ancestors, extractor)  tree-sitter-parser.js; adds segments
+ *                                            with extractor.addSegment(node, type, name, ancestors)
+ *   extractSymbol(node, ancestors)           reference-parser.js; returns a symbol,
+ *                                            an array of them or null
+ *
+ * Extractor modules are JavaScript run in-process, and .vibe/grammars comes with
+ * whatever project is being analyzed, so they are only loaded when the registry
+ * is created with allowExtractors (--allow-extractors, "allowExtractors" in
+ * reference params). Otherwise the language is parsed without extraction rules.
+ *
+ * Shared by Code Evolver and Code Referencer; each passes its own bundled directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'grammars.json';
+const defaultGrammarDir = path.join(process.cwd(), '.vibe', 'grammars');
+
+// Languages the bundled grammars/ directory ships
+const bundledLanguages = {
+  'javascript': { grammar: 'tree-sitter-javascript.wasm', extensions: ['.js', '.jsx', '.mjs', '.cjs'], shebangs: ['node', 'nodejs'] },
+  'typescript': { grammar: 'tree-sitter-typescript.wasm', extensions: ['.ts', '.mts', '.cts'], shebangs: ['ts-node', 'deno'] },
+  'tsx': { grammar: 'tree-sitter-tsx.wasm', extensions: ['.tsx'] },
+  'python': { grammar: 'tree-sitter-python.wasm', extensions: ['.py'], shebangs: ['python', 'python2', 'python3'] },
+  'powershell': { grammar: 'tree-sitter-powershell.wasm', extensions: ['.ps1', '.psm1', '.psd1'], shebangs: ['pwsh', 'powershell'] },
+  'bash': { grammar: 'tree-sitter-bash.wasm', extensions: ['.sh', '.bash'], shebangs: ['sh', 'bash', 'dash', 'ksh', 'zsh'] },
+  'r': { grammar: 'tree-sitter-r.wasm', extensions: ['.r'], shebangs: ['Rscript'] },
+  'csharp': { grammar: 'tree-sitter-c-sharp.wasm', extensions: ['.cs', '.csx'], shebangs: ['dotnet-script'] },
+  'go': { grammar: 'tree-sitter-go.wasm', extensions: ['.go'] },
+  'rust': { grammar: 'tree-sitter-rust.wasm', extensions: ['.rs'] },
+  'java': { grammar: 'tree-sitter-java.wasm', extensions: ['.java'], shebangs: ['java'] },
+  'ruby': { grammar: 'tree-sitter-ruby.wasm', extensions: ['.rb', '.rake', '.gemspec'], shebangs: ['ruby'] },
+  // No grammar of their own: the code embedded in them is parsed region by region
+  'vue': { extensions: ['.vue'] },
+  'svelte': { extensions: ['.svelte'] },
+  'html': { extensions: ['.html', '.htm'] },
+  'markdown': { extensions: ['.md', '.markdown'] },
+  'rmarkdown': { extensions: ['.rmd'] },
+  'quarto': { extensions: ['.qmd'] }
+};
+
+// Directories from $VIBE_GRAMMAR_PATH
+function environmentGrammarDirs() {
+  return (process.env.VIBE_GRAMMAR_PATH || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map(dir => path.resolve(dir));
+}
+
+// Interpreter a "#!" line runs: #!/usr/bin/python3 and #!/usr/bin/env -S python3 -u
+// both give "python3"
+function shebangInterpreter(firstLine) {
+  const match = /^#!\s*(\S+)(.*)$/.exec(firstLine || '');
+  if (!match) return null;
+
+  let interpreter = path.basename(match[1]);
+  if (interpreter === 'env') {
+    const words = match[2].trim().split(/\s+/).filter(word => !word.startsWith('-') && !word.includes('='));
+    interpreter = words[0] || null;
+  }
+  return interpreter;
+}
+
+class GrammarRegistry {
+  // options.bundledDir: the package's grammars/ directory
+  // options.dirs: extra grammar directories, searched first
+  // options.allowExtractors: load the extractor modules manifests declare
+  constructor(options = {}) {
+    this.dirs = [...new Set([
+      ...(options.dirs || []).map(dir => path.resolve(dir)),
+      ...environmentGrammarDirs(),
+      defaultGrammarDir,
+      ...(options.bundledDir ? [options.bundledDir] : [])
+    ])];
+    this.allowExtractors = Boolean(options.allowExtractors);
+    this.manifests = [];
+    this.languages = this.loadLanguages();
+    this.extractors = new Map();
+  }
+
+  // Bundled languages, overlaid by every manifest from lowest to highest priority
+  loadLanguages() {
+    const languages = new Map(Object.entries(bundledLanguages).map(([name, entry]) => [name, { ...entry }]));
+
+    for (const dir of [...this.dirs].reverse()) {
+      const manifestPath = path.join(dir, MANIFEST_FILE);
+      if (!fs.existsSync(manifestPath)) continue;
+
+      let manifest;
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      } catch (error) {
+        console.error(`Failed to read grammar manifest ${manifestPath}:`, error.message);
+        continue;
+      }
+      this.manifests.push(manifestPath);
+
+      for (const [name, entry] of Object.entries(manifest.languages || {})) {
+        const declared = { ...languages.get(name) };
+        for (const field of ['grammar', 'extractor']) {
+          if (entry[field]) declared[field] = path.resolve(dir, entry[field]);
+        }
+        for (const field of ['extensions', 'shebangs']) {
+          if (Array.isArray(entry[field])) declared[field] = entry[field];
+        }
+        languages.set(name, declared);
+      }
+    }
+
+    return languages;
+  }
+
+  languageNames() {
+    return [...this.languages.keys()];
+  }
+
+  // Language of a file by its extension, else by the "#!" line of its code
+  // (read from disk when not given). Later-declared languages win ties.
+  detectLanguage(filePath, code = null) {
+    const ext = path.extname(filePath).toLowerCase();
+    const entries = [...this.languages.entries()].reverse();
+
+    if (ext) {
+      const byExtension = entries.find(([, entry]) =>
+        (entry.extensions || []).some(extension => extension.toLowerCase() === ext));
+      if (byExtension) return byExtension[0];
+    }
+
+    const interpreter = shebangInterpreter(this.firstLine(filePath, code));
+    if (interpreter) {
+      // python3.12 runs python3 scripts
+      const byShebang = entries.find(([, entry]) => (entry.shebangs || []).some(shebang =>
+        interpreter === shebang || interpreter.replace(/[\d.]+$/, '') === shebang));
+      if (byShebang) return byShebang[0];
+    }
+
+    return 'unknown';
+  }
+
+  firstLine(filePath, code) {
+    if (code !== null && code !== undefined) {
+      return code.split('\n', 1)[0];
+    }
+
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const buffer = Buffer.alloc(256);
+      const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      return buffer.toString('utf8', 0, length).split('\n', 1)[0];
+    } catch (error) {
+      // Unreadable or not on disk: no shebang to go by
+      return null;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+
+  // Grammar WASM for a language: the first directory that has it, else where the
+  // bundled directory would (so "not found" messages name the usual place)
+  getGrammarPath(language) {
+    const grammar = this.languages.get(language)?.grammar;
+    if (!grammar) return null;
+    if (path.isAbsolute(grammar)) return grammar;
+
+    const found = this.dirs.map(dir => path.join(dir, grammar)).find(candidate => fs.existsSync(candidate));
+    return found || path.join(this.dirs[this.dirs.length - 1], grammar);
+  }
+
+  getExtractorPath(language) {
+    return this.languages.get(language)?.extractor || null;
+  }
+
+  // Extractor module a manifest declares for a language, or null (also when
+  // extractors are not allowed)
+  getExtractor(language) {
+    const extractorPath = this.getExtractorPath(language);
+    if (!extractorPath) return null;
+
+    if (!this.extractors.has(extractorPath)) {
+      if (!this.allowExtractors) {
+        console.error(`Skipping extractor ${extractorPath} for ${language}: manifest extractor modules only run when allowed (--allow-extractors, -AllowExtractors)`);
+        this.extractors.set(extractorPath, null);
+        return null;
+      }
+      try {
+        this.extractors.set(extractorPath, require(extractorPath));
+      } catch (error) {
+        console.error(`Failed to load extractor for ${language}:`, error.message);
+        this.extractors.set(extractorPath, null);
+      }
+    }
+    return this.extractors.get(extractorPath);
+  }
+
+  // Files besides the grammar that decide how a language is extracted
+  sourceFiles(language) {
+    const extractorPath = this.allowExtractors ? this.getExtractorPath(language) : null;
+    return [...this.manifests, extractorPath].filter(Boolean);
+  }
+}
+
+module.exports = {
+  GrammarRegistry,
+  bundledLanguages,
+  defaultGrammarDir,
+  shebangInterpreter
+};
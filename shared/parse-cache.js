@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/*
+ * Persistent content-addressed parse cache
+ *
+ * Parse results are stored on disk under a key hashed from everything that can
+ * change them: the file content, the language, the grammar WASM, the extractor
+ * sources and the extraction context. The same blob parsed again - in the next
+ * evolution run, another commit or a reference scan - is read back instead.
+ *
+ * Shared by Code Evolver and Code Referencer, which read each other's entries.
+ *
+ * Location: $VIBE_PARSE_CACHE_DIR, else <user cache dir>/vibe_tools/parse-cache
+ * Disable:  VIBE_PARSE_CACHE=off
+ *
+ * CLI:
+ *   node parse-cache.js stats [--cache-dir DIR]
+ *   node parse-cache.js prune [--max-age DAYS] [--max-size MB] [--cache-dir DIR]
+ *   node parse-cache.js clear [--cache-dir DIR]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bump when the entry format changes
+const CACHE_VERSION = 1;
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+const USAGE = "Usage: node parse-cache.js <stats|prune|clear> [--max-age DAYS] [--max-size MB] [--cache-dir DIR]";
+
+function emptyCounters() {
+  return { hits: 0, misses: 0, writes: 0 };
+}
+
+function defaultCacheDir() {
+  if (process.env.VIBE_PARSE_CACHE_DIR) {
+    return path.resolve(process.env.VIBE_PARSE_CACHE_DIR);
+  }
+
+  const base = process.platform === 'win32'
+    ? (process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'))
+    : (process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'));
+  return path.join(base, 'vibe_tools', 'parse-cache');
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// File hashes are memoized per process; grammars and sources don't change mid-run
+const fileHashes = new Map();
+
+function hashFile(filePath) {
+  if (!fileHashes.has(filePath)) {
+    try {
+      fileHashes.set(filePath, hashText(fs.readFileSync(filePath)));
+    } catch (error) {
+      fileHashes.set(filePath, null);
+    }
+  }
+  return fileHashes.get(filePath);
+}
+
+// Hash several files into one value (missing files hash as null)
+function hashFiles(filePaths) {
+  return hashText(JSON.stringify(filePaths.map(file => [path.basename(file), hashFile(file)])));
+}
+
+// JSON with sorted object keys, so equal contexts hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class ParseCache {
+  constructor(options = {}) {
+    this.dir = options.dir ? path.resolve(options.dir) : defaultCacheDir();
+    this.enabled = options.enabled !== undefined
+      ? options.enabled
+      : process.env.VIBE_PARSE_CACHE !== 'off';
+    this.stats = emptyCounters();
+    // Counters already written out. Every flush writes what was counted since the
+    // last one to a new file named after this instance (process or worker), so
+    // concurrent writers never touch each other's files and compaction can merge
+    // any file it manages to rename away
+    this.flushed = emptyCounters();
+    this.statsPrefix = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.flushCount = 0;
+    this.exitHookInstalled = false;
+  }
+
+  // Key from the parts that determine a parse result
+  key(parts) {
+    return hashText(stableStringify({ version: CACHE_VERSION, ...parts }));
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, 'entries', key.substring(0, 2), `${key}.json`);
+  }
+
+  // Returns the cached value, or undefined on a miss
+  get(key) {
+    if (!this.enabled) return undefined;
+    this.installExitHook();
+
+    const entryPath = this.entryPath(key);
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      this.stats.hits++;
+
+      // mtime doubles as "last used" for pruning
+      const now = new Date();
+      fs.utimesSync(entryPath, now, now);
+      return entry.value;
+    } catch (error) {
+      this.stats.misses++;
+      return undefined;
+    }
+  }
+
+  set(key, value, meta = {}) {
+    if (!this.enabled) return;
+
+    const entryPath = this.entryPath(key);
+    // Write to a temp file and rename, so concurrent readers never see half an entry
+    const tempPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ key, created: new Date().toISOString(), ...meta, value }));
+      fs.renameSync(tempPath, entryPath);
+      this.stats.writes++;
+    } catch (error) {
+      console.error(`Failed to write parse cache entry ${entryPath}:`, error.message);
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  // Counters are written out on flush and at process exit
+  installExitHook() {
+    if (this.exitHookInstalled) return;
+    this.exitHookInstalled = true;
+    process.once('exit', () => this.flushStats());
+  }
+
+  // Counted but not yet written out
+  unflushedStats() {
+    return {
+      hits: this.stats.hits - this.flushed.hits,
+      misses: this.stats.misses - this.flushed.misses,
+      writes: this.stats.writes - this.flushed.writes
+    };
+  }
+
+  flushStats() {
+    const counters = this.unflushedStats();
+    if (counters.hits + counters.misses + counters.writes === 0) return;
+
+    const statsFile = path.join(this.dir, 'stats', `${this.statsPrefix}-${++this.flushCount}.json`);
+    if (this.writeStatsFile(statsFile, counters)) {
+      this.flushed = { ...this.stats };
+    }
+  }
+
+  // Write through a temp file, so readers only ever see complete counter files
+  writeStatsFile(statsFile, counters) {
+    const tempPath = `${statsFile}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(statsFile), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(counters));
+      fs.renameSync(tempPath, statsFile);
+      return true;
+    } catch (error) {
+      console.error("Failed to write parse cache stats:", error.message);
+      fs.rmSync(tempPath, { force: true });
+      return false;
+    }
+  }
+
+  statsFiles() {
+    const statsDir = path.join(this.dir, 'stats');
+    if (!fs.existsSync(statsDir)) return [];
+    return fs.readdirSync(statsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(statsDir, file));
+  }
+
+  // Sum of all flushed counters
+  readPersistedStats(files = this.statsFiles()) {
+    const totals = emptyCounters();
+    for (const file of files) {
+      try {
+        const counters = JSON.parse(fs.readFileSync(file, 'utf8'));
+        totals.hits += counters.hits || 0;
+        totals.misses += counters.misses || 0;
+        totals.writes += counters.writes || 0;
+      } catch (error) {
+        // Merged away by a concurrent compaction
+      }
+    }
+    return totals;
+  }
+
+  // Fold the counter files into one so the stats directory stays small. Each file
+  // is claimed by renaming it first: one that another compaction renamed away is
+  // skipped, and files flushed meanwhile are left for the next compaction.
+  compactStats() {
+    const claimed = [];
+    for (const file of this.statsFiles()) {
+      const claimedPath = `${file}.${this.statsPrefix}.merging`;
+      try {
+        fs.renameSync(file, claimedPath);
+        claimed.push({ file, claimedPath });
+      } catch (error) {
+        // Claimed by another compaction
+      }
+    }
+    const release = () => claimed.forEach(({ file, claimedPath }) => fs.renameSync(claimedPath, file));
+    if (claimed.length < 2) {
+      release();
+      return;
+    }
+
+    const totals = this.readPersistedStats(claimed.map(({ claimedPath }) => claimedPath));
+    const totalFile = path.join(this.dir, 'stats', `total-${this.statsPrefix}-${crypto.randomBytes(4).toString('hex')}.json`);
+    if (this.writeStatsFile(totalFile, totals)) {
+      claimed.forEach(({ claimedPath }) => fs.rmSync(claimedPath, { force: true }));
+    } else {
+      release();
+    }
+  }
+
+  listEntries() {
+    const entriesDir = path.join(this.dir, 'entries');
+    if (!fs.existsSync(entriesDir)) return [];
+
+    const entries = [];
+    for (const bucket of fs.readdirSync(entriesDir)) {
+      const bucketDir = path.join(entriesDir, bucket);
+      for (const file of fs.readdirSync(bucketDir)) {
+        if (!file.endsWith('.json')) continue;
+        const filePath = path.join(bucketDir, file);
+        try {
+          const stat = fs.statSync(filePath);
+          entries.push({ path: filePath, size: stat.size, lastUsed: stat.mtimeMs });
+        } catch (error) {
+          // Removed by a concurrent prune
+        }
+      }
+    }
+    return entries;
+  }
+
+  // Counters since the cache was created plus this process's, and the disk usage
+  summary() {
+    const persisted = this.readPersistedStats();
+    const unflushed = this.unflushedStats();
+    const hits = persisted.hits + unflushed.hits;
+    const misses = persisted.misses + unflushed.misses;
+    const entries = this.listEntries();
+
+    return {
+      dir: this.dir,
+      enabled: this.enabled,
+      entries: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0),
+      hits,
+      misses,
+      writes: persisted.writes + unflushed.writes,
+      hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : null
+    };
+  }
+
+  // Remove entries unused for maxAgeDays, then least recently used ones until under maxBytes
+  prune(options = {}) {
+    const maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : DEFAULT_MAX_AGE_DAYS;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    const entries = this.listEntries().sort((a, b) => a.lastUsed - b.lastUsed);
+    let bytes = entries.reduce((total, entry) => total + entry.size, 0);
+    let removed = 0;
+
+    for (const entry of entries) {
+      const expired = entry.lastUsed < cutoff;
+      const oversized = options.maxBytes !== undefined && bytes > options.maxBytes;
+      if (!expired && !oversized) continue;
+
+      fs.rmSync(entry.path, { force: true });
+      bytes -= entry.size;
+      removed++;
+    }
+
+    if (fs.existsSync(this.dir)) {
+      this.compactStats();
+    }
+    return { removed, remaining: entries.length - removed, bytes };
+  }
+
+  // Remove the cache's own entries/ and stats/, never anything else in its directory
+  // (--cache-dir may name a folder that holds other files)
+  clear() {
+    const removed = this.listEntries().length;
+    for (const artifact of ['entries', 'stats']) {
+      fs.rmSync(path.join(this.dir, artifact), { recursive: true, force: true });
+    }
+    try {
+      fs.rmdirSync(this.dir);
+    } catch (error) {
+      // Not empty or already gone: leave it
+    }
+    this.stats = emptyCounters();
+    this.flushed = emptyCounters();
+    return { removed };
+  }
+}
+
+// Shared instance used when callers don't pass their own
+let defaultCache = null;
+
+function getDefaultCache() {
+  if (!defaultCache) {
+    defaultCache = new ParseCache();
+  }
+  return defaultCache;
+}
+
+// A positive number from a CLI option, else usage and exit: "7d" or "-1" would
+// otherwise make prune silently keep or remove everything
+function positiveNumber(option, value) {
+  const number = Number(value);
+  if (!(number > 0)) {
+    console.error(`Invalid ${option} ${value}: expected a positive number`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return number;
+}
+
+// Command line interface
+function main() {
+  const command = process.argv[2];
+  const args = process.argv.slice(3);
+  const options = {};
+  let cacheDir = null;
+
+  for (let i = 0; i < args.length; i += 2) {
+    if (args[i] === "--cache-dir" && i + 1 < args.length) {
+      cacheDir = args[i + 1];
+    } else if (args[i] === "--max-age" && i + 1 < args.length) {
+      options.maxAgeDays = positiveNumber("--max-age", args[i + 1]);
+    } else if (args[i] === "--max-size" && i + 1 < args.length) {
+      options.maxBytes = positiveNumber("--max-size", args[i + 1]) * 1024 * 1024;
+    }
+  }
+
+  const cache = new ParseCache({ dir: cacheDir });
+
+  if (command === 'stats') {
+    console.log(JSON.stringify(cache.summary(), null, 2));
+  } else if (command === 'prune') {
+    console.log(JSON.stringify(cache.prune(options), null, 2));
+  } else if (command === 'clear') {
+    console.log(JSON.stringify(cache.clear(), null, 2));
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ParseCache,
+    getDefaultCache,
+    defaultCacheDir,
+    hashText,
+    hashFile,
+    hashFiles,
+    stableStringify
+  };
+}
+
+// Run main function only if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,131 @@
+/*
+ * Tree-sitter query plugins
+ *
+ * Loads project-local query files (.vibe/queries/<language>.scm and
+ * .vibe/queries/<language>/*.scm) and turns their captures into segments:
+ *
+ *   ((call_expression
+ *      function: (member_expression property: (property_identifier) @verb)
+ *      arguments: (arguments . (string) @name))
+ *    (#match? @verb "^(get|post|put|delete)$")) @element.route
+ *
+ * @element.<type> marks the segment node, @name (optional) its name.
+ * (#set! kind "class") tells the extraction filters which built-in element the
+ * custom type stands in for; it defaults to "function".
+ *
+ * Shared by Code Evolver and Code Referencer. Queries are compiled with the
+ * caller's web-tree-sitter Query class, since a Language only works with the
+ * web-tree-sitter instance that loaded it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashText } = require('./parse-cache');
+
+const defaultQueryDir = path.join(process.cwd(), '.vibe', 'queries');
+
+// Languages that can also use another language's queries
+const queryFallbacks = {
+  'tsx': ['typescript']
+};
+
+// Compiled queries by Language instance, then by query source hash: an edited
+// .scm file or the same language name loaded from another grammar compiles anew
+const compiledQueries = new WeakMap();
+
+function findQueryFiles(language, queryDirs) {
+  const names = [language, ...(queryFallbacks[language] || [])];
+  const files = [];
+
+  for (const dir of queryDirs) {
+    for (const name of names) {
+      const single = path.join(dir, `${name}.scm`);
+      if (fs.existsSync(single)) {
+        files.push(single);
+      }
+
+      const folder = path.join(dir, name);
+      if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) {
+        fs.readdirSync(folder)
+          .filter(file => file.endsWith('.scm'))
+          .sort()
+          .forEach(file => files.push(path.join(folder, file)));
+      }
+    }
+  }
+
+  return files;
+}
+
+// Compile every query file for a language with Query (web-tree-sitter's Query
+// class); broken files are reported and skipped
+function loadQueryPlugins(Query, languageObj, language, queryDirs = [defaultQueryDir]) {
+  const queries = [];
+  if (!compiledQueries.has(languageObj)) compiledQueries.set(languageObj, new Map());
+  const compiled = compiledQueries.get(languageObj);
+
+  for (const file of findQueryFiles(language, queryDirs)) {
+    let source;
+    try {
+      source = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      console.error(`Failed to read query ${file}:`, error.message);
+      continue;
+    }
+
+    const cacheKey = hashText(source);
+    if (!compiled.has(cacheKey)) {
+      try {
+        compiled.set(cacheKey, new Query(languageObj, source));
+      } catch (error) {
+        console.error(`Failed to compile query ${file}:`, error.message);
+        compiled.set(cacheKey, null);
+      }
+    }
+
+    const query = compiled.get(cacheKey);
+    if (query) {
+      queries.push({ file, query });
+    }
+  }
+
+  return queries;
+}
+
+// Run compiled queries over a tree.
+// Returns [{ type, name, kind, node }] for every @element.<type> capture.
+function runQueryPlugins(queries, rootNode) {
+  const elements = [];
+
+  for (const { query } of queries) {
+    for (const match of query.matches(rootNode)) {
+      const nameCapture = match.captures.find(capture => capture.name === 'name');
+      const kind = match.setProperties?.kind || 'function';
+
+      for (const capture of match.captures) {
+        if (!capture.name.startsWith('element.')) continue;
+
+        const node = capture.node;
+        const name = nameCapture?.node.text ||
+          node.childForFieldName('name')?.text ||
+          null;
+
+        elements.push({
+          type: capture.name.substring('element.'.length),
+          name: name ? name.replace(/^['"`]|['"`]$/g, '') : null,
+          kind,
+          node
+        });
+      }
+    }
+  }
+
+  return elements;
+}
+
+module.exports = {
+  defaultQueryDir,
+  findQueryFiles,
+  loadQueryPlugins,
+  runQueryPlugins
+};